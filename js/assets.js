@@ -0,0 +1,144 @@
+import { constants } from "./constants.js";
+
+/**
+ * Computes a 53-bit content hash of a string (cyrb53).
+ * Synchronous on purpose: `getMapData()` is called from synchronous code paths
+ * (auto-save, history), so `crypto.subtle` cannot be used here.
+ *
+ * @param {string} str - The string to hash (usually an image data URI).
+ * @returns {string} The hash as a zero-padded hexadecimal string.
+ */
+export function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return hash.toString(16).padStart(14, "0");
+}
+
+/**
+ * A table of image sources keyed by content hash.
+ * Used by the save format so that each image is stored once, and cells/objects/settings
+ * reference it by id instead of repeating the whole data URI.
+ */
+export class AssetTable {
+  /**
+   * @param {Object<string, string>} [assets] - An existing `id -> src` table (e.g. from a save file).
+   */
+  constructor(assets = {}) {
+    this.assets = { ...assets };
+    this.idsBySrc = new Map(); // src -> id, avoids re-hashing the same string
+    Object.entries(this.assets).forEach(([id, src]) => this.idsBySrc.set(src, id));
+  }
+
+  /**
+   * Adds an image source to the table (if not already present) and returns its id.
+   *
+   * @param {string|null} src - The image source (data URI or URL).
+   * @returns {string|null} The asset id, or `null` if no source was given.
+   */
+  add(src) {
+    if (!src || typeof src !== "string") return null;
+    const knownId = this.idsBySrc.get(src);
+    if (knownId) return knownId;
+
+    const baseId = hashString(src);
+    let id = baseId;
+    // Resolve the (very unlikely) case of two different images with the same hash
+    for (let n = 1; this.assets[id] !== undefined && this.assets[id] !== src; n++) {
+      id = `${baseId}-${n}`;
+    }
+    this.assets[id] = src;
+    this.idsBySrc.set(src, id);
+    return id;
+  }
+
+  /**
+   * Looks up the image source for an asset id.
+   *
+   * @param {string|null} id - The asset id.
+   * @returns {string|null} The image source, or `null` if the id is unknown.
+   */
+  get(id) {
+    if (!id) return null;
+    return this.assets[id] || null;
+  }
+
+  /**
+   * @returns {Object<string, string>} The plain `id -> src` object stored in save files.
+   */
+  toJSON() {
+    return this.assets;
+  }
+}
+
+/**
+ * Converts map data from the 1.0.0 save format (every image inlined as a data URI)
+ * to the current format (images stored once in `assets` and referenced by id).
+ * Data that already has an `assets` table is returned unchanged.
+ *
+ * @param {Object} state - The parsed map data. Modified in place.
+ * @returns {Object} The migrated map data.
+ */
+export function migrateInlineImages(state) {
+  if (!state || state.assets) return state;
+
+  const assets = new AssetTable();
+  const toId = (src) => (typeof src === "string" ? assets.add(src) : null);
+
+  (state.layers || []).forEach((layer) => {
+    layer.objects = (layer.objects || []).map(([key, cell]) => {
+      const { image, imageSrc, ...cellCopy } = cell;
+      const imageId = cellCopy.type === "image" ? toId(image || imageSrc) : null;
+      if (imageId) cellCopy.imageId = imageId;
+      return [key, cellCopy];
+    });
+  });
+
+  state.freeDrawObjects = (state.freeDrawObjects || []).map(([id, obj]) => {
+    const { image, ...objCopy } = obj;
+    const imageId = toId(image);
+    if (imageId) objCopy.imageId = imageId;
+    return [id, objCopy];
+  });
+
+  state.customObjects = (state.customObjects || []).map(([id, obj]) => {
+    const { image, imageSrc, ...objCopy } = obj;
+    const imageId = toId(image || imageSrc);
+    if (imageId) objCopy.imageId = imageId;
+    return [id, objCopy];
+  });
+
+  const settings = state.settings;
+  if (settings) {
+    if (settings.emptyCellSettings) {
+      const { pattern, patternSrc, ...rest } = settings.emptyCellSettings;
+      settings.emptyCellSettings = { ...rest, patternId: toId(pattern || patternSrc) };
+    }
+    if (settings.gridBorderOptions) {
+      const { image, imageSrc, ...rest } = settings.gridBorderOptions;
+      settings.gridBorderOptions = { ...rest, imageId: toId(image || imageSrc) };
+    }
+    settings.gridImageList = (settings.gridImageList || []).map(toId).filter(Boolean);
+    if (settings.gridDrawSettings) {
+      const { image, imageSrc, ...rest } = settings.gridDrawSettings;
+      settings.gridDrawSettings = { ...rest, imageId: toId(image || imageSrc) };
+    }
+    if (settings.freeDrawSettings) {
+      const { image, ...rest } = settings.freeDrawSettings;
+      settings.freeDrawSettings = { ...rest, imageId: toId(image) };
+    }
+    settings.customObjectImageId = toId(settings.customObjectImageSrc);
+    delete settings.customObjectImageSrc;
+  }
+
+  state.assets = assets.toJSON();
+  state.version = constants.saveFileVersion;
+  return state;
+}
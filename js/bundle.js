@@ -0,0 +1,101 @@
+import { constants } from "./constants.js";
+import { createZip, readZip } from "./zip.js";
+
+// Image MIME type -> file extension in the bundle
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "image/bmp": "bmp",
+  "image/avif": "avif",
+};
+
+/**
+ * Packs map data (as returned by `CanvasManager.getMapData()`) into a project bundle (`.omc`):
+ * a ZIP archive with `map.json` and every image of the asset table as a file in `assets/`.
+ *
+ * Images stored as data URIs are written as files named after their asset id and removed from
+ * `assets`; `map.json` lists them in `assetFiles` (`id -> { path, type }`). Images referenced by
+ * URL stay in `assets`.
+ *
+ * @param {Object} mapData - The map data.
+ * @returns {Promise<Blob>} The bundle.
+ */
+export async function createMapBundle(mapData) {
+  const assets = { ...(mapData.assets || {}) };
+  const assetFiles = {};
+  const files = [];
+
+  Object.entries(assets).forEach(([id, src]) => {
+    const file = dataURIToBytes(src);
+    if (!file) return; // Not a data URI: keep the URL
+    const path = `${constants.bundleAssetFolder}/${id}.${EXTENSIONS[file.type] || "bin"}`;
+    files.push({ name: path, data: file.bytes });
+    assetFiles[id] = { path, type: file.type };
+    delete assets[id];
+  });
+
+  const bundleData = { ...mapData, assets, assetFiles };
+  return createZip([{ name: constants.bundleMapFileName, data: JSON.stringify(bundleData, null, 2) }, ...files]);
+}
+
+/**
+ * Unpacks a project bundle created by `createMapBundle()`.
+ *
+ * @param {ArrayBuffer} buffer - The bundle.
+ * @returns {Promise<Object>} The map data, with the asset files turned back into data URIs in `assets`.
+ * @throws {Error} If the file is not a bundle or `map.json` is not valid JSON.
+ */
+export async function readMapBundle(buffer) {
+  const files = await readZip(buffer);
+  const mapFile = files.get(constants.bundleMapFileName);
+  if (!mapFile) throw new Error(`The bundle contains no ${constants.bundleMapFileName}.`);
+
+  const mapData = JSON.parse(new TextDecoder().decode(mapFile));
+  const assets = { ...(mapData.assets || {}) };
+  Object.entries(mapData.assetFiles || {}).forEach(([id, file]) => {
+    const bytes = files.get(file.path);
+    if (!bytes) {
+      console.warn(`Bundle asset ${file.path} is missing.`);
+      return;
+    }
+    assets[id] = bytesToDataURI(bytes, file.type || "application/octet-stream");
+  });
+  delete mapData.assetFiles;
+  mapData.assets = assets;
+  return mapData;
+}
+
+/**
+ * @param {string} src - An image source.
+ * @returns {Object|null} `{ type, bytes }` of a data URI, or `null` for other sources.
+ */
+function dataURIToBytes(src) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(src || "");
+  if (!match) return null;
+  const type = match[1] || "text/plain";
+  if (/;base64/i.test(match[2])) {
+    const binary = atob(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return { type, bytes };
+  }
+  try {
+    return { type, bytes: new TextEncoder().encode(decodeURIComponent(match[3])) };
+  } catch (e) {
+    return null; // Malformed escape: keep the data URI in map.json
+  }
+}
+
+/**
+ * @returns {string} A base64 data URI of the bytes.
+ */
+function bytesToDataURI(bytes, type) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
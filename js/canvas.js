@@ -1,4 +1,9 @@
 import { constants } from "./constants.js";
+import { AssetTable, migrateInlineImages } from "./assets.js";
+import { HistoryManager, MapChange, shallowEqual } from "./history.js";
+import { getPrefabObjects, transformPrefab } from "./prefabs.js";
+import { drawEdge, edgeId, getEdgeCenter, getEdgeIdBetween, getEdgesAlong, getInnerEdgeIds, getNearestEdge } from "./edges.js";
+import { getBrushCells, getCellBounds, getFloodFillCells, getLineCells, getPolylineCells, getRectangleCells, snapLineEnd } from "./gridShapes.js";
 
 export class CanvasManager {
   constructor(canvas) {
@@ -35,7 +40,7 @@ export class CanvasManager {
     this.layers.push({
       name: "Layer 1",
       objects: new Map(),
-      
+      edges: new Map(), // Walls, doors and windows between cells (see edges.js)
       gridShadowOptions: { ...constants.defaultGridShadowOptions },
       visible: true, // Currently not used, preparation for future layer management
     });
@@ -47,6 +52,9 @@ export class CanvasManager {
 
     // To support freeDraw period option
     this.lastFreeDrawPosition = null;
+    // Grid Draw and Erase brush, and the last cell of the stroke in progress (to fill gaps between mouse moves)
+    this.brushSettings = { size: 1, shape: "square" };
+    this.lastBrushCell = null;
 
     // --- Global Settings (these settings do not belong to layers) ---
     this.emptyCellSettings = {
@@ -83,130 +91,205 @@ export class CanvasManager {
     this.customObjectImage = null;
     this.customObjectImageSrc = null;
 
-    this.selectedObjects = { grid: [], free: [], custom: [] };
+    // Last used PDF export settings (saved with the map, not part of the undo history)
+    this.pdfExportSettings = { ...constants.defaultPdfExportSettings };
+    // Last used image, Universal VTT and Tiled export settings (same as above)
+    this.imageExportSettings = { ...constants.defaultImageExportSettings };
+    this.uvttExportSettings = { ...constants.defaultUvttExportSettings };
+    this.tiledExportSettings = { ...constants.defaultTiledExportSettings };
+
+    // Image objects shared by every cell/object using the same source (src -> Image)
+    this.imageCache = new Map();
 
-    this.history = [];
-    this.historyIndex = -1;
+    this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
+
+    this.history = new HistoryManager(constants.historyLimit);
+    this.pendingChange = null; // MapChange being recorded for the current action
+    this.committedSettings = null; // Settings snapshot at the last history commit
     this.copiedSelection = null;
+    // Prefab tool: the prefab to place and its rotation (quarter turns clockwise) and mirroring
+    this.prefabPlacement = { prefab: null, rotation: 0, mirror: false };
+    // Rectangle tool: filled, or only walls of `wallThickness` cells
+    this.rectangleSettings = { outline: false, wallThickness: 1 };
+    this.lineSettings = { thickness: 1 };
+    // Wall tool: the style (see constants.edgeStyles) and color of new edges
+    this.wallSettings = { style: "wall", color: constants.defaultEdgeColor };
+    // The shape being drawn: { kind: "rectangle", start, end } or { kind: "line", points, end } (cells),
+    // or { kind: "wall", start, end, edge } (grid corners, and the edge clicked on)
+    this.shapeDrag = null;
+    this.fillPreview = null; // Fill tool: the region under the mouse { key, cells, complete }, cleared when the map changes
 
     this.resizeCanvas();
     window.addEventListener("resize", () => this.resizeCanvas());
     this.setupEventListeners();
-    this.saveHistory();
+    this.resetHistory();
     this.render();
   }
 
 
   /**
-   * Saves the current state of the canvas to the history stack.
-   * The state includes layers, free draw objects, custom objects, and various settings.
-   * Ensures that the history stack does not exceed the defined limit.
-   * If the history pointer is not at the end, truncates and redoes the branch before saving.
-   * 
-   * State Details:
-   * - Layers: Includes layer name, visibility, grid shadow options, and objects.
-   * - Free Draw Objects: Includes object properties and image sources.
-   * - Custom Objects: Includes object properties and image sources.
-   * - Settings: Includes cell size, offsets, scale, active layer index, empty cell settings,
-   *   grid border options, grid image list, grid draw settings, free draw settings, and custom object image sources.
-   * 
-   * History Management:
-   * - Stores the state as a JSON string in the history stack.
-   * - Maintains a pointer to the current position in the history stack.
-   * - Removes the oldest entry if the history stack exceeds the defined limit.
+   * Commits the action in progress to the history stack as one undo step.
+   * The step contains only what the action touched: the cells, objects and layers recorded
+   * through the `_record*()` helpers, plus any change to the map settings (empty cell appearance,
+   * borders, pattern list, layer names/visibility/shadows) since the previous commit.
+   * Nothing is added if the action did not change anything.
+   *
+   * @param {string} [label] - A short description of the action (e.g. "Paint cells").
    */
-  saveHistory() {
-    const state = {
-      layers: this.layers.map((layer) => ({
+  saveHistory(label) {
+    const change = this.pendingChange || new MapChange(label);
+    if (label) change.label = label;
+    this.pendingChange = null;
+    if (change.finalize(this, this.committedSettings)) {
+      this.history.push(change);
+    }
+    this.committedSettings = this._captureSettings();
+    this.fillPreview = null; // The cells may have changed
+  }
+
+  /**
+   * Clears the undo/redo stacks and treats the current state as the starting point.
+   * Used on startup and after a whole map is loaded or reset.
+   */
+  resetHistory() {
+    this.history.clear();
+    this.pendingChange = null;
+    this.committedSettings = this._captureSettings();
+    this.fillPreview = null;
+  }
+
+  /**
+   * Returns the change being recorded for the current action, starting one if needed.
+   *
+   * @returns {MapChange} The pending change.
+   */
+  _currentChange() {
+    if (!this.pendingChange) {
+      this.pendingChange = new MapChange();
+    }
+    return this.pendingChange;
+  }
+
+  /**
+   * Records a grid cell's current state so the pending action can be undone.
+   * Must be called *before* the cell is set or deleted.
+   *
+   * @param {Object} layer - The layer object containing the cell.
+   * @param {string} cellId - The cell id.
+   */
+  _recordCell(layer, cellId) {
+    this._currentChange().recordCell(layer, cellId);
+  }
+
+  /**
+   * Records a layer edge's current state (or absence) before it is set or deleted.
+   *
+   * @param {Object} layer - The layer object containing the edge.
+   * @param {string} id - The edge id (see `edgeId()` in `edges.js`).
+   */
+  _recordEdge(layer, id) {
+    this._currentChange().recordEdge(layer, id);
+  }
+
+  /**
+   * Records a free draw object's current state (or absence) before it is added, changed or deleted.
+   *
+   * @param {string} id - The free draw object id.
+   */
+  _recordFreeDrawObject(id) {
+    this._currentChange().recordObject("freeDrawObjects", this.freeDrawObjects, id);
+  }
+
+  /**
+   * Records a custom object's current state (or absence) before it is added, changed or deleted.
+   *
+   * @param {string} id - The custom object id.
+   */
+  _recordCustomObject(id) {
+    this._currentChange().recordObject("customObjects", this.customObjects, id);
+  }
+
+  /**
+   * Records the layer list and active layer before layers are added, removed or reordered.
+   */
+  _recordLayers() {
+    this._currentChange().recordLayers(this.layers, this.activeLayerIndex);
+  }
+
+  /**
+   * Takes a snapshot of the undoable map settings.
+   *
+   * @returns {Object} The snapshot (image references are kept, not copied).
+   */
+  _captureSettings() {
+    return {
+      emptyCellSettings: { ...this.emptyCellSettings },
+      gridBorderOptions: { ...this.gridBorderOptions },
+      gridImageList: this.gridImageList.slice(),
+      layerProps: new Map(this.layers.map((layer) => [layer, {
         name: layer.name,
-        visible: layer.visible !== undefined ? layer.visible : true, // Save visibility
-        gridShadowOptions: layer.gridShadowOptions
-          ? { ...layer.gridShadowOptions } // Copy options if present
-          : { ...constants.defaultGridShadowOptions }, // Fallback to defaults if missing
-        objects: Array.from(layer.objects.entries()).map(([key, cell]) => {
-          let cellCopy = { ...cell };
-          // Use stored imageSrc if available
-          if (cellCopy.imageSrc) {
-            cellCopy.image = cellCopy.imageSrc; // Save src string
-          } else {
-            delete cellCopy.image; // Ensure no Image object is saved
-            delete cellCopy.imageSrc; // Clean up if inconsistent
-          }
-          return [key, cellCopy];
-        }),
-      })),
-      freeDrawObjects: Array.from(this.freeDrawObjects.entries()).map(
-        ([id, obj]) => {
-          let copyObj = { ...obj };
-          if (copyObj.image && copyObj.image.src) {
-            copyObj.image = copyObj.image.src;
-          } else {
-            delete copyObj.image;
-          }
-          return [id, copyObj];
-        }
-      ),
-      customObjects: Array.from(this.customObjects.entries()).map(
-        ([id, obj]) => {
-          let copyObj = { ...obj };
-          // Use stored imageSrc if available
-          if (copyObj.imageSrc) {
-            copyObj.image = copyObj.imageSrc;
-          } else {
-            delete copyObj.image;
-            delete copyObj.imageSrc;
-          }
-          return [id, copyObj];
-        }
-      ),
-      settings: {
-        currentCellSize: this.currentCellSize,
-        offsetX: this.offsetX,
-        offsetY: this.offsetY,
-        scale: this.scale,
-        activeLayerIndex: this.activeLayerIndex,
-        emptyCellSettings: {
-          ...this.emptyCellSettings,
-          pattern: this.emptyCellSettings.patternSrc,
-        },
-        gridBorderOptions: {
-          ...this.gridBorderOptions,
-          image: this.gridBorderOptions.imageSrc,
-        },
-        gridImageList: this.gridImageList, // Save the list of srcs
-        gridDrawSettings: {
-          ...this.gridDrawSettings,
-          image: this.gridDrawSettings.imageSrc,
-        },
-        freeDrawSettings: {
-          ...this.freeDrawSettings,
-          image: this.freeDrawSettings.image?.src || null,
-        },
-        customObjectImageSrc: this.customObjectImageSrc,
-      },
+        visible: layer.visible,
+        gridShadowOptions: { ...layer.gridShadowOptions },
+      }])),
     };
-    // If history pointer isn’t at the end, truncate the redo branch
-    this.history = this.history.slice(0, this.historyIndex + 1);
-    this.history.push(JSON.stringify(state)); // Store as JSON string
-    this.historyIndex++;
-
-    // Limit history size
-    if (this.history.length > constants.historyLimit) {
-        this.history.shift(); // Remove oldest entry
-        this.historyIndex--; // Adjust index
+  }
+
+  /**
+   * Compares two settings snapshots from `_captureSettings()`.
+   * Layers that exist in only one of the snapshots are ignored (layer changes are recorded separately).
+   *
+   * @param {Object} a - The first snapshot.
+   * @param {Object} b - The second snapshot.
+   * @returns {boolean} `true` if the snapshots describe the same settings.
+   */
+  _settingsEqual(a, b) {
+    if (!shallowEqual(a.emptyCellSettings, b.emptyCellSettings) ||
+        !shallowEqual(a.gridBorderOptions, b.gridBorderOptions) ||
+        a.gridImageList.length !== b.gridImageList.length ||
+        a.gridImageList.some((src, i) => src !== b.gridImageList[i])) {
+      return false;
+    }
+    for (const [layer, props] of a.layerProps) {
+      const other = b.layerProps.get(layer);
+      if (!other) continue;
+      if (props.name !== other.name || props.visible !== other.visible ||
+          !shallowEqual(props.gridShadowOptions, other.gridShadowOptions)) {
+        return false;
+      }
     }
+    return true;
+  }
+
+  /**
+   * Restores the map settings from a snapshot taken by `_captureSettings()`.
+   *
+   * @param {Object} snapshot - The settings snapshot.
+   */
+  _applySettings(snapshot) {
+    this.emptyCellSettings = { ...snapshot.emptyCellSettings };
+    this.gridBorderOptions = { ...snapshot.gridBorderOptions };
+    this.gridImageList = snapshot.gridImageList.slice();
+    snapshot.layerProps.forEach((props, layer) => {
+      layer.name = props.name;
+      layer.visible = props.visible;
+      layer.gridShadowOptions = { ...props.gridShadowOptions };
+    });
   }
 
 
   /**
    * Loads the application state from the provided state object.
    * This method initializes layers, free draw objects, custom objects, and settings,
-   * recreating image objects where necessary and ensuring default values are applied
-   * when data is missing or invalid.
+   * resolving image references through the state's `assets` table and ensuring default
+   * values are applied when data is missing or invalid.
+   * States in the old 1.0.0 format (inline image data URIs) are migrated first.
    *
    * @param {Object} state - The state object to load.
    */
   loadStateData(state) {
+    state = migrateInlineImages(state);
+    const assets = new AssetTable(state.assets);
+
     this.layers = state.layers.map((layerData) => {
       let newLayer = {
         name: layerData.name || "Unnamed Layer",
@@ -217,28 +300,21 @@ export class CanvasManager {
         },
         objects: new Map(
           (layerData.objects || []).map(([key, cell]) => {
-            // Recreate Image objects from src
-            if (cell.type === "image" && cell.image && typeof cell.image === "string") {
-              let img = new Image();
-              img.src = cell.image;
-              cell.imageSrc = cell.image; // Store src back
-              cell.image = img; // Store Image object
-              // TODO: Add onload/onerror handlers if needed for robustness during load
-              img.onload = () => this.render(); // Re-render when images load
-            } else {
-                cell.image = null; // Ensure no broken image refs
-                cell.imageSrc = null;
-            }
-            return [key, cell];
+            const { imageId, ...cellData } = cell;
+            const imageSrc = cellData.type === "image" ? assets.get(imageId) : null;
+            cellData.imageSrc = imageSrc;
+            cellData.image = this._getImage(imageSrc); // Shared Image object per source
+            return [key, cellData];
           })
         ),
+        edges: new Map((layerData.edges || []).map(([key, edge]) => [key, { ...edge }])),
       };
       return newLayer;
     });
     // Ensure at least one layer exists
     if (this.layers.length === 0) {
         this.layers.push({
-            name: "Layer 1", objects: new Map(), visible: true,
+            name: "Layer 1", objects: new Map(), edges: new Map(), visible: true,
             gridShadowOptions: { ...constants.defaultGridShadowOptions }
         });
     }
@@ -247,150 +323,132 @@ export class CanvasManager {
     // Load rest of state (freeDraw, customObjects, settings)
     this.freeDrawObjects = new Map(
       (state.freeDrawObjects || []).map(([id, obj]) => {
-        if (obj.image && typeof obj.image === "string") {
-          let img = new Image();
-          img.src = obj.image;
-          obj.image = img;
-          img.onload = () => this.render();
-        } else {
-            obj.image = null;
-        }
-        return [id, obj];
+        const { imageId, ...objData } = obj;
+        objData.image = this._getImage(assets.get(imageId));
+        return [id, objData];
       })
     );
     this.customObjects = new Map(
       (state.customObjects || []).map(([id, obj]) => {
-        if (obj.image && typeof obj.image === "string") {
-          let img = new Image();
-          img.src = obj.image;
-          obj.imageSrc = obj.image;
-          obj.image = img;
-          img.onload = () => this.render();
-        } else {
-            obj.image = null;
-            obj.imageSrc = null;
-        }
-        return [id, obj];
+        const { imageId, ...objData } = obj;
+        objData.imageSrc = assets.get(imageId);
+        objData.image = this._getImage(objData.imageSrc);
+        return [id, objData];
       })
     );
 
     // Load settings
     if (state.settings) {
-        this.currentCellSize = state.settings.currentCellSize || constants.baseCellSize;
-        this.offsetX = state.settings.offsetX || 0;
-        this.offsetY = state.settings.offsetY || 0;
-        this.scale = state.settings.scale || 1;
-        this.activeLayerIndex = state.settings.activeLayerIndex || 0;
+        const settings = state.settings;
+        this.currentCellSize = settings.currentCellSize || constants.baseCellSize;
+        this.offsetX = settings.offsetX || 0;
+        this.offsetY = settings.offsetY || 0;
+        this.scale = settings.scale || 1;
+        this.activeLayerIndex = settings.activeLayerIndex || 0;
         // Ensure activeLayerIndex is valid
         if (this.activeLayerIndex >= this.layers.length || this.activeLayerIndex < 0) {
             this.activeLayerIndex = 0;
         }
 
         // Empty Cell Settings
-        this.emptyCellSettings = state.settings.emptyCellSettings || this.emptyCellSettings;
-        if (this.emptyCellSettings.pattern && typeof this.emptyCellSettings.pattern === "string") {
-          let img = new Image();
-          img.src = this.emptyCellSettings.pattern;
-          this.emptyCellSettings.patternSrc = this.emptyCellSettings.pattern;
-          this.emptyCellSettings.pattern = img;
-          img.onload = () => this.render();
-        } else {
-          this.emptyCellSettings.pattern = null;
-          this.emptyCellSettings.patternSrc = null;
+        if (settings.emptyCellSettings) {
+          const { patternId, ...emptyCellSettings } = settings.emptyCellSettings;
+          this.emptyCellSettings = emptyCellSettings;
+          this.emptyCellSettings.patternSrc = assets.get(patternId);
+          this.emptyCellSettings.pattern = this._getImage(this.emptyCellSettings.patternSrc);
         }
 
         // Grid Border Options
-        this.gridBorderOptions = state.settings.gridBorderOptions || this.gridBorderOptions;
-        if (this.gridBorderOptions.image && typeof this.gridBorderOptions.image === "string") {
-          let img = new Image();
-          img.src = this.gridBorderOptions.image;
-          this.gridBorderOptions.imageSrc = this.gridBorderOptions.image;
-          this.gridBorderOptions.image = img;
-          img.onload = () => this.render();
-        } else {
-          this.gridBorderOptions.image = null;
-          this.gridBorderOptions.imageSrc = null;
+        if (settings.gridBorderOptions) {
+          const { imageId, ...gridBorderOptions } = settings.gridBorderOptions;
+          this.gridBorderOptions = gridBorderOptions;
+          this.gridBorderOptions.imageSrc = assets.get(imageId);
+          this.gridBorderOptions.image = this._getImage(this.gridBorderOptions.imageSrc);
         }
 
         // Grid Draw Image List & Settings
-        this.gridImageList = state.settings.gridImageList || [];
-        this.gridDrawSettings = state.settings.gridDrawSettings || this.gridDrawSettings;
-        if (this.gridDrawSettings.image && typeof this.gridDrawSettings.image === "string") {
-            let img = new Image();
-            img.src = this.gridDrawSettings.image;
-            this.gridDrawSettings.imageSrc = this.gridDrawSettings.image;
-            this.gridDrawSettings.image = img;
-            img.onload = () => this.render();
-        } else {
-            this.gridDrawSettings.image = null;
-            this.gridDrawSettings.imageSrc = null;
+        this.gridImageList = (settings.gridImageList || []).map((id) => assets.get(id)).filter(Boolean);
+        if (settings.gridDrawSettings) {
+          const { imageId, ...gridDrawSettings } = settings.gridDrawSettings;
+          this.gridDrawSettings = gridDrawSettings;
+          this.gridDrawSettings.imageSrc = assets.get(imageId);
+          this.gridDrawSettings.image = this._getImage(this.gridDrawSettings.imageSrc);
         }
 
         // Free Draw Settings Image
-        this.freeDrawSettings = state.settings.freeDrawSettings || this.freeDrawSettings;
-        if (this.freeDrawSettings.image && typeof this.freeDrawSettings.image === "string") {
-            let img = new Image();
-            img.src = this.freeDrawSettings.image;
-            this.freeDrawSettings.image = img;
-            img.onload = () => this.render();
-        } else {
-            this.freeDrawSettings.image = null;
+        if (settings.freeDrawSettings) {
+          const { imageId, ...freeDrawSettings } = settings.freeDrawSettings;
+          this.freeDrawSettings = freeDrawSettings;
+          this.freeDrawSettings.image = this._getImage(assets.get(imageId));
         }
 
         // Add Object Image
-        this.customObjectImageSrc = state.settings.customObjectImageSrc || null;
-        if (this.customObjectImageSrc) {
-            let img = new Image();
-            img.src = this.customObjectImageSrc;
-            this.customObjectImage = img;
-            // No immediate render needed for this one
-        } else {
-            this.customObjectImage = null;
-        }
+        this.customObjectImageSrc = assets.get(settings.customObjectImageId);
+        this.customObjectImage = this._getImage(this.customObjectImageSrc);
+
+        // PDF Export Settings
+        this.pdfExportSettings = {
+            ...constants.defaultPdfExportSettings,
+            ...(settings.pdfExportSettings || {})
+        };
+
+        // Image Export Settings
+        this.imageExportSettings = {
+            ...constants.defaultImageExportSettings,
+            ...(settings.imageExportSettings || {})
+        };
+
+        // Universal VTT Export Settings
+        this.uvttExportSettings = {
+            ...constants.defaultUvttExportSettings,
+            ...(settings.uvttExportSettings || {})
+        };
+
+        // Tiled Export Settings
+        this.tiledExportSettings = {
+            ...constants.defaultTiledExportSettings,
+            ...(settings.tiledExportSettings || {})
+        };
     }
 
     // Clear selection (we might not need to do that)
-    this.selectedObjects = { grid: [], free: [], custom: [] };
+    this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
     this.selectionStart = null;
     this.selectionEnd = null;
   }
 
 
   /**
-   * Loads a history state from a JSON string, parses it, and applies the state to the canvas.
-   * If the parsing fails, an error is logged to the console.
-   *
-   * @param {string} stateString - A JSON string representing the history state to be loaded.
-   * @throws {SyntaxError} Throws an error if the provided string is not valid JSON.
+   * Undoes the last action. An action still in progress is committed first.
    */
-  loadHistoryState(stateString) {
-    try {
-        const state = JSON.parse(stateString);
-        this.loadStateData(state);
-        this.render();
-    } catch (e) {
-        console.error("Error parsing history state:", e);
+  undo() {
+    if (this.pendingChange) this.saveHistory();
+    if (this.history.undo(this)) {
+      this._afterHistoryStep();
     }
   }
 
   /**
-   * Undoes the last action by loading the previous state from history.
+   * Redoes the last undone action.
    */
-  undo() {
-    if (this.historyIndex > 0) {
-      this.historyIndex--;
-      this.loadHistoryState(this.history[this.historyIndex]);
+  redo() {
+    if (this.history.redo(this)) {
+      this._afterHistoryStep();
     }
   }
 
   /**
-   * Redoes the last undone action by loading the next state from history.
+   * Brings the rest of the state in line after an undo/redo step:
+   * clears the selection, keeps the active layer valid and re-renders.
    */
-  redo() {
-    if (this.historyIndex < this.history.length - 1) {
-      this.historyIndex++;
-      this.loadHistoryState(this.history[this.historyIndex]);
-    }
+  _afterHistoryStep() {
+    this.committedSettings = this._captureSettings();
+    this.fillPreview = null;
+    this.activeLayerIndex = Math.min(Math.max(0, this.activeLayerIndex), this.layers.length - 1);
+    this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
+    this.selectionStart = null;
+    this.selectionEnd = null;
+    this.render();
   }
 
   /**
@@ -406,18 +464,122 @@ export class CanvasManager {
 
   /**
    * Clears the canvas by resetting all objects and selections.
+   * The removed content is recorded, so the clear can be undone once committed with `saveHistory()`.
    */
   clearCanvas() {
-    this.layers.forEach((layer) => layer.objects.clear());
+    this.layers.forEach((layer) => {
+      layer.objects.forEach((cell, cellId) => this._recordCell(layer, cellId));
+      layer.objects.clear();
+      layer.edges.forEach((edge, id) => this._recordEdge(layer, id));
+      layer.edges.clear();
+    });
+    this.freeDrawObjects.forEach((obj, id) => this._recordFreeDrawObject(id));
     this.freeDrawObjects.clear();
+    this.customObjects.forEach((obj, id) => this._recordCustomObject(id));
     this.customObjects.clear();
-    this.selectedObjects = { grid: [], free: [], custom: [] };
+    this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
     this.selectionStart = null;
     this.selectionEnd = null;
     // Don't reset history here, clearCanvas should be undoable
     this.render();
   }
 
+  /**
+   * Resets the whole map to the default state: one empty layer, default view, default settings
+   * and instrument settings. Clears the selection and the history, then updates the HUD.
+   * Used when starting a new map and on restart.
+   */
+  resetMap() {
+    this.clearCanvas();
+
+    // Reset Layers
+    this.layers = [{
+        name: "Layer 1",
+        objects: new Map(),
+        edges: new Map(),
+        visible: true,
+        gridShadowOptions: { ...constants.defaultGridShadowOptions }
+    }];
+    this.activeLayerIndex = 0;
+
+    // Reset View
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.scale = 1;
+
+    // Reset Core Settings
+    this.currentCellSize = constants.baseCellSize;
+    this.emptyCellSettings = {
+      fillColor: constants.defaultEmptyCellFillColor,
+      borderColor: constants.defaultEmptyCellBorderColor,
+      pattern: null,
+      patternSrc: null,
+    };
+    // Reset Global Border Options
+    this.gridBorderOptions = {
+      enabled: false,
+      image: null,
+      imageSrc: null,
+    };
+
+    // Reset Instrument-Specific Settings
+    // Reset Grid Draw Settings
+    this.gridDrawSettings = {
+      type: "color",
+      fillColor: constants.defaultGridDrawFillColor,
+      borderColor: constants.defaultGridDrawBorderColor,
+      image: null,
+      imageSrc: null,
+    };
+    this.gridImageList = []; // Clear uploaded grid patterns
+
+    // Reset Free Draw Settings
+    this.freeDrawSettings = {
+      period: 0,
+      size: 1,
+      fillColor: constants.defaultFreeFillColor,
+      strokeColor: constants.defaultFreeBorderColor,
+      connectSVG: true,
+      image: null,
+    };
+
+    // Reset Add Object Tool Image
+    this.customObjectImage = null;
+    this.customObjectImageSrc = null;
+
+    // Reset Export Settings
+    this.pdfExportSettings = { ...constants.defaultPdfExportSettings };
+    this.imageExportSettings = { ...constants.defaultImageExportSettings };
+    this.uvttExportSettings = { ...constants.defaultUvttExportSettings };
+    this.tiledExportSettings = { ...constants.defaultTiledExportSettings };
+
+    // Reset Active Instrument
+    this.setActiveInstrument('gridDraw');
+
+    // Reset History & Selection
+    this.copiedSelection = null;
+    this.resetHistory(); // The empty state is the new starting point
+
+    // Update HUD to Reflect Defaults
+    if (window.hudInstance) { // Use global HUD instance
+        // Update layer list
+        window.hudInstance.updateLayerList();
+        // Update appearance controls (shadows, borders)
+        window.hudInstance.updateAppearanceControls();
+        // Update canvas settings controls
+        document.getElementById("cellSize").value = this.currentCellSize;
+        // Update empty cell controls
+        document.getElementById("emptyFillColor").value = this.emptyCellSettings.fillColor;
+        document.getElementById("emptyBorderColor").value = this.emptyCellSettings.borderColor;
+        document.getElementById("emptyPattern").value = ''; // Clear file input
+        // Reload instrument settings panel for the current (likely default) tool
+        window.hudInstance.loadInstrumentSettings(this.activeInstrument);
+    }
+
+    // Re-render the cleared canvas
+    this.render();
+  }
+
   /**
    * Resizes the canvas to fit the window dimensions and re-renders the canvas.
    */
@@ -544,12 +706,13 @@ export class CanvasManager {
               this.selectionEnd = worldPos;
               // Clear previous selection unless Shift is held (implement multi-select later)
               if (!event.shiftKey) {
-                  this.selectedObjects = { grid: [], free: [], custom: [] };
+                  this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
               }
           }
         } else {
           // Start drawing with other tools
           this.isDrawing = true;
+          this.lastBrushCell = null;
           this.handleDrawing(worldPos, event); // Pass event if needed
         }
         this.render(); // Render everything immediately
@@ -580,6 +743,16 @@ export class CanvasManager {
       // Drawing
       if (this.isDrawing) {
         this.handleDrawing(worldPos, event);
+      } else if (this.shapeDrag?.kind === "line") {
+        // An open polyline follows the mouse between clicks
+        this.updateLineEnd(Math.floor(worldPos.x / this.currentCellSize), Math.floor(worldPos.y / this.currentCellSize), event.shiftKey);
+        this.render();
+      }
+
+      // Prefab and fill previews, the brush outline and the edge under the mouse follow it
+      if ((this.activeInstrument === "placePrefab" && this.prefabPlacement.prefab) ||
+          ["gridFill", "gridDraw", "erase", "wall"].includes(this.activeInstrument)) {
+        this.render();
       }
 
       // Selecting (updating selection rectangle)
@@ -610,7 +783,9 @@ export class CanvasManager {
         if (this.isDrawing) {
           this.isDrawing = false;
           this.lastFreeDrawPosition = null; // Reset for free draw period
-          this.saveHistory(); // Save state after drawing action
+          this.lastBrushCell = null; // The next stroke starts fresh
+          if (this.shapeDrag && !this.isLineOpen()) this.finishShapeDrag();
+          this.saveHistory(this.activeInstrument); // Commit the whole stroke as one undo step
         }
         if (this.isSelecting) {
           this.isSelecting = false;
@@ -621,7 +796,7 @@ export class CanvasManager {
         if (this.isMovingSelection) {
           this.isMovingSelection = false;
           this.selectionDragStart = null;
-          this.saveHistory(); // Save state after moving selection
+          this.saveHistory("Move selection"); // Commit the whole drag as one undo step
         }
       }
     });
@@ -642,45 +817,86 @@ export class CanvasManager {
    * @throws {Error} Throws an error if an unsupported instrument is used.
    *
    * Instruments:
-   * - "gridDraw": Draws or updates a grid cell on the active layer.
+   * - "gridDraw": Paints the cells under the brush on the active layer (see `brushSettings`).
+   * - "gridRect": Starts (on mouse down) or resizes the rectangle to paint on mouse up (see `shapeDrag`).
+   * - "gridLine": Starts the line or adds a corner to it (on mouse down) and moves its end while dragging (see `shapeDrag`).
+   * - "gridFill": Fills the region around the clicked cell (once per click, see `fillRegion()`).
+   * - "wall": Starts (on mouse down) or extends the run of edges to place on mouse up (see `shapeDrag`).
    * - "freeDraw": Draws freehand objects based on user input.
-   * - "erase": Erases grid cells, free draw objects, or custom objects based on proximity or bounding box.
+   * - "erase": Erases the grid cells under the brush, the edges around them and the free draw and custom objects overlapping them.
    * - "addObject": Adds a custom object (e.g., image) to the canvas at the specified position.
+   * - "placePrefab": Places the selected prefab with its top-left cell at the position (once per click).
    *
    * Notes:
    * - For "gridDraw", the method checks if the cell data has changed before updating.
+   * - For "gridDraw" and "erase", the cells between the previous and the current mouse position are included,
+   *   so fast strokes leave no gaps.
    * - For "freeDraw", the method respects a minimum distance (period) between points.
    * - For "erase", the method supports erasing grid cells, free draw objects, and custom objects.
    * - For "addObject", the method requires a selected image to place on the canvas.
+   * - For "placePrefab", dragging does not place more copies.
+   * - For "gridLine", Shift snaps the end to 0/45/90 degrees; clicking the last corner again ends the polyline.
    */
   handleDrawing(worldPos, event) {
     const cellX = Math.floor(worldPos.x / this.currentCellSize); // Cell index over x-axis
     const cellY = Math.floor(worldPos.y / this.currentCellSize); // Cell index over y-axis
     const activeLayerObjects = this.layers[this.activeLayerIndex]?.objects;
 
-    if (!activeLayerObjects && this.activeInstrument === 'gridDraw') { // currently only gridDraw is layer-dependent
+    if (!activeLayerObjects && ['gridDraw', 'gridRect', 'gridLine', 'gridFill', 'wall'].includes(this.activeInstrument)) { // currently only the grid tools are layer-dependent
         console.warn("No active layer to draw on.");
         return;
     }
 
     switch (this.activeInstrument) {
-      case "gridDraw":
-        const cellId = this._cellId(cellX, cellY);
-        const currentCell = activeLayerObjects.get(cellId);
-        const newCellData = {
-          x: cellX,
-          y: cellY,
-          type: this.gridDrawSettings.type,
-          fillColor: this.gridDrawSettings.fillColor,
-          borderColor: this.gridDrawSettings.borderColor,
-          image: this.gridDrawSettings.image,
-          imageSrc: this.gridDrawSettings.imageSrc,
-        };
-        
-        if (JSON.stringify(currentCell) !== JSON.stringify(newCellData)) { // If cells are not identical (if they are, we do nothing)
-          activeLayerObjects.set(cellId, newCellData);
-          this.render();
+      case "gridDraw": {
+        const layer = this.layers[this.activeLayerIndex];
+        let changed = false;
+        this._getStrokeCells(cellX, cellY).forEach((cell) => {
+          if (this._paintCell(layer, cell.x, cell.y)) changed = true;
+        });
+        if (changed) this.render();
+        break;
+      }
+
+      case "gridRect":
+        if (event?.type === "mousedown") {
+          this.shapeDrag = { kind: "rectangle", start: { x: cellX, y: cellY }, end: { x: cellX, y: cellY } };
+        } else if (this.shapeDrag) {
+          this.shapeDrag.end = { x: cellX, y: cellY };
+        }
+        this.render();
+        break;
+
+      case "gridLine":
+        if (event?.type === "mousedown" && !this.shapeDrag) {
+          this.shapeDrag = { kind: "line", points: [{ x: cellX, y: cellY }], end: { x: cellX, y: cellY } };
+        } else if (event?.type === "mousedown") {
+          this.updateLineEnd(cellX, cellY, event.shiftKey);
+          if (this.isLineOpen()) {
+            this.finishShapeDrag(); // Clicked the last corner again
+          } else {
+            this.shapeDrag.points.push(this.shapeDrag.end);
+          }
+        } else if (this.shapeDrag) {
+          this.updateLineEnd(cellX, cellY, event?.shiftKey);
+        }
+        this.render();
+        break;
+
+      case "wall": {
+        const corner = { x: Math.round(worldPos.x / this.currentCellSize), y: Math.round(worldPos.y / this.currentCellSize) };
+        if (event?.type === "mousedown") {
+          const edge = getNearestEdge(worldPos.x / this.currentCellSize, worldPos.y / this.currentCellSize);
+          this.shapeDrag = { kind: "wall", start: corner, end: corner, edge };
+        } else if (this.shapeDrag) {
+          this.shapeDrag.end = corner;
         }
+        this.render();
+        break;
+      }
+
+      case "gridFill":
+        if (event?.type === "mousedown") this.fillRegion(cellX, cellY);
         break;
 
       case "freeDraw":
@@ -694,6 +910,7 @@ export class CanvasManager {
           }
         }
         const id = Date.now().toString() + Math.random().toString(36).substring(2);
+        this._recordFreeDrawObject(id);
         this.freeDrawObjects.set(id, {
           x: worldPos.x,
           y: worldPos.y,
@@ -709,37 +926,69 @@ export class CanvasManager {
         this.render();
         break;
 
-      case "erase":
-        // Erase grid cell on active layer
-        const gridCellId = this._cellId(cellX, cellY);
-        if (activeLayerObjects?.has(gridCellId)) {
-            activeLayerObjects.delete(gridCellId);
+      case "erase": {
+        // Erase the grid cells under the brush on the active layer
+        const eraseCells = this._getStrokeCells(cellX, cellY);
+        const eraseLayer = this.layers[this.activeLayerIndex];
+        eraseCells.forEach((cell) => {
+          const gridCellId = this._cellId(cell.x, cell.y);
+          if (activeLayerObjects?.has(gridCellId)) {
+              this._recordCell(eraseLayer, gridCellId);
+              activeLayerObjects.delete(gridCellId);
+          }
+        });
+
+        // Erase the edges the brush covers (between two brush cells) and the edge under the cursor.
+        // Edges on the brush outline are shared with cells outside it and stay.
+        if (eraseLayer?.edges.size > 0) {
+          const nearestEdge = getNearestEdge(worldPos.x / this.currentCellSize, worldPos.y / this.currentCellSize);
+          const eraseEdgeIds = getInnerEdgeIds(eraseCells);
+          if (nearestEdge.distance <= constants.edgeThickness) eraseEdgeIds.push(edgeId(nearestEdge.side, nearestEdge.x, nearestEdge.y));
+          eraseEdgeIds.forEach((id) => {
+            if (!eraseLayer.edges.has(id)) return;
+            this._recordEdge(eraseLayer, id);
+            eraseLayer.edges.delete(id);
+          });
         }
 
-        // Erase free draw objects (check proximity)
-        const eraseRadiusFreeWorld = this.currentCellSize / 2;
+        // Objects are erased if they overlap a brush cell
+        const size = this.currentCellSize;
+        const bounds = getCellBounds(eraseCells);
+        const overlapsBrush = (minX, minY, maxX, maxY, distanceCheck) => {
+          if (maxX <= bounds.minX * size || minX >= (bounds.maxX + 1) * size ||
+              maxY <= bounds.minY * size || minY >= (bounds.maxY + 1) * size) return false; // Quick reject
+          return eraseCells.some((cell) => maxX > cell.x * size && minX < (cell.x + 1) * size &&
+            maxY > cell.y * size && minY < (cell.y + 1) * size && (!distanceCheck || distanceCheck(cell)));
+        };
+
+        // Erase free draw objects (circles)
         for (let [fId, fObj] of this.freeDrawObjects) {
-          const dxFree = fObj.x - worldPos.x;
-          const dyFree = fObj.y - worldPos.y;
-          // Check distance against object size or a fixed radius
-          if (Math.sqrt(dxFree * dxFree + dyFree * dyFree) < (fObj.size / 2 || eraseRadiusFreeWorld)) {
+          const radius = fObj.size / 2 || size / 2;
+          const circleOverlaps = (cell) => {
+            // Distance from the circle center to the nearest point of the cell
+            const dxFree = Math.max(cell.x * size - fObj.x, 0, fObj.x - (cell.x + 1) * size);
+            const dyFree = Math.max(cell.y * size - fObj.y, 0, fObj.y - (cell.y + 1) * size);
+            return dxFree * dxFree + dyFree * dyFree < radius * radius;
+          };
+          if (overlapsBrush(fObj.x - radius, fObj.y - radius, fObj.x + radius, fObj.y + radius, circleOverlaps)) {
+            this._recordFreeDrawObject(fId);
             this.freeDrawObjects.delete(fId);
           }
         }
 
         // Erase custom objects (check bounding box)
         for (let [cId, cObj] of this.customObjects) {
+            if (cObj.locked) continue; // Locked objects (e.g. imported backgrounds) stay
             // Simple AABB check for now (ignores rotation)
-            if (worldPos.x >= cObj.x - cObj.width / 2 &&
-                worldPos.x <= cObj.x + cObj.width / 2 &&
-                worldPos.y >= cObj.y - cObj.height / 2 &&
-                worldPos.y <= cObj.y + cObj.height / 2) {
+            if (overlapsBrush(cObj.x - cObj.width / 2, cObj.y - cObj.height / 2, cObj.x + cObj.width / 2, cObj.y + cObj.height / 2)) {
+                this._recordCustomObject(cId);
                 this.customObjects.delete(cId);
             }
             // TODO: Add rotated bounding box check for more accuracy
         }
         this.render();
         break;
+      }
 
       case "addObject":
         if (this.customObjectImage) {
@@ -748,6 +997,7 @@ export class CanvasManager {
           const objWidth = this.customObjectImage.naturalWidth * (this.currentCellSize / constants.baseCellSize); // Scale based on image size scaled by current cell size.
           const objHeight = this.customObjectImage.naturalHeight * (this.currentCellSize / constants.baseCellSize);
 
+          this._recordCustomObject(objId);
           this.customObjects.set(objId, {
             x: worldPos.x,
             y: worldPos.y,
@@ -764,6 +1014,10 @@ export class CanvasManager {
         }
         break;
       
+      case "placePrefab":
+        if (event?.type === "mousedown") this.placePrefab(cellX, cellY);
+        break;
+
       default:
         throw new Error(`Unsupported instrument: ${this.activeInstrument}`);
     }
@@ -782,7 +1036,7 @@ export class CanvasManager {
    * @param {number} worldPos.y - The y-coordinate of the world position.
    * @returns {Object|null} The object found at the specified position, or `null` if no object is found.
    * The returned object contains the following properties:
-   * - `type` {string} - The type of the object ("custom", "free", or "grid").
+   * - `type` {string} - The type of the object ("custom", "free", "edge", or "grid").
    * - `id` {string|number} - The unique identifier of the object.
    * - `object` {Object} - The object itself.
    */
@@ -791,6 +1045,7 @@ export class CanvasManager {
       const customIds = Array.from(this.customObjects.keys()).reverse();
       for (const id of customIds) {
           const obj = this.customObjects.get(id);
+          if (obj.locked) continue; // Locked objects cannot be selected
           // TODO: Implement rotated point-in-rect check (should we even bother?)
           // Simple AABB check for now:
           if (worldPos.x >= obj.x - obj.width / 2 && worldPos.x <= obj.x + obj.width / 2 &&
@@ -810,6 +1065,14 @@ export class CanvasManager {
           }
       }
 
+      // Check Edges (walls, doors, ...) on Active Layer, near their grid line
+      const activeLayer = this.layers[this.activeLayerIndex];
+      const nearestEdge = getNearestEdge(worldPos.x / this.currentCellSize, worldPos.y / this.currentCellSize);
+      const nearestEdgeId = edgeId(nearestEdge.side, nearestEdge.x, nearestEdge.y);
+      if (nearestEdge.distance <= constants.edgeThickness && activeLayer?.edges.has(nearestEdgeId)) {
+          return { type: "edge", id: nearestEdgeId, object: activeLayer.edges.get(nearestEdgeId) };
+      }
+
       // Check Grid Cell on Active Layer
       const cellX = Math.floor(worldPos.x / this.currentCellSize);
       const cellY = Math.floor(worldPos.y / this.currentCellSize);
@@ -825,7 +1088,7 @@ export class CanvasManager {
    * Checks if a given object is selected based on its type and ID.
    *
    * @param {Object} objInfo - Information about the object to check.
-   * @param {string} objInfo.type - The type of the object ('grid', 'free', or 'custom').
+   * @param {string} objInfo.type - The type of the object ('grid', 'edge', 'free', or 'custom').
    * @param {string|number} objInfo.id - The unique identifier of the object.
    * @returns {boolean} Returns `true` if the object is selected, otherwise `false`.
    */
@@ -833,6 +1096,7 @@ export class CanvasManager {
       if (!objInfo) return false;
       switch (objInfo.type) {
           case 'grid': return this.selectedObjects.grid.includes(objInfo.id);
+          case 'edge': return this.selectedObjects.edges.includes(objInfo.id);
           case 'free': return this.selectedObjects.free.includes(objInfo.id);
           case 'custom': return this.selectedObjects.custom.includes(objInfo.id);
           default: return false;
@@ -851,6 +1115,7 @@ export class CanvasManager {
    * 
    * Selection Types:
    * - Grid objects: Selected based on their center point being within the selection rectangle.
+   * - Edges (walls, doors, ...): Selected based on their midpoint being within the selection rectangle.
    * - Free draw objects: Selected based on their position being within the selection rectangle.
    * - Custom objects: Selected based on their axis-aligned bounding box (AABB) intersecting the selection rectangle.
    * 
@@ -867,18 +1132,19 @@ export class CanvasManager {
     {
         const clickedObject = this.getObjectAtWorldPos(this.selectionStart);
         if (clickedObject) { // we have chosen an object
-            this.selectedObjects = { grid: [], free: [], custom: [] }; // Clear previous (maybe for shift-click we shouldn't?)
+            this.selectedObjects = { grid: [], edges: [], free: [], custom: [] }; // Clear previous (maybe for shift-click we shouldn't?)
             if (clickedObject.type === 'grid') this.selectedObjects.grid.push(clickedObject.id);
+            if (clickedObject.type === 'edge') this.selectedObjects.edges.push(clickedObject.id);
             if (clickedObject.type === 'free') this.selectedObjects.free.push(clickedObject.id);
             if (clickedObject.type === 'custom') this.selectedObjects.custom.push(clickedObject.id);
         } else {
             // Clicked on empty space, clear selection
-            this.selectedObjects = { grid: [], free: [], custom: [] };
+            this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
         }
     }
     // If it was a drag selection
     else if (this.selectionStart && this.selectionEnd) {
-        this.selectedObjects = { grid: [], free: [], custom: [] }; // Clear previous (maybe for shift-click we shouldn't?)
+        this.selectedObjects = { grid: [], edges: [], free: [], custom: [] }; // Clear previous (maybe for shift-click we shouldn't?)
 
         const startX = Math.min(this.selectionStart.x, this.selectionEnd.x);
         const startY = Math.min(this.selectionStart.y, this.selectionEnd.y);
@@ -897,6 +1163,16 @@ export class CanvasManager {
             });
         }
 
+        // Select edges of the active layer (check midpoint within rect)
+        this.layers[this.activeLayerIndex]?.edges.forEach((edge, id) => {
+            const center = getEdgeCenter(edge);
+            const centerX = center.x * this.currentCellSize;
+            const centerY = center.y * this.currentCellSize;
+            if (centerX >= startX && centerX < endX && centerY >= startY && centerY < endY) {
+                this.selectedObjects.edges.push(id);
+            }
+        });
+
         // Select free draw objects (check center point within rect)
         this.freeDrawObjects.forEach((obj, id) => {
             if (obj.x >= startX && obj.x < endX && obj.y >= startY && obj.y < endY) {
@@ -906,6 +1182,7 @@ export class CanvasManager {
 
         // Select custom objects (check if AABB intersects rect)
         this.customObjects.forEach((obj, id) => {
+            if (obj.locked) return; // Locked objects cannot be selected
             const objMinX = obj.x - obj.width / 2;
             const objMinY = obj.y - obj.height / 2;
             const objMaxX = obj.x + obj.width / 2;
@@ -927,7 +1204,7 @@ export class CanvasManager {
    * Moves the currently selected objects on the canvas by the specified offsets in world coordinates.
    * 
    * This method updates the positions of free draw objects and custom objects that are currently selected.
-   * Grid cells are not supported for movement.
+   * Grid cells and edges are not supported for movement.
    * 
    * @param {number} dxWorld - The horizontal offset in world coordinates to move the selected objects.
    * @param {number} dyWorld - The vertical offset in world coordinates to move the selected objects.
@@ -939,6 +1216,7 @@ export class CanvasManager {
     this.selectedObjects.free.forEach((id) => {
       const obj = this.freeDrawObjects.get(id);
       if (obj) {
+        this._recordFreeDrawObject(id);
         obj.x += dxWorld;
         obj.y += dyWorld;
       }
@@ -948,6 +1226,7 @@ export class CanvasManager {
     this.selectedObjects.custom.forEach((id) => {
       const obj = this.customObjects.get(id);
       if (obj) {
+        this._recordCustomObject(id);
         obj.x += dxWorld;
         obj.y += dyWorld;
       }
@@ -960,7 +1239,7 @@ export class CanvasManager {
    * Calculates the center point of the currently selected objects on the canvas.
    *
    * The method computes the average position of all selected objects, including
-   * grid-based objects, free-draw objects, and custom objects. If no objects are
+   * grid-based objects, edges, free-draw objects, and custom objects. If no objects are
    * selected, it returns `null`.
    *
    * @returns {{x: number, y: number} | null} The center point of the selection as an object
@@ -982,6 +1261,16 @@ export class CanvasManager {
               }
           });
       }
+      const activeLayerEdges = this.layers[this.activeLayerIndex]?.edges;
+      this.selectedObjects.edges.forEach(id => {
+          const edge = activeLayerEdges?.get(id);
+          if (edge) {
+              const center = getEdgeCenter(edge);
+              sumX += center.x * this.currentCellSize;
+              sumY += center.y * this.currentCellSize;
+              count++;
+          }
+      });
       this.selectedObjects.free.forEach(id => {
           const obj = this.freeDrawObjects.get(id);
           if (obj) {
@@ -1032,6 +1321,7 @@ export class CanvasManager {
     this.selectedObjects.free.forEach((id) => {
       let obj = this.freeDrawObjects.get(id);
       if (obj) {
+        this._recordFreeDrawObject(id);
         let dx = obj.x - center.x;
         let dy = obj.y - center.y;
         obj.x = center.x + dx * cosRad - dy * sinRad;
@@ -1044,6 +1334,7 @@ export class CanvasManager {
     this.selectedObjects.custom.forEach((id) => {
       let obj = this.customObjects.get(id);
       if (obj) {
+        this._recordCustomObject(id);
         let dx = obj.x - center.x;
         let dy = obj.y - center.y;
         obj.x = center.x + dx * cosRad - dy * sinRad;
@@ -1056,7 +1347,7 @@ export class CanvasManager {
 
     this.render();
     window.hudInstance.loadInstrumentSettings(this.activeInstrument);
-    this.saveHistory();
+    this.saveHistory("Rotate selection");
   }
 
   /**
@@ -1085,6 +1376,7 @@ export class CanvasManager {
     this.selectedObjects.free.forEach((id) => {
       let obj = this.freeDrawObjects.get(id);
       if (obj) {
+        this._recordFreeDrawObject(id);
         obj.x = center.x + (obj.x - center.x) * scaleFactor;
         obj.y = center.y + (obj.y - center.y) * scaleFactor;
         obj.size *= scaleFactor; // Scale the size property
@@ -1095,6 +1387,7 @@ export class CanvasManager {
     this.selectedObjects.custom.forEach((id) => {
       let obj = this.customObjects.get(id);
       if (obj) {
+        this._recordCustomObject(id);
         obj.x = center.x + (obj.x - center.x) * scaleFactor;
         obj.y = center.y + (obj.y - center.y) * scaleFactor;
         obj.width *= scaleFactor;
@@ -1106,12 +1399,12 @@ export class CanvasManager {
 
     this.render();
     window.hudInstance.loadInstrumentSettings(this.activeInstrument);
-    this.saveHistory();
+    this.saveHistory("Resize selection");
   }
 
   /**
    * Deletes the currently selected objects from the canvas.
-   * This method removes objects from the active layer, free draw objects, 
+   * This method removes cells and edges from the active layer, free draw objects, 
    * and custom objects based on the current selection. It also clears the 
    * selection state and updates the canvas if any changes were made.
    */
@@ -1120,30 +1413,44 @@ export class CanvasManager {
     const activeLayerObjects = this.layers[this.activeLayerIndex]?.objects;
 
     this.selectedObjects.grid.forEach((cellId) => {
-      if (activeLayerObjects?.delete(cellId)) {
+      if (activeLayerObjects?.has(cellId)) {
+          this._recordCell(this.layers[this.activeLayerIndex], cellId);
+          activeLayerObjects.delete(cellId);
+          changed = true;
+      }
+    });
+    const activeLayer = this.layers[this.activeLayerIndex];
+    this.selectedObjects.edges.forEach((id) => {
+      if (activeLayer?.edges.has(id)) {
+          this._recordEdge(activeLayer, id);
+          activeLayer.edges.delete(id);
           changed = true;
       }
     });
     this.selectedObjects.free.forEach((id) => {
-      if (this.freeDrawObjects.delete(id)) {
+      if (this.freeDrawObjects.has(id)) {
+          this._recordFreeDrawObject(id);
+          this.freeDrawObjects.delete(id);
           changed = true;
       }
     });
     this.selectedObjects.custom.forEach((id) => {
-      if (this.customObjects.delete(id)) {
+      if (this.customObjects.has(id)) {
+          this._recordCustomObject(id);
+          this.customObjects.delete(id);
           changed = true;
       }
     });
 
     // Clear selection state.
-    this.selectedObjects = { grid: [], free: [], custom: [] };
+    this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
     this.selectionStart = null;
     this.selectionEnd = null;
 
     if (changed) {
         this.render();
         window.hudInstance.loadInstrumentSettings(this.activeInstrument);
-        this.saveHistory();
+        this.saveHistory("Delete selection");
     }
   }
 
@@ -1154,13 +1461,14 @@ export class CanvasManager {
    *
    * The copied selection is categorized into three types:
    * - `grid`: Objects from the grid layer.
+   * - `edges`: Edges (walls, doors, ...) from the grid layer.
    * - `free`: Free-drawn objects.
    * - `custom`: Custom objects.
    *
    * After copying, the method logs the copied selection and updates the HUD instrument settings.
    */
   copySelection() {
-      this.copiedSelection = { grid: [], free: [], custom: [] };
+      this.copiedSelection = { grid: [], edges: [], free: [], custom: [] };
       const activeLayerObjects = this.layers[this.activeLayerIndex]?.objects;
 
       this.selectedObjects.grid.forEach(cellId => {
@@ -1173,6 +1481,10 @@ export class CanvasManager {
               this.copiedSelection.grid.push(cellCopy);
           }
       });
+      const activeLayerEdges = this.layers[this.activeLayerIndex]?.edges;
+      this.selectedObjects.edges.forEach(id => {
+          if (activeLayerEdges?.has(id)) this.copiedSelection.edges.push({ ...activeLayerEdges.get(id) });
+      });
       this.selectedObjects.free.forEach(id => {
           if (this.freeDrawObjects.has(id)) {
               let originalObj = this.freeDrawObjects.get(id);
@@ -1197,7 +1509,7 @@ export class CanvasManager {
 
   /**
    * Pastes the copied selection onto the canvas at the current mouse position.
-   * Handles pasting for grid cells, free draw objects, and custom objects.
+   * Handles pasting for grid cells, edges, free draw objects, and custom objects.
    * Updates the canvas rendering, HUD instrument settings, and saves the action to history.
    * 
    * Notes:
@@ -1230,15 +1542,26 @@ export class CanvasManager {
       const newCellId = this._cellId(newCell.x, newCell.y);
 
       if (newCell.type === 'image' && typeof newCell.image === 'string') {
-        let img = new Image();
-        img.src = newCell.image;
         newCell.imageSrc = newCell.image;
-        newCell.image = img;
-        img.onload = () => this.render();
+        newCell.image = this._getImage(newCell.imageSrc);
       }
+      this._recordCell(this.layers[this.activeLayerIndex], newCellId);
       activeLayerObjects.set(newCellId, newCell);
     });
 
+    // Paste Edges
+    if (this.copiedSelection.edges.length > 0) {
+      const edgeMinX = Math.min(...this.copiedSelection.edges.map(e => e.x));
+      const edgeMinY = Math.min(...this.copiedSelection.edges.map(e => e.y));
+      const activeLayer = this.layers[this.activeLayerIndex];
+      this.copiedSelection.edges.forEach(edgeData => {
+        const newEdge = { ...edgeData, x: gridOffsetX + edgeData.x - edgeMinX, y: gridOffsetY + edgeData.y - edgeMinY };
+        const newEdgeId = edgeId(newEdge.side, newEdge.x, newEdge.y);
+        this._recordEdge(activeLayer, newEdgeId);
+        activeLayer.edges.set(newEdgeId, newEdge);
+      });
+    }
+
     // Paste Free Draw Objects
     this.copiedSelection.free.forEach(objData => {
       let newObj = { ...objData };
@@ -1247,11 +1570,9 @@ export class CanvasManager {
       const newId = Date.now().toString() + Math.random().toString(36).substring(2);
 
       if (newObj.image && typeof newObj.image === 'string') {
-        let img = new Image();
-        img.src = newObj.image;
-        newObj.image = img;
-        img.onload = () => this.render();
+        newObj.image = this._getImage(newObj.image);
       }
+      this._recordFreeDrawObject(newId);
       this.freeDrawObjects.set(newId, newObj);
     });
 
@@ -1263,18 +1584,222 @@ export class CanvasManager {
       const newId = Date.now().toString() + Math.random().toString(36).substring(2);
 
       if (newObj.image && typeof newObj.image === 'string') {
-        let img = new Image();
-        img.src = newObj.image;
         newObj.imageSrc = newObj.image;
-        newObj.image = img;
-        img.onload = () => this.render();
+        newObj.image = this._getImage(newObj.imageSrc);
       }
+      this._recordCustomObject(newId);
       this.customObjects.set(newId, newObj);
     });
 
     this.render();
     window.hudInstance.loadInstrumentSettings(this.activeInstrument);
-    this.saveHistory();
+    this.saveHistory("Paste");
+  }
+
+  /**
+   * Changes the prefab tool settings (see `prefabPlacement`) and updates the preview.
+   *
+   * @param {Object} changes - Any of `{ prefab, rotation, mirror }`. `rotation` is normalized to 0-3.
+   */
+  setPrefabPlacement(changes) {
+    Object.assign(this.prefabPlacement, changes);
+    this.prefabPlacement.rotation = ((this.prefabPlacement.rotation % 4) + 4) % 4;
+    this.render();
+  }
+
+  /**
+   * Places the selected prefab (rotated and mirrored as set in `prefabPlacement`) with its top-left
+   * cell at the given cell. Its cells and edges go to the active layer; its objects get new ids.
+   * The placement is one undo step.
+   *
+   * @param {number} cellX - The x index of the target cell.
+   * @param {number} cellY - The y index of the target cell.
+   */
+  placePrefab(cellX, cellY) {
+    const { prefab, rotation, mirror } = this.prefabPlacement;
+    const layer = this.layers[this.activeLayerIndex];
+    if (!prefab || !layer) {
+      console.log("Select a prefab first.");
+      return;
+    }
+
+    const objects = getPrefabObjects(this, transformPrefab(prefab, rotation, mirror), cellX, cellY);
+    objects.cells.forEach((cell) => {
+      const cellId = this._cellId(cell.x, cell.y);
+      this._recordCell(layer, cellId);
+      layer.objects.set(cellId, cell);
+    });
+    objects.edges.forEach((edge) => {
+      const id = edgeId(edge.side, edge.x, edge.y);
+      this._recordEdge(layer, id);
+      layer.edges.set(id, edge);
+    });
+    objects.freeDrawObjects.forEach((obj) => {
+      const id = Date.now().toString() + Math.random().toString(36).substring(2);
+      this._recordFreeDrawObject(id);
+      this.freeDrawObjects.set(id, obj);
+    });
+    objects.customObjects.forEach((obj) => {
+      const id = Date.now().toString() + Math.random().toString(36).substring(2);
+      this._recordCustomObject(id);
+      this.customObjects.set(id, obj);
+    });
+    this.render();
+    this.saveHistory("Place prefab");
+  }
+
+  /**
+   * Returns the cells the shape being dragged (`shapeDrag`) will paint: the rectangle of the
+   * Rectangle tool, filled or as walls (see `rectangleSettings`), or the polyline of the Line tool
+   * up to its current end (see `lineSettings`). The Wall tool places edges instead (see `getWallEdges()`).
+   *
+   * @returns {Array<Object>} The cells `{ x, y }`, or an empty array if no shape is being dragged.
+   */
+  getShapeCells() {
+    if (!this.shapeDrag || this.shapeDrag.kind === "wall") return [];
+    if (this.shapeDrag.kind === "line") {
+      return getPolylineCells([...this.shapeDrag.points, this.shapeDrag.end], this.lineSettings.thickness);
+    }
+    const { start, end } = this.shapeDrag;
+    const { outline, wallThickness } = this.rectangleSettings;
+    return getRectangleCells(start, end, outline, wallThickness);
+  }
+
+  /**
+   * Returns the edges the Wall tool will place: the run along the grid line from the corner where the
+   * drag started to the one under the mouse, or the edge clicked on if the mouse did not move to another corner.
+   *
+   * @returns {Array<Object>} The edge positions `{ side, x, y }`, or an empty array if no wall is being dragged.
+   */
+  getWallEdges() {
+    if (this.shapeDrag?.kind !== "wall") return [];
+    const { start, end, edge } = this.shapeDrag;
+    if (start.x === end.x && start.y === end.y) return [{ side: edge.side, x: edge.x, y: edge.y }];
+    return getEdgesAlong(start, end);
+  }
+
+  /**
+   * Places edges on the active layer in the current `wallSettings`, replacing edges already there
+   * (e.g. a door drawn over a wall). The caller commits the undo step.
+   *
+   * @param {Array<Object>} edges - The edge positions `{ side, x, y }`.
+   */
+  placeWallEdges(edges) {
+    const layer = this.layers[this.activeLayerIndex];
+    if (!layer) return;
+    edges.forEach(({ side, x, y }) => {
+      const id = edgeId(side, x, y);
+      this._recordEdge(layer, id);
+      layer.edges.set(id, { x, y, side, style: this.wallSettings.style, color: this.wallSettings.color });
+    });
+  }
+
+  /**
+   * Paints the dragged shape on the active layer with the current `gridDrawSettings` and ends the drag
+   * (the Wall tool places its edges, see `placeWallEdges()`). The caller commits the undo step.
+   * Shapes of more than `constants.maxShapeCells` cells are not painted.
+   */
+  finishShapeDrag() {
+    if (this.shapeDrag?.kind === "wall") {
+      this.placeWallEdges(this.getWallEdges());
+      this.shapeDrag = null;
+      this.render();
+      return;
+    }
+    const cells = this.getShapeCells();
+    const layer = this.layers[this.activeLayerIndex];
+    this.shapeDrag = null;
+    if (!layer) return;
+    if (cells.length > constants.maxShapeCells) {
+      alert(`The shape covers ${cells.length} cells; at most ${constants.maxShapeCells} can be painted at once.`);
+      this.render();
+      return;
+    }
+    cells.forEach((cell) => this._paintCell(layer, cell.x, cell.y));
+    this.render();
+  }
+
+  /**
+   * Moves the end of the line being drawn to a cell, snapped to 0/45/90 degrees from its last corner if requested.
+   *
+   * @param {number} cellX - The cell under the mouse.
+   * @param {number} cellY - The cell under the mouse.
+   * @param {boolean} [snap=false] - Snap the direction (Shift).
+   */
+  updateLineEnd(cellX, cellY, snap = false) {
+    const points = this.shapeDrag.points;
+    const end = { x: cellX, y: cellY };
+    this.shapeDrag.end = snap ? snapLineEnd(points[points.length - 1], end) : end;
+  }
+
+  /**
+   * Whether a line is being drawn whose end is on its last corner: after a click without dragging,
+   * the polyline stays open for the next corner instead of being painted on mouse up.
+   *
+   * @returns {boolean} `true` for an open polyline of the Line tool.
+   */
+  isLineOpen() {
+    if (this.shapeDrag?.kind !== "line") return false;
+    const { points, end } = this.shapeDrag;
+    const last = points[points.length - 1];
+    return end.x === last.x && end.y === last.y;
+  }
+
+  /**
+   * Cancels the shape being dragged without painting it (Escape).
+   */
+  cancelShapeDrag() {
+    this.shapeDrag = null;
+    this.render();
+  }
+
+  /**
+   * Finds the region the Fill tool fills from a cell of the active layer: the connected empty cells
+   * if the cell is empty, otherwise the connected cells that look like it (same color, or same pattern).
+   * Edges of the layer (walls, doors, windows, ...) close the region like filled cells do.
+   * The result is cached until the map changes.
+   *
+   * @param {number} cellX - The x index of the clicked cell.
+   * @param {number} cellY - The y index of the clicked cell.
+   * @returns {Object|null} `{ cells, complete }` (see `getFloodFillCells()`; `complete` is `false` for a region
+   * larger than `constants.maxFillCells`, e.g. empty cells that are not enclosed), or `null` without an active layer.
+   */
+  getFillRegion(cellX, cellY) {
+    const layer = this.layers[this.activeLayerIndex];
+    if (!layer) return null;
+    const key = `${this.activeLayerIndex}:${this._cellId(cellX, cellY)}`;
+    if (this.fillPreview?.key === key) return this.fillPreview;
+
+    const target = layer.objects.get(this._cellId(cellX, cellY));
+    const matches = (x, y) => {
+      const cell = layer.objects.get(this._cellId(x, y));
+      if (!target || !cell) return !target && !cell;
+      return cell.type === target.type &&
+        (target.type === "image" ? cell.imageSrc === target.imageSrc : cell.fillColor === target.fillColor);
+    };
+    const isBlocked = (x, y, nx, ny) => layer.edges.has(getEdgeIdBetween(x, y, nx, ny));
+    this.fillPreview = { key, ...getFloodFillCells({ x: cellX, y: cellY }, matches, constants.maxFillCells, isBlocked) };
+    return this.fillPreview;
+  }
+
+  /**
+   * Fills the region around a cell (see `getFillRegion()`) on the active layer with the current
+   * `gridDrawSettings`, as one undo step. Regions that are not enclosed are not filled (the user is told).
+   *
+   * @param {number} cellX - The x index of the clicked cell.
+   * @param {number} cellY - The y index of the clicked cell.
+   */
+  fillRegion(cellX, cellY) {
+    const region = this.getFillRegion(cellX, cellY);
+    if (!region) return;
+    if (!region.complete) {
+      alert(`The region has more than ${constants.maxFillCells} cells. Enclose it with cells or walls first.`);
+      return;
+    }
+    const layer = this.layers[this.activeLayerIndex];
+    region.cells.forEach((cell) => this._paintCell(layer, cell.x, cell.y));
+    this.render();
+    this.saveHistory("Fill");
   }
 
   /**
@@ -1314,6 +1839,21 @@ export class CanvasManager {
     // Draw the base grid (empty cells) - considers all layers for emptiness
     this.drawGrid(ctx, this.currentCellSize, viewBounds);
 
+    // Background objects (e.g. an imported map image) go below all layers
+    const drawCustomObjects = (background) => {
+      this.customObjects.forEach((obj) => {
+        if (!!obj.background !== background) return;
+        // AABB check for culling (ignoring rotation for simplicity)
+        const objBounds = { minX: obj.x - obj.width/2, minY: obj.y - obj.height/2, maxX: obj.x + obj.width/2, maxY: obj.y + obj.height/2 };
+        if (objBounds.maxX > viewBounds.minX && objBounds.minX < viewBounds.maxX &&
+            objBounds.maxY > viewBounds.minY && objBounds.minY < viewBounds.maxY)
+        {
+          this.drawCustomObject(obj);
+        }
+      });
+    };
+    drawCustomObjects(true);
+
     // Draw Layer Content (Cells, Shadows, Borders)
     this.layers.forEach((layer, index) => {
       if (!layer.visible) return; // Skip rendering if layer is not visible
@@ -1344,6 +1884,9 @@ export class CanvasManager {
             this.drawGridCell(cell);
         }
       });
+
+      // Walls, doors and windows on top of the layer's cells
+      this.drawLayerEdges(ctx, layer.edges, this.currentCellSize, viewBounds);
     });
 
     // Draw Global Objects (Free Draw, Custom)
@@ -1357,15 +1900,7 @@ export class CanvasManager {
             this.drawFreeDrawObject(obj);
         }
     });
-    this.customObjects.forEach((obj) => {
-        // AABB check for culling (ignoring rotation for simplicity)
-        const objBounds = { minX: obj.x - obj.width/2, minY: obj.y - obj.height/2, maxX: obj.x + obj.width/2, maxY: obj.y + obj.height/2 };
-         if (objBounds.maxX > viewBounds.minX && objBounds.minX < viewBounds.maxX &&
-             objBounds.maxY > viewBounds.minY && objBounds.minY < viewBounds.maxY)
-         {
-            this.drawCustomObject(obj);
-         }
-    });
+    drawCustomObjects(false);
 
     // Draw Selection
     if (this.isSelecting && this.selectionStart && this.selectionEnd) {
@@ -1373,6 +1908,22 @@ export class CanvasManager {
     }
     this.drawSelectionHighlights(); // Highlights based on global selection state
 
+    if (this.activeInstrument === "placePrefab") {
+      this.drawPrefabPreview();
+    }
+    if (this.shapeDrag) {
+      this.drawShapePreview();
+    }
+    if (this.activeInstrument === "gridFill") {
+      this.drawFillPreview();
+    }
+    if ((this.activeInstrument === "gridDraw" || this.activeInstrument === "erase") && !this.isPanning) {
+      this.drawBrushOutline();
+    }
+    if (this.activeInstrument === "wall" && !this.isPanning) {
+      this.drawWallPreview();
+    }
+
     ctx.restore();
   }
 
@@ -1898,6 +2449,163 @@ export class CanvasManager {
     ctx.restore(); // Restore translation and rotation
   }
 
+  /**
+   * Draws the selected prefab semi-transparently at the cell under the mouse, with a dashed outline,
+   * so the user sees where it will be placed.
+   */
+  drawPrefabPreview() {
+    const { prefab, rotation, mirror } = this.prefabPlacement;
+    if (!prefab) return;
+
+    const cellX = Math.floor(this.mouseX / this.currentCellSize);
+    const cellY = Math.floor(this.mouseY / this.currentCellSize);
+    const transformed = transformPrefab(prefab, rotation, mirror);
+    const objects = getPrefabObjects(this, transformed, cellX, cellY);
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    objects.cells.forEach((cell) => this.drawGridCell(cell));
+    objects.edges.forEach((edge) => drawEdge(ctx, edge, this.currentCellSize));
+    objects.freeDrawObjects.forEach((obj) => this.drawFreeDrawObject(obj));
+    objects.customObjects.forEach((obj) => this.drawCustomObject(obj));
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = constants.selectionRectColor;
+    ctx.lineWidth = 1 / this.scale;
+    ctx.setLineDash([4 / this.scale, 2 / this.scale]);
+    ctx.strokeRect(cellX * this.currentCellSize, cellY * this.currentCellSize,
+      transformed.width * this.currentCellSize, transformed.height * this.currentCellSize);
+    ctx.restore();
+  }
+
+  /**
+   * Draws the cells of the shape being dragged semi-transparently with the current `gridDrawSettings`,
+   * with a dashed outline of its bounds and its size in cells (for a line: its path through the corners
+   * and the length of the last segment). Shapes too large to paint only get the outline, in the attention color.
+   */
+  drawShapePreview() {
+    const cells = this.getShapeCells();
+    if (cells.length === 0) return;
+    const bounds = getCellBounds(cells);
+    const tooLarge = cells.length > constants.maxShapeCells;
+    const size = this.currentCellSize;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    if (!tooLarge) cells.forEach((cell) => this.drawGridCell(this._getGridDrawCell(cell.x, cell.y)));
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = tooLarge ? constants.attentionColor : constants.selectionRectColor;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = 1 / this.scale;
+    ctx.setLineDash([4 / this.scale, 2 / this.scale]);
+    ctx.font = `${12 / this.scale}px sans-serif`;
+    if (this.shapeDrag.kind === "line") {
+      // The path through the cell centers and the length of the last segment in cells
+      const { points, end } = this.shapeDrag;
+      const last = points[points.length - 1];
+      ctx.beginPath();
+      [...points, end].forEach((point, i) => {
+        const method = i === 0 ? "moveTo" : "lineTo";
+        ctx[method]((point.x + 0.5) * size, (point.y + 0.5) * size);
+      });
+      ctx.stroke();
+      const length = Math.max(Math.abs(end.x - last.x), Math.abs(end.y - last.y)) + 1;
+      ctx.fillText(`${length}`, (end.x + 1) * size + 4 / this.scale, end.y * size);
+    } else {
+      ctx.strokeRect(bounds.minX * size, bounds.minY * size, bounds.width * size, bounds.height * size);
+      ctx.fillText(`${bounds.width} × ${bounds.height}`, bounds.minX * size, bounds.minY * size - 4 / this.scale);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draws the region the Fill tool would fill at the cell under the mouse semi-transparently with the
+   * current `gridDrawSettings`. A region that is too large (not enclosed) is tinted in the attention
+   * color instead, as far as it was searched.
+   */
+  drawFillPreview() {
+    const region = this.getFillRegion(Math.floor(this.mouseX / this.currentCellSize), Math.floor(this.mouseY / this.currentCellSize));
+    if (!region) return;
+    const size = this.currentCellSize;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    if (region.complete) {
+      region.cells.forEach((cell) => this.drawGridCell(this._getGridDrawCell(cell.x, cell.y)));
+    } else {
+      ctx.globalAlpha = 0.25;
+      ctx.fillStyle = constants.attentionColor;
+      region.cells.forEach((cell) => ctx.fillRect(cell.x * size, cell.y * size, size, size));
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Outlines the cells the brush covers at the cell under the mouse (the outer edges of the brush shape).
+   */
+  drawBrushOutline() {
+    const cellX = Math.floor(this.mouseX / this.currentCellSize);
+    const cellY = Math.floor(this.mouseY / this.currentCellSize);
+    const cells = getBrushCells({ x: cellX, y: cellY }, this.brushSettings.size, this.brushSettings.shape);
+    const covered = new Set(cells.map((cell) => this._cellId(cell.x, cell.y)));
+    const size = this.currentCellSize;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = this.activeInstrument === "erase" ? constants.attentionColor : constants.selectionRectColor;
+    ctx.lineWidth = 2 / this.scale;
+    ctx.beginPath();
+    cells.forEach(({ x, y }) => {
+      // Only edges without a covered neighbour
+      if (!covered.has(this._cellId(x, y - 1))) { ctx.moveTo(x * size, y * size); ctx.lineTo((x + 1) * size, y * size); }
+      if (!covered.has(this._cellId(x, y + 1))) { ctx.moveTo(x * size, (y + 1) * size); ctx.lineTo((x + 1) * size, (y + 1) * size); }
+      if (!covered.has(this._cellId(x - 1, y))) { ctx.moveTo(x * size, y * size); ctx.lineTo(x * size, (y + 1) * size); }
+      if (!covered.has(this._cellId(x + 1, y))) { ctx.moveTo((x + 1) * size, y * size); ctx.lineTo((x + 1) * size, (y + 1) * size); }
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Draws the edges of a layer (walls, doors, windows, ...) that lie within bounds.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The context to draw on.
+   * @param {Map<string, Object>} edges - The edges of the layer (`layer.edges`).
+   * @param {number} cellSize - The size of a cell in the units of `ctx` (1 for exports in logical units).
+   * @param {Object} bounds - The visible area `{ minX, minY, maxX, maxY }` in the units of `ctx`.
+   */
+  drawLayerEdges(ctx, edges, cellSize, bounds) {
+    edges.forEach((edge) => {
+      // Culling with a margin of one cell (door leaves and letters reach past the grid line)
+      const x = edge.x * cellSize, y = edge.y * cellSize;
+      if (x + 2 * cellSize > bounds.minX && x - cellSize < bounds.maxX &&
+          y + 2 * cellSize > bounds.minY && y - cellSize < bounds.maxY) {
+        drawEdge(ctx, edge, cellSize);
+      }
+    });
+  }
+
+  /**
+   * Draws the edges the Wall tool would place semi-transparently in the current `wallSettings`: the
+   * dragged run with its length in cells, or the edge under the mouse before the mouse button is pressed.
+   */
+  drawWallPreview() {
+    const size = this.currentCellSize;
+    const edges = this.shapeDrag?.kind === "wall"
+      ? this.getWallEdges()
+      : [getNearestEdge(this.mouseX / size, this.mouseY / size)];
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    edges.forEach(({ side, x, y }) => drawEdge(ctx, { side, x, y, ...this.wallSettings }, size));
+    ctx.globalAlpha = 1;
+    if (this.shapeDrag?.kind === "wall" && edges.length > 1) {
+      const { end } = this.shapeDrag;
+      ctx.fillStyle = constants.selectionRectColor;
+      ctx.font = `${12 / this.scale}px sans-serif`;
+      ctx.fillText(`${edges.length}`, end.x * size + 4 / this.scale, end.y * size - 4 / this.scale);
+    }
+    ctx.restore();
+  }
+
   /**
    * Draws a dashed rectangular selection area on the canvas.
    * The rectangle is defined by the `selectionStart` and `selectionEnd` points.
@@ -1927,9 +2635,10 @@ export class CanvasManager {
 
   /**
    * Draws visual highlights around selected objects on the canvas.
-   * Highlights include grid cells, free draw objects, and custom objects.
+   * Highlights include grid cells, edges, free draw objects, and custom objects.
    * Each type of object is highlighted differently:
    * - Grid cells are highlighted with a rectangle.
+   * - Edges are highlighted with a narrow rectangle along the grid line.
    * - Free draw objects are highlighted with a circle.
    * - Custom objects are highlighted with a rotated bounding box.
    *
@@ -1939,6 +2648,7 @@ export class CanvasManager {
   drawSelectionHighlights() {
     const ctx = this.ctx;
     if (this.selectedObjects.grid.length === 0 &&
+        this.selectedObjects.edges.length === 0 &&
         this.selectedObjects.free.length === 0 &&
         this.selectedObjects.custom.length === 0) {
       return; // Nothing selected
@@ -1963,6 +2673,18 @@ export class CanvasManager {
         });
     }
 
+    // Highlight Edges (a box around the edge's band)
+    const activeLayerEdges = this.layers[this.activeLayerIndex]?.edges;
+    const edgeHalfWidth = this.currentCellSize * constants.edgeThickness;
+    this.selectedObjects.edges.forEach((id) => {
+        const edge = activeLayerEdges?.get(id);
+        if (!edge) return;
+        const x = edge.x * this.currentCellSize;
+        const y = edge.y * this.currentCellSize;
+        if (edge.side === "h") ctx.strokeRect(x, y - edgeHalfWidth, this.currentCellSize, 2 * edgeHalfWidth);
+        else ctx.strokeRect(x - edgeHalfWidth, y, 2 * edgeHalfWidth, this.currentCellSize);
+    });
+
     // Highlight Free Draw Objects
     this.selectedObjects.free.forEach((id) => {
       const obj = this.freeDrawObjects.get(id);
@@ -1997,10 +2719,11 @@ export class CanvasManager {
 
   /**
    * Calculates the logical bounding box of all objects on the canvas.
-   * The bounding box is determined based on grid cells, free draw objects, 
+   * The bounding box is determined based on grid cells, edges, free draw objects, 
    * and custom objects, with their coordinates converted to logical units.
    * If no content is present, a default bounding box of 10x10 cells is returned.
    *
+   * @param {number} [padding=1] - Empty space added around the content, in cells.
    * @returns {Object} An object representing the bounding box with the following properties:
    *   - {number} minX - The minimum X coordinate of the bounding box.
    *   - {number} minY - The minimum Y coordinate of the bounding box.
@@ -2009,7 +2732,7 @@ export class CanvasManager {
    *   - {number} width - The width of the bounding box (maxX - minX).
    *   - {number} height - The height of the bounding box (maxY - minY).
    */
-  getLogicalBoundingBox() {
+  getLogicalBoundingBox(padding = 1) {
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
     let hasContent = false;
 
@@ -2022,6 +2745,14 @@ export class CanvasManager {
         maxY = Math.max(maxY, cell.y + 1);
         hasContent = true;
       });
+      // Edges (walls, doors, ...) run from corner (x, y) one cell right or down
+      layer.edges.forEach((edge) => {
+        minX = Math.min(minX, edge.x);
+        minY = Math.min(minY, edge.y);
+        maxX = Math.max(maxX, edge.x + (edge.side === "h" ? 1 : 0));
+        maxY = Math.max(maxY, edge.y + (edge.side === "v" ? 1 : 0));
+        hasContent = true;
+      });
     });
 
     // Free draw objects (convert pixel coords to logical)
@@ -2058,8 +2789,7 @@ export class CanvasManager {
       return { minX: 0, minY: 0, maxX: 10, maxY: 10, width: 10, height: 10 };
     }
 
-    // Add a small padding (e.g., 1 cell)
-    const padding = 1;
+    // Add a small padding (1 cell by default)
     minX -= padding;
     minY -= padding;
     maxX += padding;
@@ -2079,6 +2809,9 @@ export class CanvasManager {
    * @param {number} bbox.maxY - The maximum Y-coordinate of the bounding box.
    * @param {number} bbox.width - The width of the bounding box.
    * @param {number} bbox.height - The height of the bounding box.
+   * @param {Object} [options] - What to draw.
+   * @param {boolean} [options.background=true] - Draw the background fill and pattern (off for a transparent background).
+   * @param {boolean} [options.gridLines=true] - Draw the grid lines.
 
    * This function performs the following:
    * 1. Fills the bounding box area with a background color.
@@ -2089,7 +2822,7 @@ export class CanvasManager {
    * The background fill and pattern are styled using `emptyCellSettings.fillColor` and
    * `emptyCellSettings.pattern` respectively.
    */
-  drawPdfBackgroundAndGrid(ctx, bbox) {
+  drawPdfBackgroundAndGrid(ctx, bbox, { background = true, gridLines = true } = {}) {
     const startX = bbox.minX;
     const startY = bbox.minY;
     const endX = bbox.maxX; // Use maxX/maxY from bbox
@@ -2102,11 +2835,13 @@ export class CanvasManager {
     const emptyPattern = this.emptyCellSettings.pattern; // The Image object
 
     // Background Fill
-    ctx.fillStyle = emptyFill;
-    ctx.fillRect(startX, startY, width, height);
+    if (background) {
+      ctx.fillStyle = emptyFill;
+      ctx.fillRect(startX, startY, width, height);
+    }
 
     // Background Pattern
-    if (emptyPattern && emptyPattern.complete && emptyPattern.naturalWidth > 0) {
+    if (background && emptyPattern && emptyPattern.complete && emptyPattern.naturalWidth > 0) {
         ctx.save();
         // Clip to the bounding box area before drawing pattern
         ctx.beginPath();
@@ -2129,8 +2864,9 @@ export class CanvasManager {
     }
 
     // Grid Lines
-    ctx.strokeStyle = emptyBorder;
     ctx.lineWidth = 0.02; // Thin line in logical units (adjust as needed)
+    if (!gridLines) return;
+    ctx.strokeStyle = emptyBorder;
     ctx.beginPath();
     // Draw vertical lines within the bounding box
     for (let x = Math.ceil(startX); x < endX; x++) { // Use < endX for lines between cells
@@ -2149,31 +2885,62 @@ export class CanvasManager {
    *
    * @param {CanvasRenderingContext2D} ctx - The rendering context for the canvas.
    * @param {number} exportScale - The scale factor for exporting the canvas. Currently unused.
+   * @param {Object} [options] - Export options.
+   * @param {Object} [options.bbox] - The logical area to draw (defaults to `getLogicalBoundingBox()`).
+   * @param {boolean} [options.background=true] - Draw the empty cell background (off for a transparent background).
+   * @param {boolean} [options.gridLines=true] - Draw the grid lines.
+   * @param {Array<Object>} [options.excludeLayers] - Layers to leave out (e.g. marker layers of the Universal VTT export).
    *
    * This method performs the following steps:
    * 1. Calculates the logical bounding box of the canvas.
-   * 2. Draws the background and grid lines based on logical coordinates.
+   * 2. Draws the background and grid lines based on logical coordinates,
+   *    then background custom objects (e.g. an imported map image).
    * 3. Iterates through each layer to draw its content, including:
    *    - Shadows (if enabled).
    *    - Borders (if enabled).
    *    - Grid cells (color or image-based).
+   *    - Edges (walls, doors, windows).
    * 4. Draws global free draw objects, ensuring they are within bounds.
-   * 5. Draws custom objects, applying transformations like rotation and scaling.
+   * 5. Draws the other custom objects, applying transformations like rotation and scaling.
    */
-  drawAll(ctx, exportScale) {
-    const bbox = this.getLogicalBoundingBox();
+  drawAll(ctx, exportScale, options = {}) {
+    const bbox = options.bbox || this.getLogicalBoundingBox();
     if (bbox.width <= 0 || bbox.height <= 0) return; // Nothing to draw
 
     const startX = bbox.minX; const startY = bbox.minY;
     const endX = bbox.maxX; const endY = bbox.maxY;
 
     // Background and Grid Lines (Logical Coordinates)
-    this.drawPdfBackgroundAndGrid(ctx, bbox); // Use helper
+    this.drawPdfBackgroundAndGrid(ctx, bbox, options); // Use helper (also sets the logical line width)
+
+    // Custom objects: background objects (e.g. an imported map image) below all layers, the rest on top
+    const drawCustomObjects = (background) => this.customObjects.forEach((obj) => {
+      if (!!obj.background !== background) return;
+      const lx = obj.x / this.currentCellSize; // Convert to logical
+      const ly = obj.y / this.currentCellSize;
+      const lwidth = obj.width / this.currentCellSize;
+      const lheight = obj.height / this.currentCellSize;
+      // Basic AABB check if object is within bounds
+      if (lx + lwidth/2 > startX && lx - lwidth/2 < endX && ly + lheight/2 > startY && ly - lheight/2 < endY) {
+          ctx.save();
+          ctx.translate(lx, ly); ctx.rotate(obj.rotation);
+          if (obj.image && obj.image.complete && obj.image.naturalWidth > 0) {
+            try {
+              ctx.drawImage(obj.image, -lwidth / 2, -lheight / 2, lwidth, lheight);
+            } catch (e) { console.error("PDF Export: Error drawing custom object image", e); }
+          } else {
+            ctx.fillStyle = constants.attentionColor; // Placeholder
+            ctx.fillRect(-lwidth / 2, -lheight / 2, lwidth, lheight);
+          }
+          ctx.restore();
+      }
+    });
+    drawCustomObjects(true);
 
     // Draw Layer Content (Cells, Shadows, Borders)
     this.layers.forEach((layer) => {
         // Check layer visibility
-        if (!layer.visible) return;
+        if (!layer.visible || options.excludeLayers?.includes(layer)) return;
 
         const layerObjects = layer.objects;
         const layerShadowOptions = layer.gridShadowOptions;
@@ -2210,6 +2977,9 @@ export class CanvasManager {
                 ctx.strokeRect(x, y, 1, 1); // Logical size 1x1
             }
         });
+
+        // Walls, doors and windows of THIS layer
+        this.drawLayerEdges(ctx, layer.edges, logicalCellSize, bbox);
     });
 
     // Draw Global Objects (Free Draw, Custom)
@@ -2230,26 +3000,7 @@ export class CanvasManager {
           }
       }
     });
-    this.customObjects.forEach((obj) => {
-      const lx = obj.x / this.currentCellSize; // Convert to logical
-      const ly = obj.y / this.currentCellSize;
-      const lwidth = obj.width / this.currentCellSize;
-      const lheight = obj.height / this.currentCellSize;
-      // Basic AABB check if object is within bounds
-      if (lx + lwidth/2 > startX && lx - lwidth/2 < endX && ly + lheight/2 > startY && ly - lheight/2 < endY) {
-          ctx.save();
-          ctx.translate(lx, ly); ctx.rotate(obj.rotation);
-          if (obj.image && obj.image.complete && obj.image.naturalWidth > 0) {
-            try {
-              ctx.drawImage(obj.image, -lwidth / 2, -lheight / 2, lwidth, lheight);
-            } catch (e) { console.error("PDF Export: Error drawing custom object image", e); }
-          } else {
-            ctx.fillStyle = constants.attentionColor; // Placeholder
-            ctx.fillRect(-lwidth / 2, -lheight / 2, lwidth, lheight);
-          }
-          ctx.restore();
-      }
-    });
+    drawCustomObjects(false);
   }
 
   /**
@@ -2311,39 +3062,73 @@ export class CanvasManager {
     });
   }
 
+  /**
+   * Renders a small preview image of the whole map (used by the map library).
+   *
+   * @param {number} maxSize - The maximum width and height of the thumbnail in pixels.
+   * @returns {string|null} The thumbnail as a PNG data URL, or `null` if the map is empty
+   * or the preview could not be rendered.
+   */
+  createThumbnail(maxSize) {
+    const bbox = this.getLogicalBoundingBox();
+    if (bbox.width <= 0 || bbox.height <= 0) return null;
+
+    const thumbScale = maxSize / Math.max(bbox.width, bbox.height); // px per logical cell
+    const thumbCanvas = document.createElement("canvas");
+    thumbCanvas.width = Math.max(1, Math.round(bbox.width * thumbScale));
+    thumbCanvas.height = Math.max(1, Math.round(bbox.height * thumbScale));
+    const thumbCtx = thumbCanvas.getContext("2d");
+    if (!thumbCtx) return null;
+
+    try {
+      thumbCtx.scale(thumbScale, thumbScale);
+      thumbCtx.translate(-bbox.minX, -bbox.minY);
+      this.drawAll(thumbCtx, thumbScale);
+      return thumbCanvas.toDataURL("image/png");
+    } catch (e) {
+      // e.g. a tainted canvas from a cross-origin image
+      console.error("Error creating map thumbnail:", e);
+      return null;
+    }
+  }
+
   /**
    * Generates and returns the current map data state without modifying the history.
+   * Every image source is stored once in the `assets` table (keyed by content hash),
+   * and cells, objects and settings reference it by id.
    *
    * @returns {Object} The map data state object containing:
+   * - `version` {string} - The save file format version.
+   * - `assets` {Object<string, string>} - The asset table mapping asset ids to image sources.
    * - `layers` {Array<Object>} - An array of layer objects.
    * - `freeDrawObjects` {Array<Array>} - An array of key-value pairs representing free-draw objects.
    * - `customObjects` {Array<Array>} - An array of key-value pairs representing custom objects.
    * - `settings` {Object} - The settings for the map.
    */
   getMapData() {
-    // Use the logic from saveHistory's state creation, but don't modify history
+    const assets = new AssetTable();
+    const { image: freeDrawImage, ...freeDrawSettings } = this.freeDrawSettings;
     const state = {
+      version: constants.saveFileVersion,
       layers: this.layers.map((layer) => ({
         name: layer.name,
         visible: layer.visible !== undefined ? layer.visible : true,
         gridShadowOptions: layer.gridShadowOptions ? { ...layer.gridShadowOptions } : { ...constants.defaultGridShadowOptions },
         objects: Array.from(layer.objects.entries()).map(([key, cell]) => {
-          let cellCopy = { ...cell };
-          if (cellCopy.imageSrc) cellCopy.image = cellCopy.imageSrc;
-          else delete cellCopy.image;
+          const { image, imageSrc, ...cellCopy } = cell;
+          if (imageSrc) cellCopy.imageId = assets.add(imageSrc);
           return [key, cellCopy];
         }),
+        edges: Array.from(layer.edges.entries()).map(([key, edge]) => [key, { ...edge }]),
       })),
       freeDrawObjects: Array.from(this.freeDrawObjects.entries()).map(([id, obj]) => {
-         let copyObj = { ...obj };
-         if (copyObj.image?.src) copyObj.image = copyObj.image.src;
-         else delete copyObj.image;
+         const { image, ...copyObj } = obj;
+         if (image?.src) copyObj.imageId = assets.add(image.src);
          return [id, copyObj];
      }),
       customObjects: Array.from(this.customObjects.entries()).map(([id, obj]) => {
-         let copyObj = { ...obj };
-         if (copyObj.imageSrc) copyObj.image = copyObj.imageSrc;
-         else delete copyObj.image;
+         const { image, imageSrc, ...copyObj } = obj;
+         if (imageSrc) copyObj.imageId = assets.add(imageSrc);
          return [id, copyObj];
      }),
       settings: {
@@ -2352,13 +3137,30 @@ export class CanvasManager {
         offsetY: this.offsetY,
         scale: this.scale,
         activeLayerIndex: this.activeLayerIndex,
-        emptyCellSettings: { ...this.emptyCellSettings, pattern: this.emptyCellSettings.patternSrc },
-        gridBorderOptions: { ...this.gridBorderOptions, image: this.gridBorderOptions.imageSrc },
-        gridImageList: this.gridImageList,
-        gridDrawSettings: { ...this.gridDrawSettings, image: this.gridDrawSettings.imageSrc },
-        freeDrawSettings: { ...this.freeDrawSettings, image: this.freeDrawSettings.image?.src || null },
-        customObjectImageSrc: this.customObjectImageSrc,
+        emptyCellSettings: {
+          fillColor: this.emptyCellSettings.fillColor,
+          borderColor: this.emptyCellSettings.borderColor,
+          patternId: assets.add(this.emptyCellSettings.patternSrc),
+        },
+        gridBorderOptions: {
+          enabled: this.gridBorderOptions.enabled,
+          imageId: assets.add(this.gridBorderOptions.imageSrc),
+        },
+        gridImageList: this.gridImageList.map((src) => assets.add(src)),
+        gridDrawSettings: {
+          type: this.gridDrawSettings.type,
+          fillColor: this.gridDrawSettings.fillColor,
+          borderColor: this.gridDrawSettings.borderColor,
+          imageId: assets.add(this.gridDrawSettings.imageSrc),
+        },
+        freeDrawSettings: { ...freeDrawSettings, imageId: assets.add(freeDrawImage?.src) },
+        customObjectImageId: assets.add(this.customObjectImageSrc),
+        pdfExportSettings: { ...this.pdfExportSettings },
+        imageExportSettings: { ...this.imageExportSettings },
+        uvttExportSettings: { ...this.uvttExportSettings },
+        tiledExportSettings: { ...this.tiledExportSettings },
      },
+      assets: assets.toJSON(),
     };
     return state;
   }
@@ -2370,9 +3172,7 @@ export class CanvasManager {
    */
   loadMapData(data) {
     this.loadStateData(data); // Use common loading logic
-    this.history = []; // Reset history
-    this.historyIndex = -1; // The first action will have index of 0
-    this.saveHistory(); // Save loaded state as initial history
+    this.resetHistory(); // The loaded map is the starting point for undo
     this.render();
     // Update HUD completely
     if (window.hudInstance) {
@@ -2401,6 +3201,103 @@ export class CanvasManager {
     }
   }
 
+  /**
+   * Adds another map to the current one, as a single undo step:
+   * - Its layers are appended above the existing ones; names that already exist get a number ("Walls (2)").
+   * - Cells, edges, free-draw objects and custom objects are moved by the offset (in cells). Object positions
+   *   and sizes are scaled from the other map's cell size to the current one.
+   * - Its Grid Draw images are added to `gridImageList`, skipping images that are already there.
+   * The rest of the current map (settings, view, empty cell style) is kept.
+   *
+   * @param {Object} data - Map data in the current save format (see `checkMapData()`).
+   * @param {number} [offsetX=0] - Horizontal offset in cells.
+   * @param {number} [offsetY=0] - Vertical offset in cells.
+   * @returns {Object} `{ layers, freeDrawObjects, customObjects }`: how many of each were added.
+   */
+  mergeMapData(data, offsetX = 0, offsetY = 0) {
+    const assets = new AssetTable(data.assets);
+    const settings = data.settings || {};
+    const scale = this.currentCellSize / (settings.currentCellSize || constants.baseCellSize);
+    const shiftX = offsetX * this.currentCellSize;
+    const shiftY = offsetY * this.currentCellSize;
+    const newId = () => Date.now().toString() + Math.random().toString(36).substring(2);
+
+    // Layers (new layer objects: recording the layer list is enough to undo their cells)
+    this._recordLayers();
+    const names = new Set(this.layers.map((layer) => layer.name));
+    const layerCount = (data.layers || []).length;
+    (data.layers || []).forEach((layerData) => {
+      const baseName = layerData.name || "Unnamed Layer";
+      let name = baseName;
+      for (let n = 2; names.has(name); n++) name = `${baseName} (${n})`;
+      names.add(name);
+
+      const objects = new Map();
+      (layerData.objects || []).forEach(([, cell]) => {
+        const { imageId, ...cellData } = cell;
+        cellData.x += offsetX;
+        cellData.y += offsetY;
+        cellData.imageSrc = cellData.type === "image" ? assets.get(imageId) : null;
+        cellData.image = this._getImage(cellData.imageSrc);
+        objects.set(this._cellId(cellData.x, cellData.y), cellData);
+      });
+      const edges = new Map();
+      (layerData.edges || []).forEach(([, edge]) => {
+        const edgeData = { ...edge, x: edge.x + offsetX, y: edge.y + offsetY };
+        edges.set(edgeId(edgeData.side, edgeData.x, edgeData.y), edgeData);
+      });
+      this.layers.push({
+        name,
+        objects,
+        edges,
+        visible: layerData.visible !== undefined ? layerData.visible : true,
+        gridShadowOptions: { ...constants.defaultGridShadowOptions, ...(layerData.gridShadowOptions || {}) },
+      });
+    });
+
+    // Free draw and custom objects get new ids, so they never replace existing ones
+    (data.freeDrawObjects || []).forEach(([, obj]) => {
+      const { imageId, ...objData } = obj;
+      objData.x = objData.x * scale + shiftX;
+      objData.y = objData.y * scale + shiftY;
+      objData.size *= scale;
+      objData.image = this._getImage(assets.get(imageId));
+      const id = newId();
+      this._recordFreeDrawObject(id);
+      this.freeDrawObjects.set(id, objData);
+    });
+    (data.customObjects || []).forEach(([, obj]) => {
+      const { imageId, ...objData } = obj;
+      objData.x = objData.x * scale + shiftX;
+      objData.y = objData.y * scale + shiftY;
+      objData.width *= scale;
+      objData.height *= scale;
+      objData.imageSrc = assets.get(imageId);
+      objData.image = this._getImage(objData.imageSrc);
+      const id = newId();
+      this._recordCustomObject(id);
+      this.customObjects.set(id, objData);
+    });
+
+    // Grid Draw images (recorded by the settings snapshot of the history)
+    (settings.gridImageList || []).forEach((id) => {
+      const src = assets.get(id);
+      if (src && !this.gridImageList.includes(src)) this.gridImageList.push(src);
+    });
+
+    this.saveHistory("Merge map");
+    this.render();
+    if (window.hudInstance) {
+      window.hudInstance.updateLayerList();
+      window.hudInstance.loadInstrumentSettings(this.activeInstrument);
+    }
+    return {
+      layers: layerCount,
+      freeDrawObjects: (data.freeDrawObjects || []).length,
+      customObjects: (data.customObjects || []).length,
+    };
+  }
+
   /**
    * Sets the active layer by its index and updates the application state accordingly.
    * 
@@ -2416,7 +3313,7 @@ export class CanvasManager {
       if (this.activeLayerIndex !== index) {
           this.activeLayerIndex = index;
           // Clear selection when changing layers. Optional, but often good UX.
-          this.selectedObjects = { grid: [], free: [], custom: [] };
+          this.selectedObjects = { grid: [], edges: [], free: [], custom: [] };
           this.selectionStart = null;
           this.selectionEnd = null;
           this.render();
@@ -2441,9 +3338,11 @@ export class CanvasManager {
     const newLayer = {
       name: "Layer " + (this.layers.length + 1),
       objects: new Map(),
+      edges: new Map(),
       visible: true,
       gridShadowOptions: { ...constants.defaultGridShadowOptions }
     };
+    this._recordLayers();
     this.layers.push(newLayer);
     this.activeLayerIndex = this.layers.length - 1; // Activate the new layer
     this.render();
@@ -2451,7 +3350,7 @@ export class CanvasManager {
     if (window.hudInstance) {
         window.hudInstance.updateAppearanceControls();
     }
-    this.saveHistory(); // Adding a layer is a state change
+    this.saveHistory("Add layer"); // Adding a layer is a state change
   }
 
   /**
@@ -2462,11 +3361,12 @@ export class CanvasManager {
    */
   removeActiveLayer() {
     if (this.layers.length > 1) {
+      this._recordLayers();
       this.layers.splice(this.activeLayerIndex, 1);
       // Adjust active index if the last layer was removed or index is now out of bounds
       this.activeLayerIndex = Math.min(Math.max(0, this.activeLayerIndex - 1), this.layers.length - 1);
       this.render();
-      this.saveHistory(); // Removing a layer is a state change
+      this.saveHistory("Remove layer"); // Removing a layer is a state change
     } else {
       alert("Cannot remove the last layer.");
     }
@@ -2478,19 +3378,30 @@ export class CanvasManager {
    * @param {string} instrument - The name of the instrument to activate. 
    * Possible values include:
    * - 'gridDraw': Sets the cursor to a crosshair.
+   * - 'gridRect': Sets the cursor to a crosshair.
+   * - 'gridLine': Sets the cursor to a crosshair.
+   * - 'gridFill': Sets the cursor to a crosshair.
    * - 'freeDraw': Sets the cursor to a crosshair.
    * - 'addObject': Sets the cursor to a crosshair.
+   * - 'placePrefab': Sets the cursor to a crosshair.
+   * - 'wall': Sets the cursor to a crosshair.
    * - 'erase': Sets the cursor to a cell.
    * - 'select': Sets the cursor to default.
    * - Any other value defaults the cursor to default.
    */
   setActiveInstrument(instrument) {
     this.activeInstrument = instrument;
+    this.shapeDrag = null; // Drop an unfinished rectangle, line or wall
     // Update cursor style based on tool
     switch(instrument) {
         case 'gridDraw':
+        case 'gridRect':
+        case 'gridLine':
+        case 'gridFill':
         case 'freeDraw':
         case 'addObject':
+        case 'placePrefab':
+        case 'wall':
             this.canvas.style.cursor = 'crosshair'; break;
         case 'erase':
             this.canvas.style.cursor = 'cell'; break;
@@ -2503,6 +3414,82 @@ export class CanvasManager {
     // No history save needed for changing tool
   }
 
+  /**
+   * Returns a shared `Image` object for the given source, creating (and caching) it if needed.
+   * Cells and objects painted with the same pattern reuse one `Image` instead of one each.
+   *
+   * @param {string|null} src - The image source (data URI or URL).
+   * @returns {HTMLImageElement|null} The cached image, or `null` if no source was given.
+   */
+  _getImage(src) {
+    if (!src) return null;
+    let img = this.imageCache.get(src);
+    if (!img) {
+      img = new Image();
+      img.onload = () => this.render(); // Re-render when images load
+      img.src = src;
+      this.imageCache.set(src, img);
+    }
+    return img;
+  }
+
+  /**
+   * Builds a cell painted with the current `gridDrawSettings`.
+   *
+   * @param {number} cellX - The x index of the cell.
+   * @param {number} cellY - The y index of the cell.
+   * @returns {Object} The cell, as stored in a layer.
+   */
+  _getGridDrawCell(cellX, cellY) {
+    return {
+      x: cellX,
+      y: cellY,
+      type: this.gridDrawSettings.type,
+      fillColor: this.gridDrawSettings.fillColor,
+      borderColor: this.gridDrawSettings.borderColor,
+      image: this.gridDrawSettings.image,
+      imageSrc: this.gridDrawSettings.imageSrc,
+    };
+  }
+
+  /**
+   * Paints a cell of a layer with the current `gridDrawSettings`, recording it for the undo step.
+   * Cells that already look the same are left alone.
+   *
+   * @param {Object} layer - The layer.
+   * @param {number} cellX - The x index of the cell.
+   * @param {number} cellY - The y index of the cell.
+   * @returns {boolean} `true` if the cell changed.
+   */
+  _paintCell(layer, cellX, cellY) {
+    const cellId = this._cellId(cellX, cellY);
+    const newCellData = this._getGridDrawCell(cellX, cellY);
+    if (JSON.stringify(layer.objects.get(cellId)) === JSON.stringify(newCellData)) return false; // Identical, nothing to do
+    this._recordCell(layer, cellId);
+    layer.objects.set(cellId, newCellData);
+    return true;
+  }
+
+  /**
+   * Returns the cells a brush stroke covers from the previous mouse cell (`lastBrushCell`) to the
+   * given one: the brush shape (`brushSettings`) at every cell of the line between them, so fast
+   * mouse moves leave no gaps. Updates `lastBrushCell`.
+   *
+   * @param {number} cellX - The x index of the cell under the mouse.
+   * @param {number} cellY - The y index of the cell under the mouse.
+   * @returns {Array<Object>} The cells `{ x, y }`, each once.
+   */
+  _getStrokeCells(cellX, cellY) {
+    const { size, shape } = this.brushSettings;
+    const end = { x: cellX, y: cellY };
+    const cells = new Map();
+    getLineCells(this.lastBrushCell || end, end).forEach((center) => {
+      getBrushCells(center, size, shape).forEach((cell) => cells.set(this._cellId(cell.x, cell.y), cell));
+    });
+    this.lastBrushCell = end;
+    return [...cells.values()];
+  }
+
   /**
    * Returns a unique identifier for a cell based on its X and Y coordinates.
    *
@@ -14,21 +14,122 @@ const constants = {
     baseCellSize: 32, // Default cell size in pixels on screen load
     autoSaveInterval: 10000, // Auto-save every 10 seconds (milliseconds)
     historyLimit: 50, // Max number of undo steps
+    maxShapeCells: 40000, // Max cells the Rectangle tool paints at once (e.g. 200 × 200)
+    maxFillCells: 10000, // Max cells the Fill tool fills at once (larger regions count as not enclosed)
+    maxBrushSize: 9, // Largest Grid Draw / Erase brush (cells across)
+    brushShapes: ["square", "circle", "diamond"],
+    // Styles of the Wall tool's edges (key -> label)
+    edgeStyles: { wall: "Wall", door: "Door", secretDoor: "Secret Door", window: "Window", portcullis: "Portcullis" },
+    defaultEdgeColor: "#000000",
+    edgeOpeningFillColor: "#ffffff", // Door leaves and window panes
+    edgeThickness: 0.15, // Edge thickness as a fraction of the cell size
 
     // File Names & Storage
     mapBackupFileName: "ttrpg_map_export",
     mapPDFFileName: "ttrpg_map_print",
-    localStorageKey: "ttrpgMapCreatorData", // Key for local storage
-    saveFileVersion: "1.0.0", // Version for save file format
+    mapImageFileName: "ttrpg_map_image",
+    mapUVTTFileName: "ttrpg_map_vtt",
+    mapTiledFileName: "ttrpg_map_tiled",
+    mapSVGFileName: "ttrpg_map_vector",
+    localStorageKey: "ttrpgMapCreatorData", // Legacy local storage key (migrated to IndexedDB on first start)
+    currentMapKey: "ttrpgMapCreatorCurrentMap", // Local storage key remembering the open map
+    databaseName: "OpenMapCreator", // IndexedDB database holding the map library
+    databaseVersion: 4, // 2: quarantine store for saves that cannot be loaded, 3: prefab store, 4: asset library store
+    defaultMapName: "Untitled Map",
+    thumbnailSize: 160, // Max width/height of map library thumbnails (pixels)
+    prefabThumbnailSize: 64, // Max width/height of prefab thumbnails (pixels)
+    prefabPackFileName: "ttrpg_map_prefabs",
+    prefabPackFormat: "open-map-creator-prefabs", // "format" of prefab pack files
+    prefabPackVersion: 1,
+    assetCategories: ["floor", "wall", "furniture", "nature", "other"], // Categories of the asset library
+    bundleMapFileName: "map.json", // Map data inside a project bundle (.omc)
+    bundleAssetFolder: "assets", // Folder of the image files inside a project bundle
+    embeddedMapKeyword: "OpenMapCreator", // Keyword of the PNG text chunk holding the map data in exported images
+    embeddedMapFileName: "open_map_creator_map.json", // Name of the map data attachment in exported PDFs
+    saveFileVersion: "2.1.0", // Version for save file format (2.0.0: images stored once in an asset table, 2.1.0: layer edges)
 
-    // PDF Export Page Sizes (in mm)
+    // PDF Export Page Sizes (in mm, portrait). "Custom" uses the size from the export settings.
     pageSizesMM: {
+        A5: { width: 148, height: 210 },
         A4: { width: 210, height: 297 },
         A3: { width: 297, height: 420 },
-        // Add Letter, Legal etc. if needed
-        // Letter: { width: 215.9, height: 279.4 },
-        // Legal: { width: 215.9, height: 355.6 }
+        A2: { width: 420, height: 594 },
+        A1: { width: 594, height: 841 },
+        A0: { width: 841, height: 1189 },
+        B5: { width: 176, height: 250 },
+        B4: { width: 250, height: 353 },
+        Letter: { width: 215.9, height: 279.4 },
+        Legal: { width: 215.9, height: 355.6 },
+        Tabloid: { width: 279.4, height: 431.8 },
     },
+    // Default PDF export settings (the last used settings are stored with each map)
+    defaultPdfExportSettings: {
+        orientation: "landscape",
+        pageSize: "A4",
+        dpi: 300,
+        cellSizeCm: 3, // approx. 1 inch
+        units: "cm", // Units for entering the cell size and custom page size ("cm" or "in")
+        customPageWidthMm: 210, // Used when pageSize is "Custom"
+        customPageHeightMm: 297,
+        marginMm: 5, // Unprintable border most printers need
+        overlapMm: 0, // Shared strip between adjacent pages, for gluing
+        cropMarks: true, // Crop marks at the image corners and alignment marks at the overlaps
+        indexPage: false, // First page with a miniature of the map and the page grid
+        output: "raster", // "raster" (one image per page) or "vector" (native shapes, images only where used)
+    },
+
+    // Image Export
+    imageExportFormats: { // format -> MIME type
+        png: "image/png",
+        jpeg: "image/jpeg",
+        webp: "image/webp",
+    },
+    maxImageExportSide: 16384, // Largest canvas width/height browsers reliably support (pixels)
+    maxImageExportPixels: 268435456, // Largest canvas area browsers reliably support (16384 × 16384)
+    // Default image export settings (the last used settings are stored with each map)
+    defaultImageExportSettings: {
+        format: "png", // "png", "jpeg" or "webp"
+        pixelsPerCell: 70, // Common VTT grid size
+        transparent: false, // Leave empty cells transparent (PNG and WebP only)
+        paddingCells: 1, // Empty space around the map content
+        gridLines: true,
+        quality: 0.92, // JPEG/WebP quality (0-1)
+    },
+
+    // Universal VTT Export
+    uvttFormatVersion: 0.3, // "format" written to .dd2vtt files
+    uvttPortalEdgeStyles: ["door", "secretDoor", "portcullis"], // Edge styles exported as doors (portals); the others are walls
+    uvttImportLightAlpha: "99", // Light cells use the light's color with this alpha
+    // Default Universal VTT export settings (the last used settings are stored with each map)
+    defaultUvttExportSettings: {
+        pixelsPerGrid: 100,
+        wallLayers: null, // Names of the layers whose filled cells are walls (null: all layers)
+        doorLayer: null, // Name of the layer whose cells are doors (portals)
+        lightLayer: null, // Name of the layer whose cells are light sources
+        lightRange: 6, // in cells
+        lightIntensity: 1,
+        drawLightLayer: false, // Draw the light layer into the image (it usually only marks where lights are)
+    },
+
+    // Tiled Export
+    // Default Tiled export settings (the last used settings are stored with each map)
+    defaultTiledExportSettings: {
+        format: "tmj", // "tmj" (JSON) or "tmx" (XML)
+        tileSize: 32, // Tile width/height in pixels
+    },
+
+    // Sprite Sheet Import
+    // Default slicing settings (the last used settings are kept until the page is reloaded)
+    defaultSpriteSheetSettings: {
+        tileWidth: 32, // in pixels
+        tileHeight: 32,
+        margin: 0, // Space around the tiles at the image border (pixels)
+        spacing: 0, // Space between neighbouring tiles (pixels)
+        skipEmpty: true, // Leave out fully transparent tiles
+        target: "patterns", // "patterns" (Grid Draw image list of the map) or "library" (asset library)
+        category: "floor", // Asset library category of the tiles
+    },
+    maxSpriteSheetTiles: 1024, // Tiles one sprite sheet may be sliced into
     defaultGridShadowOptions: {
         enabled: false,
         angle: 45, // degrees
@@ -0,0 +1,171 @@
+import { constants } from "./constants.js";
+
+/**
+ * Walls, doors and windows on the edges between grid cells. Each layer keeps its edges in
+ * `layer.edges` (id -> edge), one entry per cell-long segment.
+ *
+ * An edge is `{ x, y, side, style, color }`. Positions are grid corners in cells: side "h" runs
+ * from corner (x, y) to (x + 1, y) (the top edge of cell (x, y)), side "v" from (x, y) to (x, y + 1)
+ * (its left edge). `style` is a key of `constants.edgeStyles`.
+ */
+
+/**
+ * The id of an edge in `layer.edges`.
+ *
+ * @param {string} side - "h" or "v".
+ * @param {number} x - The x index of its first corner.
+ * @param {number} y - The y index of its first corner.
+ * @returns {string} The id, e.g. "h_3_-2".
+ */
+export function edgeId(side, x, y) {
+  return `${side}_${x}_${y}`;
+}
+
+/**
+ * The ids of the edges between cells of a set: edges with a cell of the set on both sides.
+ * The outer edges of the set are left out, since they are shared with cells outside it.
+ *
+ * @param {Array<Object>} cells - The cells `{ x, y }`.
+ * @returns {Array<string>} The edge ids.
+ */
+export function getInnerEdgeIds(cells) {
+  const keys = new Set(cells.map((cell) => `${cell.x}_${cell.y}`));
+  const ids = [];
+  cells.forEach(({ x, y }) => {
+    if (keys.has(`${x + 1}_${y}`)) ids.push(edgeId("v", x + 1, y)); // Right edge
+    if (keys.has(`${x}_${y + 1}`)) ids.push(edgeId("h", x, y + 1)); // Bottom edge
+  });
+  return ids;
+}
+
+/**
+ * The id of the edge between two neighbouring cells.
+ *
+ * @param {number} x - The x index of one cell.
+ * @param {number} y - The y index of one cell.
+ * @param {number} nx - The x index of the other cell (one step left, right, up or down).
+ * @param {number} ny - The y index of the other cell.
+ * @returns {string} The edge id.
+ */
+export function getEdgeIdBetween(x, y, nx, ny) {
+  return nx !== x ? edgeId("v", Math.max(x, nx), y) : edgeId("h", x, Math.max(y, ny));
+}
+
+/**
+ * The midpoint of an edge, in cells.
+ *
+ * @param {Object} edge - The edge.
+ * @returns {Object} `{ x, y }`.
+ */
+export function getEdgeCenter(edge) {
+  return edge.side === "h" ? { x: edge.x + 0.5, y: edge.y } : { x: edge.x, y: edge.y + 0.5 };
+}
+
+/**
+ * The edge closest to a point.
+ *
+ * @param {number} x - The point in cells (e.g. the mouse position divided by the cell size).
+ * @param {number} y - The point in cells.
+ * @returns {Object} `{ side, x, y, distance }`: the edge position and the distance of the point from its grid line, in cells.
+ */
+export function getNearestEdge(x, y) {
+  const distanceH = Math.abs(y - Math.round(y)); // From the nearest horizontal grid line
+  const distanceV = Math.abs(x - Math.round(x));
+  return distanceH <= distanceV
+    ? { side: "h", x: Math.floor(x), y: Math.round(y), distance: distanceH }
+    : { side: "v", x: Math.round(x), y: Math.floor(y), distance: distanceV };
+}
+
+/**
+ * The edges of a straight run along a grid line between two corners. The run follows the longer
+ * direction from `start` (horizontal on ties), so a slightly crooked drag still gives a straight wall.
+ *
+ * @param {Object} start - The first corner `{ x, y }`.
+ * @param {Object} end - The corner the mouse is at `{ x, y }`.
+ * @returns {Array<Object>} The edge positions `{ side, x, y }`; empty if both corners are the same.
+ */
+export function getEdgesAlong(start, end) {
+  const edges = [];
+  if (Math.abs(end.x - start.x) >= Math.abs(end.y - start.y)) {
+    for (let x = Math.min(start.x, end.x); x < Math.max(start.x, end.x); x++) edges.push({ side: "h", x, y: start.y });
+  } else {
+    for (let y = Math.min(start.y, end.y); y < Math.max(start.y, end.y); y++) edges.push({ side: "v", x: start.x, y });
+  }
+  return edges;
+}
+
+/**
+ * Draws an edge in its style. Sizes are relative to the cell size, so the same code draws on the
+ * screen (pixels) and for exports (logical units, `cellSize` 1).
+ *
+ * - "wall": a solid bar.
+ * - "door": a door leaf between two wall ends.
+ * - "secretDoor": a wall marked with an "S".
+ * - "window": a framed pane between two wall ends.
+ * - "portcullis": a row of bars (seen from above) between two wall ends.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The context to draw on.
+ * @param {Object} edge - The edge.
+ * @param {number} cellSize - The size of a cell in the units of `ctx`.
+ */
+export function drawEdge(ctx, edge, cellSize) {
+  const length = cellSize;
+  const thickness = cellSize * constants.edgeThickness;
+  const color = edge.color || constants.defaultEdgeColor;
+  // Walls reach half their thickness past the corners, so walls meeting at a corner close it
+  const wall = (from, to) => ctx.fillRect(from - thickness / 2, -thickness / 2, to - from + thickness, thickness);
+  const wallEnds = () => {
+    wall(0, length * 0.2);
+    wall(length * 0.8, length);
+  };
+
+  ctx.save();
+  ctx.translate(edge.x * cellSize, edge.y * cellSize);
+  if (edge.side === "v") ctx.rotate(Math.PI / 2); // Draw along +x, turned to run down
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = thickness / 4;
+  ctx.setLineDash([]);
+
+  switch (edge.style) {
+    case "door":
+      wallEnds();
+      ctx.fillStyle = constants.edgeOpeningFillColor;
+      ctx.fillRect(length * 0.2, -thickness, length * 0.6, thickness * 2);
+      ctx.strokeRect(length * 0.2, -thickness, length * 0.6, thickness * 2);
+      break;
+    case "secretDoor":
+      wall(0, length);
+      ctx.font = `bold ${length * 0.5}px sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.lineWidth = thickness / 2;
+      ctx.strokeStyle = constants.edgeOpeningFillColor; // Outline, so the letter stands out on the wall
+      ctx.strokeText("S", length / 2, 0);
+      ctx.fillText("S", length / 2, 0);
+      break;
+    case "window":
+      wallEnds();
+      ctx.fillStyle = constants.edgeOpeningFillColor;
+      ctx.fillRect(length * 0.2, -thickness / 2, length * 0.6, thickness);
+      ctx.strokeRect(length * 0.2, -thickness / 2, length * 0.6, thickness);
+      ctx.beginPath();
+      ctx.moveTo(length * 0.2, 0); ctx.lineTo(length * 0.8, 0);
+      ctx.stroke();
+      break;
+    case "portcullis":
+      wallEnds();
+      ctx.beginPath();
+      ctx.moveTo(length * 0.2, 0); ctx.lineTo(length * 0.8, 0);
+      ctx.stroke();
+      for (let i = 0; i < 5; i++) {
+        ctx.beginPath();
+        ctx.arc(length * (0.3 + i * 0.1), 0, thickness / 2, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+      break;
+    default: // "wall"
+      wall(0, length);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,190 @@
+import { constants } from "./constants.js";
+import { crc32 } from "./zip.js";
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * Adds the map data to a PNG file.
+ *
+ * @param {Blob} pngBlob - The PNG image.
+ * @param {Object} mapData - The map data to embed.
+ * @returns {Promise<Blob>} The PNG with an `iTXt` chunk holding the map JSON, inserted before `IEND`.
+ * @throws {Error} If the file is not a PNG.
+ */
+export async function embedMapInPNG(pngBlob, mapData) {
+  const bytes = new Uint8Array(await pngBlob.arrayBuffer());
+  const chunks = readPNGChunks(bytes);
+  const end = chunks.find((chunk) => chunk.type === "IEND");
+  if (!end) throw new Error("The image is not a valid PNG file.");
+
+  const encoder = new TextEncoder();
+  let text = encoder.encode(JSON.stringify(mapData));
+  const compressed = typeof CompressionStream !== "undefined";
+  if (compressed) text = await transform(text, new CompressionStream("deflate"));
+
+  // keyword, null, compression flag, compression method, language tag, null, translated keyword, null, text
+  const keyword = encoder.encode(constants.embeddedMapKeyword);
+  const data = new Uint8Array(keyword.length + 5 + text.length);
+  data.set(keyword, 0);
+  data[keyword.length + 1] = compressed ? 1 : 0;
+  data.set(text, keyword.length + 5);
+
+  return new Blob([bytes.subarray(0, end.offset), createPNGChunk("iTXt", data), bytes.subarray(end.offset)], { type: "image/png" });
+}
+
+/**
+ * Reads the map data embedded by `embedMapInPNG()`.
+ *
+ * @param {ArrayBuffer} buffer - The PNG file.
+ * @returns {Promise<Object|null>} The map data, or `null` if the image has none.
+ * @throws {Error} If the file is not a PNG or the embedded data is damaged.
+ */
+export async function extractMapFromPNG(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+  for (const chunk of readPNGChunks(bytes)) {
+    if (chunk.type !== "iTXt") continue;
+    const data = bytes.subarray(chunk.dataOffset, chunk.dataOffset + chunk.length);
+    const keywordEnd = data.indexOf(0);
+    if (decoder.decode(data.subarray(0, keywordEnd)) !== constants.embeddedMapKeyword) continue;
+
+    const compressed = data[keywordEnd + 1] === 1;
+    // Skip the language tag and translated keyword (both null-terminated)
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const textStart = data.indexOf(0, languageEnd + 1) + 1;
+    let text = data.subarray(textStart);
+    if (compressed) {
+      if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot decompress the map data.");
+      text = await transform(text, new DecompressionStream("deflate"));
+    }
+    return JSON.parse(decoder.decode(text));
+  }
+  return null;
+}
+
+/**
+ * Attaches the map data to a jsPDF document as `constants.embeddedMapFileName`.
+ * Call before saving; the attachment is written when the document is output.
+ *
+ * @param {jsPDF} pdf - The document.
+ * @param {Object} mapData - The map data to embed.
+ */
+export function embedMapInPDF(pdf, mapData) {
+  // PDF strings are bytes: write the UTF-8 encoding one character per byte
+  const bytes = new TextEncoder().encode(JSON.stringify(mapData));
+  let data = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    data += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  const fileName = constants.embeddedMapFileName;
+  let fileSpecId = null;
+
+  pdf.internal.events.subscribe("postPutResources", () => {
+    const streamId = pdf.internal.newObject();
+    pdf.internal.write(`<< /Type /EmbeddedFile /Subtype /application#2Fjson /Length ${bytes.length} >>`);
+    pdf.internal.write("stream");
+    pdf.internal.write(data);
+    pdf.internal.write("endstream");
+    pdf.internal.write("endobj");
+
+    fileSpecId = pdf.internal.newObject();
+    pdf.internal.write(`<< /Type /Filespec /F (${fileName}) /UF (${fileName}) /Desc (Open Map Creator map) /EF << /F ${streamId} 0 R >> >>`);
+    pdf.internal.write("endobj");
+  });
+  pdf.internal.events.subscribe("putCatalog", () => {
+    if (fileSpecId === null) return;
+    pdf.internal.write(`/Names << /EmbeddedFiles << /Names [(${fileName}) ${fileSpecId} 0 R] >> >>`);
+  });
+}
+
+/**
+ * Reads the map data embedded by `embedMapInPDF()`.
+ * Also finds it after the PDF was saved again by another program, as long as the attachment
+ * is stored uncompressed or with `FlateDecode`.
+ *
+ * @param {ArrayBuffer} buffer - The PDF file.
+ * @returns {Promise<Object|null>} The map data, or `null` if the PDF has none.
+ */
+export async function extractMapFromPDF(buffer) {
+  const bytes = new Uint8Array(buffer);
+  // Latin-1 keeps one character per byte, so string offsets are byte offsets
+  const text = new TextDecoder("latin1").decode(bytes);
+  const pattern = /\/Type\s*\/EmbeddedFile\b/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const dictStart = text.lastIndexOf("<<", match.index);
+    const streamKeyword = text.indexOf("stream", match.index);
+    if (dictStart < 0 || streamKeyword < 0) continue;
+    const dict = text.slice(dictStart, streamKeyword);
+    const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+    if (!length) continue; // Indirect lengths are not supported
+
+    // The data starts after the end of line following "stream"
+    let start = streamKeyword + "stream".length;
+    if (text[start] === "\r") start++;
+    if (text[start] === "\n") start++;
+    let data = bytes.subarray(start, start + Number(length[1]));
+    try {
+      if (/\/Filter\s*\/FlateDecode/.test(dict)) {
+        if (typeof DecompressionStream === "undefined") continue;
+        data = await transform(data, new DecompressionStream("deflate"));
+      } else if (/\/Filter/.test(dict)) {
+        continue;
+      }
+      const mapData = JSON.parse(new TextDecoder().decode(data));
+      if (mapData && typeof mapData === "object" && mapData.settings && mapData.layers) return mapData;
+    } catch (e) {
+      // Another attachment, or not JSON: keep looking
+    }
+  }
+  return null;
+}
+
+/**
+ * Splits a PNG file into its chunks.
+ *
+ * @param {Uint8Array} bytes - The PNG file.
+ * @returns {Array<Object>} `[{ type, offset, dataOffset, length }]` (`offset` is where the chunk starts).
+ * @throws {Error} If the file is not a PNG.
+ */
+function readPNGChunks(bytes) {
+  if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+    throw new Error("The file is not a PNG image.");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, offset, dataOffset: offset + 8, length });
+    if (type === "IEND") break;
+    offset += 12 + length; // length, type, data, CRC
+  }
+  return chunks;
+}
+
+/**
+ * @param {string} type - The four-letter chunk type.
+ * @param {Uint8Array} data - The chunk data.
+ * @returns {Uint8Array} The chunk with length and CRC.
+ */
+function createPNGChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Runs bytes through a `CompressionStream` or `DecompressionStream`.
+ *
+ * @returns {Promise<Uint8Array>} The result.
+ */
+async function transform(bytes, stream) {
+  const result = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(result).arrayBuffer());
+}
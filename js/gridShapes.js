@@ -0,0 +1,156 @@
+/**
+ * Cell geometry of the grid painting tools. All functions work on cell indices and
+ * return the cells a tool paints as `{ x, y }` objects; painting them is up to `CanvasManager`.
+ */
+
+/**
+ * The cells of a rectangle spanned by two corner cells (in any order).
+ *
+ * @param {Object} start - One corner cell `{ x, y }`.
+ * @param {Object} end - The opposite corner cell `{ x, y }`.
+ * @param {boolean} [outline=false] - Only the walls: the cells within `thickness` of the rectangle's edge.
+ * @param {number} [thickness=1] - The wall thickness in cells (outline only).
+ * @returns {Array<Object>} The cells, row by row.
+ */
+export function getRectangleCells(start, end, outline = false, thickness = 1) {
+  const bounds = getCellBounds([start, end]);
+  const cells = [];
+  for (let y = bounds.minY; y <= bounds.maxY; y++) {
+    for (let x = bounds.minX; x <= bounds.maxX; x++) {
+      const isWall = x - bounds.minX < thickness || bounds.maxX - x < thickness ||
+        y - bounds.minY < thickness || bounds.maxY - y < thickness;
+      if (!outline || isWall) cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+/**
+ * The cells of a straight line between two cells (Bresenham's algorithm): each step moves to a
+ * neighbouring cell, diagonals included, so the line has no gaps.
+ *
+ * @param {Object} start - The first cell `{ x, y }`.
+ * @param {Object} end - The last cell `{ x, y }`.
+ * @returns {Array<Object>} The cells from `start` to `end`, both included.
+ */
+export function getLineCells(start, end) {
+  const cells = [];
+  const dx = Math.abs(end.x - start.x), dy = -Math.abs(end.y - start.y);
+  const stepX = start.x < end.x ? 1 : -1, stepY = start.y < end.y ? 1 : -1;
+  let x = start.x, y = start.y, error = dx + dy;
+  for (;;) {
+    cells.push({ x, y });
+    if (x === end.x && y === end.y) return cells;
+    const error2 = 2 * error;
+    if (error2 >= dy) { error += dy; x += stepX; }
+    if (error2 <= dx) { error += dx; y += stepY; }
+  }
+}
+
+/**
+ * Moves the end of a line so the line runs at a multiple of 45° (horizontal, vertical or diagonal),
+ * whichever is closest to its direction.
+ *
+ * @param {Object} start - The first cell `{ x, y }`.
+ * @param {Object} end - The cell to snap `{ x, y }`.
+ * @returns {Object} The snapped end cell `{ x, y }`.
+ */
+export function snapLineEnd(start, end) {
+  const dx = end.x - start.x, dy = end.y - start.y;
+  const adx = Math.abs(dx), ady = Math.abs(dy);
+  const tan22 = Math.tan(Math.PI / 8); // Halfway between two 45° directions
+  if (ady <= adx * tan22) return { x: end.x, y: start.y };
+  if (adx <= ady * tan22) return { x: start.x, y: end.y };
+  const length = Math.max(adx, ady);
+  return { x: start.x + Math.sign(dx) * length, y: start.y + Math.sign(dy) * length };
+}
+
+/**
+ * The cells of a polyline: the lines between consecutive points (see `getLineCells()`), widened to
+ * `thickness` cells with a square brush (see `getBrushCells()`).
+ *
+ * @param {Array<Object>} points - The corner cells `{ x, y }` (at least one).
+ * @param {number} [thickness=1] - The line width in cells.
+ * @returns {Array<Object>} The cells, each once.
+ */
+export function getPolylineCells(points, thickness = 1) {
+  const cells = new Map();
+  points.forEach((point, i) => {
+    const line = i === 0 ? [point] : getLineCells(points[i - 1], point);
+    line.forEach((center) => {
+      getBrushCells(center, thickness, "square").forEach((cell) => cells.set(`${cell.x}_${cell.y}`, cell));
+    });
+  });
+  return [...cells.values()];
+}
+
+/**
+ * The cells a brush covers around a cell. Odd sizes are centered on the cell; even sizes extend
+ * one cell further to the top-left.
+ *
+ * @param {Object} center - The cell under the mouse `{ x, y }`.
+ * @param {number} size - The brush width and height in cells.
+ * @param {string} shape - "square", "circle" or "diamond" (see `constants.brushShapes`).
+ * @returns {Array<Object>} The cells, row by row.
+ */
+export function getBrushCells(center, size, shape) {
+  const cells = [];
+  const half = (size - 1) / 2; // Offset of the brush center from its top-left cell
+  const first = -Math.ceil(half);
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const dx = j - half, dy = i - half;
+      const inside = shape === "circle" ? dx * dx + dy * dy <= (size / 2) ** 2
+        : shape === "diamond" ? Math.abs(dx) + Math.abs(dy) <= half + (size % 2 === 0 ? 0.5 : 0)
+        : true;
+      if (inside) cells.push({ x: center.x + first + j, y: center.y + first + i });
+    }
+  }
+  return cells;
+}
+
+/**
+ * The bounding box of cells.
+ *
+ * @param {Array<Object>} cells - The cells `{ x, y }` (at least one).
+ * @returns {Object} `{ minX, minY, maxX, maxY, width, height }` in cells (inclusive).
+ */
+export function getCellBounds(cells) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  cells.forEach((cell) => {
+    minX = Math.min(minX, cell.x);
+    minY = Math.min(minY, cell.y);
+    maxX = Math.max(maxX, cell.x);
+    maxY = Math.max(maxY, cell.y);
+  });
+  return { minX, minY, maxX, maxY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * The connected region of cells around a start cell (neighbours share an edge), found breadth-first.
+ * The search stops after `maxCells` cells, so an unbounded region of empty cells on the infinite
+ * canvas does not run forever.
+ *
+ * @param {Object} start - The start cell `{ x, y }` (part of the region).
+ * @param {Function} matches - `(x, y) => boolean`: whether a cell belongs to the region.
+ * @param {number} maxCells - The most cells to collect.
+ * @param {Function} [isBlocked] - `(x, y, nx, ny) => boolean`: whether the edge between two neighbouring cells
+ * cannot be crossed (e.g. a wall).
+ * @returns {Object} `{ cells, complete }`: `complete` is `false` if the region has more than `maxCells` cells
+ * (`cells` then holds the first `maxCells` found).
+ */
+export function getFloodFillCells(start, matches, maxCells, isBlocked = null) {
+  const queue = [{ x: start.x, y: start.y }];
+  const seen = new Set([`${start.x}_${start.y}`]);
+  for (let head = 0; head < queue.length; head++) {
+    if (head >= maxCells) return { cells: queue.slice(0, maxCells), complete: false };
+    const { x, y } = queue[head];
+    [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]].forEach(([nx, ny]) => {
+      const key = `${nx}_${ny}`;
+      if (seen.has(key) || (isBlocked && isBlocked(x, y, nx, ny)) || !matches(nx, ny)) return;
+      seen.add(key);
+      queue.push({ x: nx, y: ny });
+    });
+  }
+  return { cells: queue, complete: true };
+}
@@ -0,0 +1,277 @@
+/**
+ * Compares two plain objects by their own enumerable properties (one level deep).
+ *
+ * @param {Object|undefined} a - The first object.
+ * @param {Object|undefined} b - The second object.
+ * @returns {boolean} `true` if both are missing, or both have the same keys with identical values.
+ */
+export function shallowEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => a[key] === b[key]);
+}
+
+/**
+ * A reversible change to the map, recorded while an action is in progress
+ * (painting, drawing walls, erasing, moving a selection, pasting, adding a layer, changing settings, ...).
+ *
+ * Only the touched entries are stored: for each cell/object the value before the action
+ * and the value after it. Undo writes the "before" values back, redo the "after" values.
+ */
+export class MapChange {
+  /**
+   * @param {string} [label] - A short human-readable description of the action (e.g. "Paint cells").
+   */
+  constructor(label = "Edit") {
+    this.label = label;
+    this.cells = new Map(); // layer object -> Map(cellId -> { before, after })
+    this.edges = new Map(); // layer object -> Map(edgeId -> { before, after })
+    this.freeDrawObjects = new Map(); // id -> { before, after }
+    this.customObjects = new Map(); // id -> { before, after }
+    this.layers = null; // { before: { list, activeIndex }, after: { list, activeIndex } }
+    this.settings = null; // { before, after } snapshots from CanvasManager._captureSettings()
+  }
+
+  /**
+   * Remembers the state of a grid cell before it is changed. Only the first call per cell counts.
+   *
+   * @param {Object} layer - The layer object the cell belongs to.
+   * @param {string} cellId - The cell id (see `CanvasManager._cellId`).
+   */
+  recordCell(layer, cellId) {
+    recordLayerEntry(this.cells, layer, layer.objects, cellId);
+  }
+
+  /**
+   * Remembers the state of a layer edge (wall, door, ...) before it is changed. Only the first call per edge counts.
+   *
+   * @param {Object} layer - The layer object the edge belongs to.
+   * @param {string} edgeId - The edge id (see `edgeId()` in `edges.js`).
+   */
+  recordEdge(layer, edgeId) {
+    recordLayerEntry(this.edges, layer, layer.edges, edgeId);
+  }
+
+  /**
+   * Remembers the state of an object (free-draw or custom) before it is changed.
+   * Only the first call per object counts.
+   *
+   * @param {string} kind - Either "freeDrawObjects" or "customObjects".
+   * @param {Map<string, Object>} objects - The live object map of that kind on the canvas manager.
+   * @param {string} id - The object id.
+   */
+  recordObject(kind, objects, id) {
+    const entries = this[kind];
+    if (!entries.has(id)) {
+      entries.set(id, { before: copyOf(objects.get(id)) });
+    }
+  }
+
+  /**
+   * Remembers the layer list (order and membership) and the active layer before they change.
+   *
+   * @param {Array<Object>} layers - The live layer array.
+   * @param {number} activeIndex - The active layer index.
+   */
+  recordLayers(layers, activeIndex) {
+    if (!this.layers) {
+      this.layers = { before: { list: layers.slice(), activeIndex } };
+    }
+  }
+
+  /**
+   * Captures the "after" side of every recorded entry and drops entries that did not change.
+   *
+   * @param {CanvasManager} cm - The canvas manager the change was made on.
+   * @param {Object} settingsBefore - The settings snapshot from the last committed state.
+   * @returns {boolean} `true` if the change contains anything worth keeping in the history.
+   */
+  finalize(cm, settingsBefore) {
+    this.cells.forEach((layerCells, layer) => {
+      finalizeObjects(layerCells, layer.objects);
+      if (layerCells.size === 0) this.cells.delete(layer);
+    });
+    this.edges.forEach((layerEdges, layer) => {
+      finalizeObjects(layerEdges, layer.edges);
+      if (layerEdges.size === 0) this.edges.delete(layer);
+    });
+    finalizeObjects(this.freeDrawObjects, cm.freeDrawObjects);
+    finalizeObjects(this.customObjects, cm.customObjects);
+
+    if (this.layers) {
+      this.layers.after = { list: cm.layers.slice(), activeIndex: cm.activeLayerIndex };
+      const { before, after } = this.layers;
+      if (before.list.length === after.list.length && before.list.every((layer, i) => layer === after.list[i])) {
+        this.layers = null;
+      }
+    }
+
+    const settingsAfter = cm._captureSettings();
+    if (!cm._settingsEqual(settingsBefore, settingsAfter)) {
+      this.settings = { before: settingsBefore, after: settingsAfter };
+    }
+
+    return this.cells.size > 0 || this.edges.size > 0 || this.freeDrawObjects.size > 0 || this.customObjects.size > 0 ||
+           this.layers !== null || this.settings !== null;
+  }
+
+  /**
+   * Reverts the change.
+   * @param {CanvasManager} cm - The canvas manager to apply the change to.
+   */
+  undo(cm) {
+    this._apply(cm, "before");
+  }
+
+  /**
+   * Re-applies the change.
+   * @param {CanvasManager} cm - The canvas manager to apply the change to.
+   */
+  redo(cm) {
+    this._apply(cm, "after");
+  }
+
+  /**
+   * Writes one side ("before" or "after") of every recorded entry to the canvas manager.
+   *
+   * @param {CanvasManager} cm - The canvas manager to apply the change to.
+   * @param {string} side - Either "before" or "after".
+   */
+  _apply(cm, side) {
+    if (this.layers) {
+      cm.layers = this.layers[side].list.slice();
+      cm.activeLayerIndex = this.layers[side].activeIndex;
+    }
+    this.cells.forEach((layerCells, layer) => applyObjects(layerCells, layer.objects, side));
+    this.edges.forEach((layerEdges, layer) => applyObjects(layerEdges, layer.edges, side));
+    applyObjects(this.freeDrawObjects, cm.freeDrawObjects, side);
+    applyObjects(this.customObjects, cm.customObjects, side);
+    if (this.settings) {
+      cm._applySettings(this.settings[side]);
+    }
+  }
+}
+
+/**
+ * Keeps a bounded stack of `MapChange` commands with undo/redo support.
+ */
+export class HistoryManager {
+  /**
+   * @param {number} limit - The maximum number of undo steps to keep.
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Adds a finished command to the history and clears the redo branch.
+   * Removes the oldest command if the limit is exceeded.
+   *
+   * @param {MapChange} command - The command to add.
+   */
+  push(command) {
+    this.undoStack.push(command);
+    this.redoStack = [];
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift(); // Remove oldest entry
+    }
+  }
+
+  /**
+   * Reverts the most recent command.
+   *
+   * @param {CanvasManager} cm - The canvas manager to apply the change to.
+   * @returns {boolean} `true` if something was undone.
+   */
+  undo(cm) {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+    command.undo(cm);
+    this.redoStack.push(command);
+    return true;
+  }
+
+  /**
+   * Re-applies the most recently undone command.
+   *
+   * @param {CanvasManager} cm - The canvas manager to apply the change to.
+   * @returns {boolean} `true` if something was redone.
+   */
+  redo(cm) {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+    command.redo(cm);
+    this.undoStack.push(command);
+    return true;
+  }
+
+  /**
+   * Removes all commands (e.g. after loading a different map).
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+/**
+ * Returns a shallow copy of an entry (so later in-place edits don't leak into the history),
+ * or `undefined` if the entry does not exist.
+ *
+ * @param {Object|undefined} entry - A cell or object.
+ * @returns {Object|undefined} The copy.
+ */
+function copyOf(entry) {
+  return entry ? { ...entry } : undefined;
+}
+
+/**
+ * Remembers the "before" value of an entry of a layer (a cell or an edge), once per entry.
+ *
+ * @param {Map<Object, Map>} recorded - The recorded entries (layer -> Map(id -> { before })).
+ * @param {Object} layer - The layer object.
+ * @param {Map<string, Object>} entries - The live entries of that layer (`layer.objects` or `layer.edges`).
+ * @param {string} id - The entry id.
+ */
+function recordLayerEntry(recorded, layer, entries, id) {
+  let layerEntries = recorded.get(layer);
+  if (!layerEntries) {
+    layerEntries = new Map();
+    recorded.set(layer, layerEntries);
+  }
+  if (!layerEntries.has(id)) {
+    layerEntries.set(id, { before: copyOf(entries.get(id)) });
+  }
+}
+
+/**
+ * Captures the "after" side of recorded objects and drops unchanged ones.
+ *
+ * @param {Map<string, Object>} entries - The recorded entries (id -> { before }).
+ * @param {Map<string, Object>} objects - The live object map.
+ */
+function finalizeObjects(entries, objects) {
+  entries.forEach((entry, id) => {
+    entry.after = copyOf(objects.get(id));
+    if (shallowEqual(entry.before, entry.after)) entries.delete(id);
+  });
+}
+
+/**
+ * Writes one side of recorded objects back to the live object map.
+ *
+ * @param {Map<string, Object>} entries - The recorded entries (id -> { before, after }).
+ * @param {Map<string, Object>} objects - The live object map.
+ * @param {string} side - Either "before" or "after".
+ */
+function applyObjects(entries, objects, side) {
+  entries.forEach((entry, id) => {
+    if (entry[side]) objects.set(id, copyOf(entry[side]));
+    else objects.delete(id);
+  });
+}
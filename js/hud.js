@@ -1,4 +1,5 @@
 import { constants } from "./constants.js";
+import { SpriteSheetDialog } from "./spriteSheetDialog.js";
 
 export class HUD {
   constructor(canvasManager, storageManager) {
@@ -7,8 +8,11 @@ export class HUD {
     this.setupToolbar();
     this.setupCanvasSettings();
     this.setupLayerControls();
+    this.setupMapLibrary();
     this.setupEmptyCellSettings();
     this.setupAppearanceSettings();
+    this.assetFilter = { search: "", category: "" }; // Asset library filter, shared by the instrument panels
+    this.spriteSheetDialog = new SpriteSheetDialog(canvasManager, storageManager);
     window.hudInstance = this;
     // Initial update after potential autoload in main.js
     this.updateAppearanceControls();
@@ -200,6 +204,330 @@ export class HUD {
     });
   }
 
+  /**
+   * Sets up the map library controls: the "New Map" button and the map list,
+   * which is filled once the library has been opened (see `updateMapList()`).
+   */
+  setupMapLibrary() {
+    this.mapList = document.getElementById("mapList");
+    this.quarantine = document.getElementById("quarantine");
+    this.quarantineList = document.getElementById("quarantineList");
+    document.getElementById("newMap").addEventListener("click", () => {
+      this.storageManager.createMap();
+    });
+  }
+
+  /**
+   * Updates the map list in the HUD from the map library.
+   * Each entry shows the thumbnail, name and last-modified date of a map; clicking the name
+   * opens the map. Rename, duplicate and delete buttons act on that entry.
+   * The currently open map is highlighted.
+   */
+  updateMapList() {
+    this.storageManager.listMaps().then((maps) => {
+      this.mapList.innerHTML = ""; // Clear existing list
+
+      maps.forEach((info) => {
+        const li = document.createElement("li");
+        if (info.id === this.storageManager.currentMapId) {
+          li.classList.add("active");
+        }
+
+        const thumbnail = document.createElement("img");
+        thumbnail.className = "map-thumbnail";
+        thumbnail.alt = "";
+        if (info.thumbnail) thumbnail.src = info.thumbnail;
+        li.appendChild(thumbnail);
+
+        const details = document.createElement("div");
+        const nameSpan = document.createElement("span");
+        nameSpan.textContent = info.name;
+        nameSpan.style.cursor = "pointer";
+        nameSpan.title = "Click to open";
+        nameSpan.addEventListener("click", () => this.storageManager.switchMap(info.id));
+        details.appendChild(nameSpan);
+
+        const dateSpan = document.createElement("small");
+        dateSpan.textContent = new Date(info.lastModified).toLocaleString();
+        details.appendChild(document.createElement("br"));
+        details.appendChild(dateSpan);
+        details.appendChild(document.createElement("br"));
+
+        const actions = [
+          ["Rename", () => this.storageManager.renameMap(info.id)],
+          ["Duplicate", () => this.storageManager.duplicateMap(info.id)],
+          ["Delete", () => this.storageManager.deleteMap(info.id)],
+        ];
+        actions.forEach(([label, handler]) => {
+          const button = document.createElement("button");
+          button.textContent = label;
+          button.addEventListener("click", handler);
+          details.appendChild(button);
+        });
+        li.appendChild(details);
+
+        this.mapList.appendChild(li);
+      });
+    });
+    this.updateQuarantineList();
+  }
+
+  /**
+   * Updates the list of unreadable saves (quarantined by the map library) below the map list.
+   * Each entry shows the name and date; hovering shows why it could not be loaded.
+   * The section is hidden while there are none.
+   */
+  updateQuarantineList() {
+    this.storageManager.listQuarantine().then((entries) => {
+      this.quarantineList.innerHTML = "";
+      this.quarantine.style.display = entries.length > 0 ? "block" : "none";
+
+      entries.forEach((entry) => {
+        const li = document.createElement("li");
+        li.title = entry.errors.join("\n");
+
+        const nameSpan = document.createElement("span");
+        nameSpan.textContent = entry.name;
+        li.appendChild(nameSpan);
+        const dateSpan = document.createElement("small");
+        dateSpan.textContent = new Date(entry.quarantinedAt).toLocaleString();
+        li.appendChild(document.createElement("br"));
+        li.appendChild(dateSpan);
+        li.appendChild(document.createElement("br"));
+
+        const actions = [
+          ["Download", () => this.storageManager.downloadQuarantined(entry.id)],
+          ["Delete", () => this.storageManager.deleteQuarantined(entry.id)],
+        ];
+        actions.forEach(([label, handler]) => {
+          const button = document.createElement("button");
+          button.textContent = label;
+          button.addEventListener("click", handler);
+          li.appendChild(button);
+        });
+
+        this.quarantineList.appendChild(li);
+      });
+    });
+  }
+
+  /**
+   * Updates the prefab list of the Prefab tool panel (if it is open) from the library.
+   * Each entry shows the thumbnail, name and size; clicking it selects the prefab for placing.
+   * Rename and delete buttons act on that entry. The selected prefab is highlighted.
+   */
+  updatePrefabList() {
+    const list = this.prefabList;
+    if (!list || !list.isConnected) return;
+    this.storageManager.listPrefabs().then((prefabs) => {
+      list.innerHTML = "";
+      if (prefabs.length === 0) {
+        list.textContent = "No prefabs yet. Select something with the Select tool and click \"Save as Prefab\".";
+        return;
+      }
+      const selectedId = this.canvasManager.prefabPlacement.prefab?.id;
+
+      prefabs.forEach((prefab) => {
+        const li = document.createElement("li");
+        if (prefab.id === selectedId) li.classList.add("active");
+        li.title = "Click to select";
+        li.addEventListener("click", () => {
+          this.canvasManager.setPrefabPlacement({ prefab });
+          this.updatePrefabList();
+        });
+
+        const thumbnail = document.createElement("img");
+        thumbnail.className = "map-thumbnail";
+        thumbnail.alt = "";
+        if (prefab.thumbnail) thumbnail.src = prefab.thumbnail;
+        li.appendChild(thumbnail);
+
+        const details = document.createElement("div");
+        const nameSpan = document.createElement("span");
+        nameSpan.textContent = prefab.name;
+        details.appendChild(nameSpan);
+        const sizeSpan = document.createElement("small");
+        sizeSpan.textContent = `${prefab.width} × ${prefab.height} cells`;
+        details.appendChild(document.createElement("br"));
+        details.appendChild(sizeSpan);
+        details.appendChild(document.createElement("br"));
+
+        const actions = [
+          ["Rename", () => this.storageManager.renamePrefab(prefab)],
+          ["Delete", () => this.storageManager.deletePrefab(prefab)],
+        ];
+        actions.forEach(([label, handler]) => {
+          const button = document.createElement("button");
+          button.textContent = label;
+          button.addEventListener("click", (e) => {
+            e.stopPropagation(); // Don't select the prefab
+            handler();
+          });
+          details.appendChild(button);
+        });
+        li.appendChild(details);
+
+        list.appendChild(li);
+      });
+    });
+  }
+
+  /**
+   * Adds the brush controls (size and shape) shared by Grid Draw and Erase to a settings panel.
+   *
+   * @param {HTMLElement} container - The panel to add the controls to.
+   */
+  appendBrushSettings(container) {
+    const brush = this.canvasManager.brushSettings;
+    const sizeLabel = document.createElement("label"); sizeLabel.textContent = "Brush Size: ";
+    const sizeSelect = document.createElement("select");
+    for (let size = 1; size <= constants.maxBrushSize; size++) {
+      const option = document.createElement("option");
+      option.value = size;
+      option.textContent = `${size} × ${size}`;
+      sizeSelect.appendChild(option);
+    }
+    sizeSelect.value = brush.size;
+    sizeSelect.addEventListener("change", (e) => { brush.size = parseInt(e.target.value, 10) || 1; });
+    container.appendChild(sizeLabel); container.appendChild(sizeSelect); container.appendChild(document.createElement("br"));
+
+    const shapeLabel = document.createElement("label"); shapeLabel.textContent = "Brush Shape: ";
+    const shapeSelect = document.createElement("select");
+    constants.brushShapes.forEach((shape) => {
+      const option = document.createElement("option");
+      option.value = shape;
+      option.textContent = shape;
+      shapeSelect.appendChild(option);
+    });
+    shapeSelect.value = brush.shape;
+    shapeSelect.addEventListener("change", (e) => { brush.shape = e.target.value; });
+    container.appendChild(shapeLabel); container.appendChild(shapeSelect); container.appendChild(document.createElement("br"));
+  }
+
+  /**
+   * Adds the asset library browser to an instrument settings panel: a search field, a category
+   * filter, the matching images as thumbnails and buttons to add images or a sliced sprite sheet. Clicking a thumbnail
+   * passes its source to `onSelect` and shows controls to rename, recategorize or delete it.
+   * Search text and category are kept while switching between instruments.
+   *
+   * @param {HTMLElement} container - The panel to add the browser to.
+   * @param {Function} onSelect - Called with the image source of the clicked asset.
+   * @param {string|null} selectedSrc - The image source currently in use by the instrument (highlighted).
+   */
+  appendAssetLibrary(container, onSelect, selectedSrc) {
+    const heading = document.createElement("label"); heading.textContent = "Asset Library:";
+    container.appendChild(heading); container.appendChild(document.createElement("br"));
+
+    const searchInput = document.createElement("input");
+    searchInput.type = "search"; searchInput.placeholder = "Search..."; searchInput.style.width = "100px";
+    searchInput.value = this.assetFilter.search;
+    searchInput.addEventListener("input", (e) => {
+      this.assetFilter.search = e.target.value;
+      this.renderAssetLibrary();
+    });
+    const categorySelect = document.createElement("select");
+    [["", "All categories"], ...constants.assetCategories.map((category) => [category, category])].forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value; option.textContent = label;
+      categorySelect.appendChild(option);
+    });
+    categorySelect.value = this.assetFilter.category;
+    categorySelect.addEventListener("change", (e) => {
+      this.assetFilter.category = e.target.value;
+      this.renderAssetLibrary();
+    });
+    container.appendChild(searchInput); container.appendChild(categorySelect);
+
+    this.assetLibrary = { list: document.createElement("div"), details: document.createElement("div"), onSelect, selectedSrc };
+    this.assetLibrary.list.id = "assetLibrary";
+    this.assetLibrary.details.id = "assetLibraryDetails";
+    container.appendChild(this.assetLibrary.list);
+    container.appendChild(this.assetLibrary.details);
+
+    // New images go to the filtered category, otherwise the user picks one
+    const addBtn = document.createElement("button");
+    addBtn.textContent = "Add Images to Library";
+    addBtn.addEventListener("click", () => {
+      let category = this.assetFilter.category;
+      if (!category) {
+        const answer = prompt(`Category of the new images (${constants.assetCategories.join(", ")}):`, constants.assetCategories[0]);
+        if (answer === null) return; // Cancelled
+        category = constants.assetCategories.includes(answer.trim().toLowerCase()) ? answer.trim().toLowerCase() : "other";
+      }
+      this.storageManager.pickLibraryAssets(category);
+    });
+    const sheetBtn = document.createElement("button");
+    sheetBtn.textContent = "Add Sprite Sheet";
+    sheetBtn.addEventListener("click", () => this.spriteSheetDialog.pickFile("library"));
+    container.appendChild(addBtn); container.appendChild(sheetBtn); container.appendChild(document.createElement("br"));
+
+    this.updateAssetLibrary();
+  }
+
+  /**
+   * Reloads the asset library from storage and shows it in the open instrument panel (if any).
+   */
+  updateAssetLibrary() {
+    if (!this.assetLibrary || !this.assetLibrary.list.isConnected) return;
+    this.storageManager.listLibraryAssets().then((assets) => {
+      this.libraryAssets = assets;
+      this.renderAssetLibrary();
+    });
+  }
+
+  /**
+   * Shows the loaded asset library images that match the search text and category filter.
+   * The search matches names and categories, ignoring case.
+   */
+  renderAssetLibrary() {
+    const browser = this.assetLibrary;
+    if (!browser || !browser.list.isConnected) return;
+    const search = this.assetFilter.search.trim().toLowerCase();
+    const assets = (this.libraryAssets || []).filter((asset) =>
+      (!this.assetFilter.category || asset.category === this.assetFilter.category) &&
+      (!search || asset.name.toLowerCase().includes(search) || asset.category.includes(search)));
+
+    browser.list.innerHTML = "";
+    if (assets.length === 0) {
+      browser.list.textContent = this.libraryAssets?.length ? "No matching images." : "No images in the library yet.";
+    }
+    assets.forEach((asset) => {
+      const thumb = document.createElement("img");
+      thumb.src = asset.src;
+      thumb.classList.add("image-thumbnail");
+      thumb.title = `${asset.name} (${asset.category})`;
+      if (asset.src === browser.selectedSrc) thumb.classList.add("active");
+      thumb.addEventListener("click", () => {
+        this.activeLibraryAssetId = asset.id;
+        browser.onSelect(asset.src);
+      });
+      browser.list.appendChild(thumb);
+    });
+
+    // Controls for the last clicked image
+    browser.details.innerHTML = "";
+    const active = assets.find((asset) => asset.id === this.activeLibraryAssetId);
+    if (!active) return;
+    const nameSpan = document.createElement("span");
+    nameSpan.textContent = active.name;
+    browser.details.appendChild(nameSpan); browser.details.appendChild(document.createElement("br"));
+    const renameBtn = document.createElement("button");
+    renameBtn.textContent = "Rename";
+    renameBtn.addEventListener("click", () => this.storageManager.renameLibraryAsset(active));
+    const categorySelect = document.createElement("select");
+    constants.assetCategories.forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category; option.textContent = category;
+      categorySelect.appendChild(option);
+    });
+    categorySelect.value = active.category;
+    categorySelect.addEventListener("change", (e) => this.storageManager.setLibraryAssetCategory(active, e.target.value));
+    const deleteBtn = document.createElement("button");
+    deleteBtn.textContent = "Delete";
+    deleteBtn.addEventListener("click", () => this.storageManager.deleteLibraryAsset(active));
+    browser.details.appendChild(renameBtn); browser.details.appendChild(categorySelect); browser.details.appendChild(deleteBtn);
+  }
+
   /**
    * Sets up the appearance settings for the HUD, including shadow and border controls.
    * This method initializes event listeners for various UI elements to update the appearance
@@ -436,20 +764,64 @@ export class HUD {
    *
    * @param {string} instrument - The name of the instrument/tool to load settings for.
    * Supported values include:
-   * - "gridDraw": Displays settings for grid drawing, including fill color, border color, and pattern selection.
+   * - "gridDraw": Displays settings for grid drawing, including brush size and shape, fill color, border color, and pattern selection.
+   * - "gridRect": Displays the rectangle options (outline only, wall thickness) and the Grid Draw settings.
+   * - "gridLine": Displays a hint, the line thickness and the Grid Draw settings.
+   * - "gridFill": Displays a hint and the Grid Draw settings.
    * - "freeDraw": Displays settings for free drawing, including fill color, stroke color, period, size, and optional pattern image.
    * - "addObject": Displays settings for adding custom objects, including image upload and preview.
-   * - "select": Displays settings for selection tools, including delete, rotate, and resize options.
+   * The three drawing panels also contain the asset library browser (see `appendAssetLibrary()`).
+   * - "select": Displays settings for selection tools, including delete, rotate, resize and save-as-prefab options.
+   * - "placePrefab": Displays the prefab library with rotation, mirroring and pack import/export.
+   * - "erase": Displays the brush size and shape (shared with Grid Draw).
+   * - "wall": Displays a hint, the edge style (wall, door, ...) and its color.
    * - Other values: Displays a message indicating no specific settings are available.
    */
   loadInstrumentSettings(instrument) {
     const instrSettings = document.getElementById("instrumentSettings");
     instrSettings.innerHTML = "<h3>Instrument Settings</h3>"; // Clear previous, add title back
 
-    // Grid Draw
-    if (instrument === "gridDraw") {
+    // Grid Draw and the grid painting tools that share its fill settings
+    if (["gridDraw", "gridRect", "gridLine", "gridFill"].includes(instrument)) {
       const settingsDiv = document.createElement('div');
 
+      if (instrument === "gridRect") {
+        const rectSettings = this.canvasManager.rectangleSettings;
+        const hint = document.createElement("small");
+        hint.textContent = "Drag to draw a rectangle with the fill below. Escape cancels.";
+        settingsDiv.appendChild(hint); settingsDiv.appendChild(document.createElement("br"));
+        const outlineLabel = document.createElement("label"); outlineLabel.textContent = "Outline Only (Room): ";
+        const outlineInput = document.createElement("input"); outlineInput.type = "checkbox";
+        outlineInput.checked = rectSettings.outline;
+        outlineInput.addEventListener("change", (e) => { rectSettings.outline = e.target.checked; });
+        settingsDiv.appendChild(outlineLabel); settingsDiv.appendChild(outlineInput); settingsDiv.appendChild(document.createElement("br"));
+        const wallLabel = document.createElement("label"); wallLabel.textContent = "Wall Thickness (cells): ";
+        const wallInput = document.createElement("input"); wallInput.type = "number"; wallInput.min = "1"; wallInput.step = "1";
+        wallInput.value = rectSettings.wallThickness; wallInput.style.width = "60px";
+        wallInput.addEventListener("input", (e) => { rectSettings.wallThickness = Math.max(1, parseInt(e.target.value, 10) || 1); });
+        settingsDiv.appendChild(wallLabel); settingsDiv.appendChild(wallInput); settingsDiv.appendChild(document.createElement("br"));
+      } else if (instrument === "gridLine") {
+        const lineSettings = this.canvasManager.lineSettings;
+        const hint = document.createElement("small");
+        hint.textContent = "Drag to draw a line with the fill below, or click corner after corner and click the last one again (or press Enter) to finish. Shift snaps to 45°, Escape cancels.";
+        settingsDiv.appendChild(hint); settingsDiv.appendChild(document.createElement("br"));
+        const thicknessLabel = document.createElement("label"); thicknessLabel.textContent = "Thickness (cells): ";
+        const thicknessInput = document.createElement("input"); thicknessInput.type = "number";
+        thicknessInput.min = "1"; thicknessInput.max = String(constants.maxBrushSize); thicknessInput.step = "1";
+        thicknessInput.value = lineSettings.thickness; thicknessInput.style.width = "60px";
+        thicknessInput.addEventListener("input", (e) => {
+          lineSettings.thickness = Math.min(constants.maxBrushSize, Math.max(1, parseInt(e.target.value, 10) || 1));
+          this.canvasManager.render(); // Update the preview of a line being drawn
+        });
+        settingsDiv.appendChild(thicknessLabel); settingsDiv.appendChild(thicknessInput); settingsDiv.appendChild(document.createElement("br"));
+      } else if (instrument === "gridFill") {
+        const hint = document.createElement("small");
+        hint.textContent = "Click to fill the empty cells enclosed by cells or walls, or the connected cells of the clicked color or pattern, with the fill below. The highlight shows what will be filled.";
+        settingsDiv.appendChild(hint); settingsDiv.appendChild(document.createElement("br"));
+      } else {
+        this.appendBrushSettings(settingsDiv);
+      }
+
       // Fill Color
       const fcLabel = document.createElement("label"); fcLabel.textContent = "Fill Color: ";
       const fcInput = document.createElement("input"); fcInput.type = "color";
@@ -496,7 +868,7 @@ export class HUD {
                 this.canvasManager.gridDrawSettings.image = img;
                 this.canvasManager.gridDrawSettings.imageSrc = imgSrc; // Store src
                 this.canvasManager.gridDrawSettings.type = "image";
-                this.loadInstrumentSettings("gridDraw"); // Refresh to show selection
+                this.loadInstrumentSettings(instrument); // Refresh to show selection
             };
             img.onerror = () => console.error("Failed to load image for grid draw selection:", imgSrc);
             img.src = imgSrc;
@@ -528,7 +900,7 @@ export class HUD {
               this.canvasManager.gridDrawSettings.image = img;
               this.canvasManager.gridDrawSettings.imageSrc = imgSrc;
               this.canvasManager.gridDrawSettings.type = "image";
-              this.loadInstrumentSettings("gridDraw"); // Refresh UI
+              this.loadInstrumentSettings(instrument); // Refresh UI
           };
           img.onerror = () => console.error("Failed to load uploaded grid pattern:", imgSrc);
           img.src = imgSrc;
@@ -538,6 +910,12 @@ export class HUD {
       });
       settingsDiv.appendChild(cellImgLabel); settingsDiv.appendChild(cellImgInput); settingsDiv.appendChild(document.createElement("br"));
 
+      // Slice a sprite sheet into patterns
+      const sheetBtn = document.createElement("button");
+      sheetBtn.textContent = "Import Sprite Sheet...";
+      sheetBtn.addEventListener("click", () => this.spriteSheetDialog.pickFile("patterns"));
+      settingsDiv.appendChild(sheetBtn); settingsDiv.appendChild(document.createElement("br"));
+
       // Button to switch back to color fill
       const switchBtn = document.createElement("button");
       switchBtn.textContent = "Use Color Fill";
@@ -545,9 +923,21 @@ export class HUD {
         this.canvasManager.gridDrawSettings.type = "color";
         this.canvasManager.gridDrawSettings.image = null;
         this.canvasManager.gridDrawSettings.imageSrc = null;
-        this.loadInstrumentSettings("gridDraw"); // Refresh UI
+        this.loadInstrumentSettings(instrument); // Refresh UI
       });
-      settingsDiv.appendChild(switchBtn);
+      settingsDiv.appendChild(switchBtn); settingsDiv.appendChild(document.createElement("br"));
+
+      // Asset library: a picked image also becomes one of the map's patterns
+      this.appendAssetLibrary(settingsDiv, (imgSrc) => {
+        if (!this.canvasManager.gridImageList.includes(imgSrc)) {
+          this.canvasManager.gridImageList.push(imgSrc);
+          this.canvasManager.saveHistory(); // Save state with new image list
+        }
+        this.canvasManager.gridDrawSettings.image = this.canvasManager._getImage(imgSrc);
+        this.canvasManager.gridDrawSettings.imageSrc = imgSrc;
+        this.canvasManager.gridDrawSettings.type = "image";
+        this.loadInstrumentSettings(instrument); // Refresh UI
+      }, this.canvasManager.gridDrawSettings.type === "image" ? this.canvasManager.gridDrawSettings.imageSrc : null);
 
       instrSettings.appendChild(settingsDiv);
 
@@ -618,7 +1008,12 @@ export class HUD {
         };
         reader.readAsDataURL(file);
       });
-      settingsDiv.appendChild(fdImgLabel); settingsDiv.appendChild(fdImgInput); settingsDiv.appendChild(fdPreview);
+      settingsDiv.appendChild(fdImgLabel); settingsDiv.appendChild(fdImgInput); settingsDiv.appendChild(fdPreview); settingsDiv.appendChild(document.createElement("br"));
+
+      this.appendAssetLibrary(settingsDiv, (imgSrc) => {
+        this.canvasManager.freeDrawSettings.image = this.canvasManager._getImage(imgSrc);
+        this.loadInstrumentSettings("freeDraw"); // Refresh UI
+      }, this.canvasManager.freeDrawSettings.image?.src || null);
 
       instrSettings.appendChild(settingsDiv);
 
@@ -659,6 +1054,12 @@ export class HUD {
       });
       settingsDiv.appendChild(fileLabel); settingsDiv.appendChild(fileInput);
       settingsDiv.appendChild(objPreview); // Add preview
+
+      this.appendAssetLibrary(settingsDiv, (imgSrc) => {
+        this.canvasManager.customObjectImage = this.canvasManager._getImage(imgSrc);
+        this.canvasManager.customObjectImageSrc = imgSrc;
+        this.loadInstrumentSettings("addObject"); // Refresh UI
+      }, this.canvasManager.customObjectImageSrc);
       instrSettings.appendChild(settingsDiv);
 
     // Select Tool
@@ -666,6 +1067,7 @@ export class HUD {
       const settingsDiv = document.createElement('div');
       // Check if anything is selected to enable/disable buttons
       const hasSelection = this.canvasManager.selectedObjects.grid.length > 0 ||
+                           this.canvasManager.selectedObjects.edges.length > 0 ||
                            this.canvasManager.selectedObjects.free.length > 0 ||
                            this.canvasManager.selectedObjects.custom.length > 0;
 
@@ -698,11 +1100,89 @@ export class HUD {
         }
         resInput.value = 1; // Reset input
       });
-      settingsDiv.appendChild(resLabel); settingsDiv.appendChild(resInput); settingsDiv.appendChild(resBtn);
+      settingsDiv.appendChild(resLabel); settingsDiv.appendChild(resInput); settingsDiv.appendChild(resBtn); settingsDiv.appendChild(document.createElement("br"));
+
+      // Save the selection as a reusable prefab (placed with the Prefab tool)
+      const prefabBtn = document.createElement("button");
+      prefabBtn.textContent = "Save as Prefab";
+      prefabBtn.disabled = !hasSelection;
+      prefabBtn.addEventListener("click", () => this.storageManager.saveSelectionAsPrefab());
+      settingsDiv.appendChild(prefabBtn);
+
+      instrSettings.appendChild(settingsDiv);
+
+    // Prefab Tool
+    } else if (instrument === "placePrefab") {
+      const settingsDiv = document.createElement('div');
+      const placement = this.canvasManager.prefabPlacement;
+
+      const hint = document.createElement("small");
+      hint.textContent = "Click the map to place the selected prefab. R rotates, F mirrors.";
+      settingsDiv.appendChild(hint); settingsDiv.appendChild(document.createElement("br"));
+
+      // Rotation and mirroring
+      const rotateBtn = document.createElement("button");
+      rotateBtn.textContent = `Rotate 90° (${placement.rotation * 90}°)`;
+      rotateBtn.addEventListener("click", () => {
+        this.canvasManager.setPrefabPlacement({ rotation: placement.rotation + 1 });
+        this.loadInstrumentSettings("placePrefab");
+      });
+      settingsDiv.appendChild(rotateBtn);
+      const mirrorLabel = document.createElement("label"); mirrorLabel.textContent = " Mirror: ";
+      const mirrorInput = document.createElement("input"); mirrorInput.type = "checkbox";
+      mirrorInput.checked = placement.mirror;
+      mirrorInput.addEventListener("change", (e) => this.canvasManager.setPrefabPlacement({ mirror: e.target.checked }));
+      settingsDiv.appendChild(mirrorLabel); settingsDiv.appendChild(mirrorInput); settingsDiv.appendChild(document.createElement("br"));
+
+      // Prefab list (filled asynchronously from the library)
+      this.prefabList = document.createElement("ul");
+      this.prefabList.id = "prefabList";
+      settingsDiv.appendChild(this.prefabList);
+      this.updatePrefabList();
+
+      // Sharing
+      const exportBtn = document.createElement("button");
+      exportBtn.textContent = "Export Pack";
+      exportBtn.addEventListener("click", () => this.storageManager.exportPrefabPack());
+      const importBtn = document.createElement("button");
+      importBtn.textContent = "Import Pack";
+      importBtn.addEventListener("click", () => this.storageManager.importPrefabPack());
+      settingsDiv.appendChild(exportBtn); settingsDiv.appendChild(importBtn);
+
+      instrSettings.appendChild(settingsDiv);
 
+    } else if (instrument === "erase") {
+      const settingsDiv = document.createElement('div');
+      const hint = document.createElement("small");
+      hint.textContent = "Erases the cells of the active layer under the brush, the walls inside the brush or under the cursor, and the objects touching them.";
+      settingsDiv.appendChild(hint); settingsDiv.appendChild(document.createElement("br"));
+      this.appendBrushSettings(settingsDiv);
+      instrSettings.appendChild(settingsDiv);
+
+    } else if (instrument === "wall") {
+      const settingsDiv = document.createElement('div');
+      const wallSettings = this.canvasManager.wallSettings;
+      const hint = document.createElement("small");
+      hint.textContent = "Drag along the grid lines to draw walls between cells, or click an edge to place one. Placing replaces the edge's style. Escape cancels.";
+      settingsDiv.appendChild(hint); settingsDiv.appendChild(document.createElement("br"));
+      const styleLabel = document.createElement("label"); styleLabel.textContent = "Style: ";
+      const styleSelect = document.createElement("select");
+      Object.entries(constants.edgeStyles).forEach(([value, name]) => {
+        const option = document.createElement("option");
+        option.value = value; option.textContent = name;
+        styleSelect.appendChild(option);
+      });
+      styleSelect.value = wallSettings.style;
+      styleSelect.addEventListener("change", (e) => { wallSettings.style = e.target.value; });
+      settingsDiv.appendChild(styleLabel); settingsDiv.appendChild(styleSelect); settingsDiv.appendChild(document.createElement("br"));
+      const colorLabel = document.createElement("label"); colorLabel.textContent = "Color: ";
+      const colorInput = document.createElement("input"); colorInput.type = "color";
+      colorInput.value = wallSettings.color;
+      colorInput.addEventListener("input", (e) => { wallSettings.color = e.target.value; });
+      settingsDiv.appendChild(colorLabel); settingsDiv.appendChild(colorInput); settingsDiv.appendChild(document.createElement("br"));
       instrSettings.appendChild(settingsDiv);
 
-    // Erase Tool or others
+    // Other tools
     } else {
       const settingsDiv = document.createElement('div');
       settingsDiv.textContent = "No specific settings for this tool.";
@@ -0,0 +1,102 @@
+import { constants } from "./constants.js";
+
+/**
+ * Fills in missing or invalid image export settings with the defaults.
+ *
+ * @param {Object} [settings] - Settings as stored with the map or read from the export dialog.
+ * @returns {Object} A complete settings object `{ format, pixelsPerCell, transparent, paddingCells, gridLines, quality }`.
+ */
+export function normalizeImageExportSettings(settings = {}) {
+  const defaults = constants.defaultImageExportSettings;
+  const pixelsPerCell = parseInt(settings.pixelsPerCell, 10);
+  const paddingCells = parseFloat(settings.paddingCells);
+  const quality = parseFloat(settings.quality);
+  return {
+    format: constants.imageExportFormats[settings.format] ? settings.format : defaults.format,
+    pixelsPerCell: pixelsPerCell > 0 ? pixelsPerCell : defaults.pixelsPerCell,
+    transparent: typeof settings.transparent === "boolean" ? settings.transparent : defaults.transparent,
+    paddingCells: paddingCells >= 0 ? paddingCells : defaults.paddingCells,
+    gridLines: typeof settings.gridLines === "boolean" ? settings.gridLines : defaults.gridLines,
+    quality: quality > 0 && quality <= 1 ? quality : defaults.quality,
+  };
+}
+
+/**
+ * Computes the area and pixel size of an image export.
+ * Used both by the export and by the summary in the export dialog.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @param {Object} settings - Normalized export settings.
+ * @returns {Object} `{ bbox, width, height, error }`: the logical area (content plus padding),
+ * the image size in pixels, and why the image cannot be created (too large for a canvas) or `null`.
+ */
+export function computeImageExportSize(canvasManager, settings) {
+  const bbox = canvasManager.getLogicalBoundingBox(settings.paddingCells);
+  const width = Math.ceil(bbox.width * settings.pixelsPerCell);
+  const height = Math.ceil(bbox.height * settings.pixelsPerCell);
+
+  return { bbox, width, height, error: imageSizeError(width, height) };
+}
+
+/**
+ * Checks whether an image of the given size can be created.
+ *
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @returns {string|null} Why the image cannot be created, or `null`.
+ */
+export function imageSizeError(width, height) {
+  if (width <= 0 || height <= 0) {
+    return "The map has no area to export.";
+  }
+  if (width > constants.maxImageExportSide || height > constants.maxImageExportSide ||
+      width * height > constants.maxImageExportPixels) {
+    return `The image would be ${width} × ${height} px, larger than browsers can create. Use fewer pixels per cell.`;
+  }
+  return null;
+}
+
+/**
+ * Renders the whole map into a new canvas with `CanvasManager.drawAll()`.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @param {Object} settings - Normalized export settings.
+ * @returns {HTMLCanvasElement} The rendered map.
+ * @throws {Error} If the image is too large or the canvas cannot be created.
+ */
+export function renderMapImage(canvasManager, settings) {
+  const { bbox } = computeImageExportSize(canvasManager, settings);
+  // JPEG has no alpha channel, so it always gets the background
+  const transparent = settings.transparent && settings.format !== "jpeg";
+  return renderMapArea(canvasManager, bbox, settings.pixelsPerCell, { background: !transparent, gridLines: settings.gridLines });
+}
+
+/**
+ * Renders a logical area of the map into a new canvas with `CanvasManager.drawAll()`.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @param {Object} bbox - The logical area `{ minX, minY, maxX, maxY, width, height }`.
+ * @param {number} pixelsPerCell - The resolution.
+ * @param {Object} [drawOptions] - `background`, `gridLines` and `excludeLayers` options for `drawAll()`.
+ * @returns {HTMLCanvasElement} The rendered area.
+ * @throws {Error} If the image is too large or the canvas cannot be created.
+ */
+export function renderMapArea(canvasManager, bbox, pixelsPerCell, drawOptions = {}) {
+  const width = Math.ceil(bbox.width * pixelsPerCell);
+  const height = Math.ceil(bbox.height * pixelsPerCell);
+  const error = imageSizeError(width, height);
+  if (error) throw new Error(error);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Could not create the image canvas context.");
+
+  ctx.save();
+  ctx.scale(pixelsPerCell, pixelsPerCell);
+  ctx.translate(-bbox.minX, -bbox.minY);
+  canvasManager.drawAll(ctx, pixelsPerCell, { ...drawOptions, bbox });
+  ctx.restore();
+  return canvas;
+}
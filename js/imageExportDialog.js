@@ -0,0 +1,126 @@
+import { computeImageExportSize, normalizeImageExportSettings } from "./imageExport.js";
+
+/**
+ * The image export dialog: format, resolution (pixels per cell), padding, background and
+ * grid line options, with the resulting image size.
+ * The settings used for an export are remembered with the map (`CanvasManager.imageExportSettings`).
+ */
+export class ImageExportDialog {
+  constructor(canvasManager, storageManager) {
+    this.canvasManager = canvasManager;
+    this.storageManager = storageManager;
+
+    this.overlay = document.getElementById("imageExportDialog");
+    this.summary = document.getElementById("imageSummary");
+    this.inputs = {
+      format: document.getElementById("imageFormat"),
+      quality: document.getElementById("imageQuality"),
+      pixelsPerCell: document.getElementById("imagePixelsPerCell"),
+      paddingCells: document.getElementById("imagePadding"),
+      transparent: document.getElementById("imageTransparent"),
+      gridLines: document.getElementById("imageGridLines"),
+    };
+    this.qualityRow = document.getElementById("imageQualityRow");
+    this.exportButton = document.getElementById("imageExportConfirm");
+
+    this.setupControls();
+  }
+
+  /**
+   * Adds the event listeners of the dialog.
+   */
+  setupControls() {
+    Object.values(this.inputs).forEach((input) => {
+      input.addEventListener("input", () => this.updateSummary());
+      input.addEventListener("change", () => this.updateSummary());
+    });
+
+    this.exportButton.addEventListener("click", () => this.export());
+    document.getElementById("imageExportCancel").addEventListener("click", () => this.close());
+    // Close when clicking next to the dialog
+    this.overlay.addEventListener("click", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isOpen()) this.close();
+    });
+  }
+
+  /**
+   * @returns {boolean} `true` if the dialog is visible.
+   */
+  isOpen() {
+    return this.overlay.style.display !== "none";
+  }
+
+  /**
+   * Opens the dialog with the settings last used for this map.
+   */
+  open() {
+    this.fillInputs(normalizeImageExportSettings(this.canvasManager.imageExportSettings));
+    this.overlay.style.display = "flex";
+    this.updateSummary();
+  }
+
+  /**
+   * Closes the dialog.
+   */
+  close() {
+    this.overlay.style.display = "none";
+  }
+
+  /**
+   * Shows settings in the dialog controls.
+   *
+   * @param {Object} settings - Normalized export settings.
+   */
+  fillInputs(settings) {
+    this.inputs.format.value = settings.format;
+    this.inputs.quality.value = Math.round(settings.quality * 100);
+    this.inputs.pixelsPerCell.value = settings.pixelsPerCell;
+    this.inputs.paddingCells.value = settings.paddingCells;
+    this.inputs.transparent.checked = settings.transparent;
+    this.inputs.gridLines.checked = settings.gridLines;
+  }
+
+  /**
+   * Reads the settings from the dialog controls.
+   *
+   * @returns {Object} Normalized export settings (invalid values replaced with defaults).
+   */
+  readSettings() {
+    return normalizeImageExportSettings({
+      format: this.inputs.format.value,
+      quality: parseFloat(this.inputs.quality.value) / 100,
+      pixelsPerCell: this.inputs.pixelsPerCell.value,
+      paddingCells: this.inputs.paddingCells.value,
+      transparent: this.inputs.transparent.checked,
+      gridLines: this.inputs.gridLines.checked,
+    });
+  }
+
+  /**
+   * Shows the image size for the current settings and enables only the options the format supports.
+   * Export is disabled while the image would be too large for the browser.
+   */
+  updateSummary() {
+    const settings = this.readSettings();
+    this.qualityRow.style.display = settings.format === "png" ? "none" : "block"; // PNG is lossless
+    this.inputs.transparent.disabled = settings.format === "jpeg"; // JPEG has no transparency
+
+    const { bbox, width, height, error } = computeImageExportSize(this.canvasManager, settings);
+    this.exportButton.disabled = error !== null;
+    this.summary.textContent = error ||
+      `Image size: ${width} × ${height} px (${bbox.width.toFixed(1)} × ${bbox.height.toFixed(1)} cells).`;
+  }
+
+  /**
+   * Remembers the settings with the map, closes the dialog and exports the image.
+   */
+  export() {
+    const settings = this.readSettings();
+    this.canvasManager.imageExportSettings = settings;
+    this.close();
+    this.storageManager.exportImage(settings);
+  }
+}
@@ -1,6 +1,10 @@
 import { CanvasManager } from "./canvas.js";
 import { HUD } from "./hud.js";
 import { StorageManager } from "./storage.js";
+import { PdfExportDialog } from "./pdfExportDialog.js";
+import { ImageExportDialog } from "./imageExportDialog.js";
+import { UvttExportDialog } from "./uvttExportDialog.js";
+import { TiledExportDialog } from "./tiledExportDialog.js";
 import { constants } from "./constants.js";
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -8,6 +12,10 @@ document.addEventListener("DOMContentLoaded", () => {
   const canvasManager = new CanvasManager(canvasEl);
   const storageManager = new StorageManager(canvasManager);
   const hud = new HUD(canvasManager, storageManager);
+  const pdfExportDialog = new PdfExportDialog(canvasManager, storageManager);
+  const imageExportDialog = new ImageExportDialog(canvasManager, storageManager);
+  const uvttExportDialog = new UvttExportDialog(canvasManager, storageManager);
+  const tiledExportDialog = new TiledExportDialog(canvasManager, storageManager);
   storageManager.autoLoadMap();
   // Ensure HUD reflects the state (either default or loaded)
   hud.updateLayerList();
@@ -19,121 +27,68 @@ document.addEventListener("DOMContentLoaded", () => {
     .getElementById("exportMap")
     .addEventListener("click", () => storageManager.exportMap());
 
+  document
+    .getElementById("exportBundle")
+    .addEventListener("click", () => storageManager.exportBundle());
+
   document
     .getElementById("importMap")
     .addEventListener("click", () => storageManager.importMap());
 
+  document
+    .getElementById("mergeMap")
+    .addEventListener("click", () => storageManager.mergeMap());
+
   document
     .getElementById("exportPDF")
-    .addEventListener("click", () => storageManager.exportPDF());
+    .addEventListener("click", () => pdfExportDialog.open());
+
+  document
+    .getElementById("exportImage")
+    .addEventListener("click", () => imageExportDialog.open());
+
+  document
+    .getElementById("exportSVG")
+    .addEventListener("click", () => storageManager.exportSVG());
+
+  document
+    .getElementById("exportUVTT")
+    .addEventListener("click", () => uvttExportDialog.open());
+
+  document
+    .getElementById("importUVTT")
+    .addEventListener("click", () => storageManager.importUVTT());
+
+  document
+    .getElementById("exportTiled")
+    .addEventListener("click", () => tiledExportDialog.open());
+
+  document
+    .getElementById("importTiled")
+    .addEventListener("click", () => storageManager.importTiled());
 
   document.getElementById("clearCanvas").addEventListener("click", () => {
     if (
       confirm(
-        "Are you sure you want to clear the canvas? This cannot be undone."
+        "Are you sure you want to clear the canvas? You can undo this with Ctrl+Z."
       )
     ) {
       canvasManager.clearCanvas();
-      canvasManager.saveHistory();
+      canvasManager.saveHistory("Clear canvas");
     }
   });
 
   document.getElementById("restart").addEventListener("click", () => {
     if (
       confirm(
-        "Restarting will completely clear all data (layers, objects, settings, and saved progress). Continue?"
+        "Restarting will completely clear the current map (layers, objects, settings, and saved progress). Other maps in the library are kept. Continue?"
       )
     ) {
-      // Clear Local Storage
-      localStorage.removeItem(constants.localStorageKey);
-
-      // Reset Canvas Manager State
-      canvasManager.clearCanvas();
-
-      // Reset Layers
-      canvasManager.layers = [{
-          name: "Layer 1",
-          objects: new Map(),
-          visible: true,
-          gridShadowOptions: { ...constants.defaultGridShadowOptions }
-      }];
-      canvasManager.activeLayerIndex = 0;
-
-      // Reset View
-      canvasManager.offsetX = 0;
-      canvasManager.offsetY = 0;
-      canvasManager.scale = 1;
-
-      // Reset Core Settings
-      canvasManager.currentCellSize = constants.baseCellSize;
-      canvasManager.emptyCellSettings = {
-        fillColor: constants.defaultEmptyCellFillColor,
-        borderColor: constants.defaultEmptyCellBorderColor,
-        pattern: null,
-        patternSrc: null,
-      };
-      // Reset Global Border Options
-      canvasManager.gridBorderOptions = {
-        enabled: false,
-        image: null,
-        imageSrc: null,
-      };
-
-      // Reset Instrument-Specific Settings
-      // Reset Grid Draw Settings
-      canvasManager.gridDrawSettings = {
-        type: "color",
-        fillColor: constants.defaultGridDrawFillColor,
-        borderColor: constants.defaultGridDrawBorderColor,
-        image: null,
-        imageSrc: null,
-      };
-      canvasManager.gridImageList = []; // Clear uploaded grid patterns
-
-      // Reset Free Draw Settings
-      canvasManager.freeDrawSettings = {
-        period: 0,
-        size: 1,
-        fillColor: constants.defaultFreeFillColor,
-        strokeColor: constants.defaultFreeBorderColor,
-        connectSVG: true,
-        image: null,
-      };
-
-      // Reset Add Object Tool Image
-      canvasManager.customObjectImage = null;
-      canvasManager.customObjectImageSrc = null;
-
-      // Reset Active Instrument
-      canvasManager.setActiveInstrument('gridDraw');
-
-      // Reset History & Selection
-      canvasManager.history = [];
-      canvasManager.historyIndex = -1;
-      canvasManager.copiedSelection = null;
-      canvasManager.selectedObjects = { grid: [], free: [], custom: [] };
-      canvasManager.selectionStart = null;
-      canvasManager.selectionEnd = null;
-      canvasManager.saveHistory(); // Save the initial empty state
-
-      // Update HUD to Reflect Defaults
-      if (window.hudInstance) { // Use global HUD instance
-          // Update layer list
-          window.hudInstance.updateLayerList();
-          // Update appearance controls (shadows, borders)
-          window.hudInstance.updateAppearanceControls();
-          // Update canvas settings controls
-          document.getElementById("cellSize").value = canvasManager.currentCellSize;
-          // Update empty cell controls
-          document.getElementById("emptyFillColor").value = canvasManager.emptyCellSettings.fillColor;
-          document.getElementById("emptyBorderColor").value = canvasManager.emptyCellSettings.borderColor;
-          document.getElementById("emptyPattern").value = ''; // Clear file input
-          // Reload instrument settings panel for the current (likely default) tool
-          window.hudInstance.loadInstrumentSettings(canvasManager.activeInstrument);
-      }
+      // Reset Canvas Manager State, History and HUD
+      canvasManager.resetMap();
 
-      // Re-render the cleared canvas
-      canvasManager.render();
+      // Overwrite the saved progress of the current map
+      storageManager.autoSaveMap();
 
       console.log("Application restarted to default state.");
     }
@@ -171,6 +126,7 @@ document.addEventListener("DOMContentLoaded", () => {
       if (document.activeElement.tagName !== 'INPUT' && document.activeElement.tagName !== 'TEXTAREA') {
           if (canvasManager.activeInstrument === "select" &&
               (canvasManager.selectedObjects.grid.length > 0 ||
+               canvasManager.selectedObjects.edges.length > 0 ||
                canvasManager.selectedObjects.free.length > 0 ||
                canvasManager.selectedObjects.custom.length > 0))
           {
@@ -183,6 +139,7 @@ document.addEventListener("DOMContentLoaded", () => {
     else if ((e.ctrlKey || e.metaKey) && (e.key === "c" || e.key === "C")) {
       if (canvasManager.activeInstrument === "select" &&
           (canvasManager.selectedObjects.grid.length > 0 ||
+           canvasManager.selectedObjects.edges.length > 0 ||
            canvasManager.selectedObjects.free.length > 0 ||
            canvasManager.selectedObjects.custom.length > 0))
       {
@@ -197,6 +154,26 @@ document.addEventListener("DOMContentLoaded", () => {
         canvasManager.pasteSelection();
       }
     }
+    // Cancel the rectangle, line or wall being drawn
+    else if (e.key === "Escape" && canvasManager.shapeDrag) {
+      canvasManager.cancelShapeDrag();
+    }
+    // Finish the polyline being drawn
+    else if (e.key === "Enter" && canvasManager.shapeDrag?.kind === "line") {
+      canvasManager.finishShapeDrag();
+      canvasManager.saveHistory("gridLine");
+    }
+    // Rotate (R) and mirror (F) the prefab to place
+    else if (canvasManager.activeInstrument === "placePrefab" && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      const placement = canvasManager.prefabPlacement;
+      if (e.key === "r" || e.key === "R") {
+        canvasManager.setPrefabPlacement({ rotation: placement.rotation + (e.shiftKey ? -1 : 1) });
+        hud.loadInstrumentSettings("placePrefab");
+      } else if (e.key === "f" || e.key === "F") {
+        canvasManager.setPrefabPlacement({ mirror: !placement.mirror });
+        hud.loadInstrumentSettings("placePrefab");
+      }
+    }
   });
 
   // Auto-Save
@@ -204,7 +181,12 @@ document.addEventListener("DOMContentLoaded", () => {
     storageManager.autoSaveMap();
   }, constants.autoSaveInterval);
 
-  // Also auto-save before page unload
+  // Also auto-save when the page is hidden or unloaded (IndexedDB writes are best-effort on unload)
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      storageManager.autoSaveMap();
+    }
+  });
   window.addEventListener("beforeunload", () => {
     storageManager.autoSaveMap();
   });
@@ -0,0 +1,358 @@
+import { constants } from "./constants.js";
+import { hashString } from "./assets.js";
+
+const INFO_STORE = "mapInfo"; // id -> { id, name, thumbnail, lastModified }
+const DATA_STORE = "mapData"; // id -> { id, data }
+const QUARANTINE_STORE = "quarantine"; // id -> { id, name, quarantinedAt, errors, data }
+const PREFAB_STORE = "prefabs"; // id -> prefab (see prefabs.js)
+const ASSET_STORE = "assetLibrary"; // id -> { id, name, category, src, added }
+
+/**
+ * Persists any number of named maps in IndexedDB.
+ *
+ * Map metadata (name, thumbnail, last-modified date) and map data are kept in separate
+ * object stores, so the library list can be shown without reading every map into memory.
+ * Saves that cannot be loaded are moved to a third store (quarantine), where they are kept
+ * until the user downloads or deletes them. Prefabs (reusable stamps, see `prefabs.js`) are
+ * shared by all maps and kept in their own store, as are the images of the asset library.
+ * All methods return promises.
+ */
+export class MapLibrary {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Opens (and on first use creates) the database.
+   *
+   * @returns {Promise<MapLibrary>} Resolves with the library once the database is ready.
+   * @throws {Error} If IndexedDB is not available in this browser.
+   */
+  async open() {
+    if (this.db) return this;
+    if (!window.indexedDB) {
+      throw new Error("IndexedDB is not supported by this browser.");
+    }
+    const request = window.indexedDB.open(constants.databaseName, constants.databaseVersion);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(INFO_STORE)) db.createObjectStore(INFO_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(QUARANTINE_STORE)) db.createObjectStore(QUARANTINE_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(PREFAB_STORE)) db.createObjectStore(PREFAB_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(ASSET_STORE)) db.createObjectStore(ASSET_STORE, { keyPath: "id" });
+    };
+    this.db = await promisify(request);
+    return this;
+  }
+
+  /**
+   * Lists all maps, most recently modified first.
+   *
+   * @returns {Promise<Array<Object>>} The map entries `{ id, name, thumbnail, lastModified }`.
+   */
+  async listMaps() {
+    const store = this.db.transaction(INFO_STORE, "readonly").objectStore(INFO_STORE);
+    const maps = await promisify(store.getAll());
+    return maps.sort((a, b) => b.lastModified - a.lastModified);
+  }
+
+  /**
+   * Reads the metadata of one map.
+   *
+   * @param {string} id - The map id.
+   * @returns {Promise<Object|undefined>} The map entry, or `undefined` if it does not exist.
+   */
+  async getMapInfo(id) {
+    const store = this.db.transaction(INFO_STORE, "readonly").objectStore(INFO_STORE);
+    return promisify(store.get(id));
+  }
+
+  /**
+   * Reads the map data (as returned by `CanvasManager.getMapData()`) of one map.
+   *
+   * @param {string} id - The map id.
+   * @returns {Promise<Object|null>} The map data, or `null` if the map does not exist.
+   */
+  async getMapData(id) {
+    const store = this.db.transaction(DATA_STORE, "readonly").objectStore(DATA_STORE);
+    const record = await promisify(store.get(id));
+    return record ? record.data : null;
+  }
+
+  /**
+   * Creates a new map.
+   *
+   * @param {string} name - The display name.
+   * @param {Object} data - The map data.
+   * @param {string|null} [thumbnail] - A thumbnail image as a data URL.
+   * @returns {Promise<string>} The id of the new map.
+   */
+  async createMap(name, data, thumbnail = null) {
+    const id = Date.now().toString() + Math.random().toString(36).substring(2);
+    await this._write({ id, name, thumbnail, lastModified: Date.now() }, data);
+    return id;
+  }
+
+  /**
+   * Stores new data (and thumbnail) for an existing map and updates its last-modified date.
+   *
+   * @param {string} id - The map id.
+   * @param {Object} data - The map data.
+   * @param {string|null} thumbnail - A thumbnail image as a data URL.
+   * @throws {Error} If the map does not exist (e.g. it was deleted in another tab).
+   */
+  async saveMap(id, data, thumbnail) {
+    const info = await this.getMapInfo(id);
+    if (!info) throw new Error(`Map ${id} does not exist.`);
+    await this._write({ ...info, thumbnail, lastModified: Date.now() }, data);
+  }
+
+  /**
+   * Renames a map.
+   *
+   * @param {string} id - The map id.
+   * @param {string} name - The new display name.
+   */
+  async renameMap(id, name) {
+    const info = await this.getMapInfo(id);
+    if (!info) throw new Error(`Map ${id} does not exist.`);
+    const store = this.db.transaction(INFO_STORE, "readwrite").objectStore(INFO_STORE);
+    await promisify(store.put({ ...info, name }));
+  }
+
+  /**
+   * Copies a map under a new name.
+   *
+   * @param {string} id - The id of the map to copy.
+   * @param {string} name - The name of the copy.
+   * @returns {Promise<string>} The id of the copy.
+   */
+  async duplicateMap(id, name) {
+    const info = await this.getMapInfo(id);
+    const data = await this.getMapData(id);
+    if (!info || !data) throw new Error(`Map ${id} does not exist.`);
+    return this.createMap(name, data, info.thumbnail);
+  }
+
+  /**
+   * Deletes a map and its data.
+   *
+   * @param {string} id - The map id.
+   */
+  async deleteMap(id) {
+    const transaction = this.db.transaction([INFO_STORE, DATA_STORE], "readwrite");
+    transaction.objectStore(INFO_STORE).delete(id);
+    transaction.objectStore(DATA_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Moves a map that cannot be loaded out of the library into quarantine, in one transaction.
+   *
+   * @param {string} id - The map id.
+   * @param {Array<string>} errors - Why the map cannot be loaded.
+   */
+  async quarantineMap(id, errors) {
+    const transaction = this.db.transaction([INFO_STORE, DATA_STORE, QUARANTINE_STORE], "readwrite");
+    const infoStore = transaction.objectStore(INFO_STORE);
+    const dataStore = transaction.objectStore(DATA_STORE);
+    const info = await promisify(infoStore.get(id));
+    const record = await promisify(dataStore.get(id));
+    transaction.objectStore(QUARANTINE_STORE).put({
+      id,
+      name: info ? info.name : constants.defaultMapName,
+      quarantinedAt: Date.now(),
+      errors,
+      data: record ? record.data : null,
+    });
+    infoStore.delete(id);
+    dataStore.delete(id);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Puts save data that was never in the library (e.g. an unreadable localStorage auto-save) into quarantine.
+   *
+   * @param {string} name - The display name.
+   * @param {*} data - The saved data as it was found (e.g. a string that is not valid JSON).
+   * @param {Array<string>} errors - Why the data cannot be loaded.
+   * @returns {Promise<string>} The id of the quarantined save.
+   */
+  async addToQuarantine(name, data, errors) {
+    const id = Date.now().toString() + Math.random().toString(36).substring(2);
+    const store = this.db.transaction(QUARANTINE_STORE, "readwrite").objectStore(QUARANTINE_STORE);
+    await promisify(store.put({ id, name, quarantinedAt: Date.now(), errors, data }));
+    return id;
+  }
+
+  /**
+   * Lists the quarantined saves, most recent first.
+   *
+   * @returns {Promise<Array<Object>>} The entries `{ id, name, quarantinedAt, errors, data }`.
+   */
+  async listQuarantine() {
+    const store = this.db.transaction(QUARANTINE_STORE, "readonly").objectStore(QUARANTINE_STORE);
+    const entries = await promisify(store.getAll());
+    return entries.sort((a, b) => b.quarantinedAt - a.quarantinedAt);
+  }
+
+  /**
+   * Reads one quarantined save.
+   *
+   * @param {string} id - The id of the quarantined save.
+   * @returns {Promise<Object|undefined>} The entry, or `undefined` if it does not exist.
+   */
+  async getQuarantined(id) {
+    const store = this.db.transaction(QUARANTINE_STORE, "readonly").objectStore(QUARANTINE_STORE);
+    return promisify(store.get(id));
+  }
+
+  /**
+   * Deletes a quarantined save.
+   *
+   * @param {string} id - The id of the quarantined save.
+   */
+  async deleteQuarantined(id) {
+    const store = this.db.transaction(QUARANTINE_STORE, "readwrite").objectStore(QUARANTINE_STORE);
+    await promisify(store.delete(id));
+  }
+
+  /**
+   * Lists all prefabs, sorted by name.
+   *
+   * @returns {Promise<Array<Object>>} The prefabs.
+   */
+  async listPrefabs() {
+    const store = this.db.transaction(PREFAB_STORE, "readonly").objectStore(PREFAB_STORE);
+    const prefabs = await promisify(store.getAll());
+    return prefabs.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Adds a prefab.
+   *
+   * @param {Object} prefab - The prefab (without id).
+   * @returns {Promise<string>} The id of the new prefab.
+   */
+  async addPrefab(prefab) {
+    const id = Date.now().toString() + Math.random().toString(36).substring(2);
+    const store = this.db.transaction(PREFAB_STORE, "readwrite").objectStore(PREFAB_STORE);
+    await promisify(store.put({ ...prefab, id }));
+    return id;
+  }
+
+  /**
+   * Renames a prefab.
+   *
+   * @param {string} id - The prefab id.
+   * @param {string} name - The new name.
+   */
+  async renamePrefab(id, name) {
+    const store = this.db.transaction(PREFAB_STORE, "readwrite").objectStore(PREFAB_STORE);
+    const prefab = await promisify(store.get(id));
+    if (!prefab) throw new Error(`Prefab ${id} does not exist.`);
+    await promisify(store.put({ ...prefab, name }));
+  }
+
+  /**
+   * Deletes a prefab.
+   *
+   * @param {string} id - The prefab id.
+   */
+  async deletePrefab(id) {
+    const store = this.db.transaction(PREFAB_STORE, "readwrite").objectStore(PREFAB_STORE);
+    await promisify(store.delete(id));
+  }
+
+  /**
+   * Lists the images of the asset library, sorted by category and name.
+   *
+   * @returns {Promise<Array<Object>>} The entries `{ id, name, category, src, added }`.
+   */
+  async listAssets() {
+    const store = this.db.transaction(ASSET_STORE, "readonly").objectStore(ASSET_STORE);
+    const assets = await promisify(store.getAll());
+    return assets.sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Adds an image to the asset library. The id is the content hash of the image,
+   * so adding the same image again only updates its name and category.
+   *
+   * @param {string} src - The image source (usually a data URI).
+   * @param {string} name - The display name.
+   * @param {string} category - The category (see `constants.assetCategories`).
+   * @returns {Promise<string>} The id of the entry.
+   */
+  async addAsset(src, name, category) {
+    const id = hashString(src);
+    const store = this.db.transaction(ASSET_STORE, "readwrite").objectStore(ASSET_STORE);
+    await promisify(store.put({ id, name, category, src, added: Date.now() }));
+    return id;
+  }
+
+  /**
+   * Changes the name and/or category of an asset library image.
+   *
+   * @param {string} id - The entry id.
+   * @param {Object} changes - `{ name, category }` (either may be left out).
+   */
+  async updateAsset(id, changes) {
+    const store = this.db.transaction(ASSET_STORE, "readwrite").objectStore(ASSET_STORE);
+    const asset = await promisify(store.get(id));
+    if (!asset) throw new Error(`Asset ${id} does not exist.`);
+    await promisify(store.put({ ...asset, ...changes, id }));
+  }
+
+  /**
+   * Removes an image from the asset library (maps using it keep their own copy).
+   *
+   * @param {string} id - The entry id.
+   */
+  async deleteAsset(id) {
+    const store = this.db.transaction(ASSET_STORE, "readwrite").objectStore(ASSET_STORE);
+    await promisify(store.delete(id));
+  }
+
+  /**
+   * Writes metadata and data of a map in one transaction, so they never get out of sync.
+   *
+   * @param {Object} info - The map entry.
+   * @param {Object} data - The map data.
+   */
+  async _write(info, data) {
+    const transaction = this.db.transaction([INFO_STORE, DATA_STORE], "readwrite");
+    transaction.objectStore(INFO_STORE).put(info);
+    transaction.objectStore(DATA_STORE).put({ id: info.id, data });
+    await transactionDone(transaction);
+  }
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request result, rejects with its error.
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for an IndexedDB transaction to be committed.
+ *
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>} Resolves on completion, rejects if the transaction fails or is aborted
+ * (e.g. with a `QuotaExceededError`).
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted."));
+  });
+}
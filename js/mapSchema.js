@@ -0,0 +1,330 @@
+import { constants } from "./constants.js";
+import { migrateInlineImages } from "./assets.js";
+
+/*
+ * Schema nodes describe the JSON of a save file:
+ * - `type`: "object", "array", "entries", "dictionary", "string", "number", "integer" or "boolean",
+ *   or an array of these. "entries" is an array of `[key, value]` pairs (how Maps are saved),
+ *   "dictionary" a plain object with any keys.
+ * - "object": `properties` (name -> node) and `required` (names). Other properties are allowed.
+ * - "array": `items`; "entries": `value`; "dictionary": `values` (nodes).
+ * - `nullable`: `null` is allowed. `enum`: the allowed values.
+ * - `asset`: the string must be an id in the file's `assets` table.
+ */
+
+const NUMBER = { type: "number" };
+const INTEGER = { type: "integer" };
+const BOOLEAN = { type: "boolean" };
+const STRING = { type: "string" };
+const NAME = { type: "string", nullable: true };
+const COLOR = { type: "string", nullable: true };
+const OPTIONAL_NUMBER = { type: "number", nullable: true }; // NaN is saved as null; the loader falls back to defaults
+const ASSET_ID = { type: "string", nullable: true, asset: true };
+const INLINE_IMAGE = { type: ["string", "object"], nullable: true }; // 1.0.0: data URI or URL (an Image object was saved as {})
+const SETTINGS_OBJECT = { type: "object", nullable: true, properties: {} };
+
+const GRID_SHADOW_OPTIONS = {
+  type: "object",
+  properties: { enabled: BOOLEAN, angle: OPTIONAL_NUMBER, offset: OPTIONAL_NUMBER, color: COLOR },
+};
+
+const EXPORT_SETTINGS = {
+  pdfExportSettings: SETTINGS_OBJECT,
+  imageExportSettings: SETTINGS_OBJECT,
+  uvttExportSettings: SETTINGS_OBJECT,
+  tiledExportSettings: SETTINGS_OBJECT,
+};
+
+const EDGE = {
+  type: "object",
+  required: ["x", "y", "side", "style"],
+  properties: { x: INTEGER, y: INTEGER, side: { type: "string", enum: ["h", "v"] }, style: { type: "string", enum: Object.keys(constants.edgeStyles) }, color: COLOR },
+};
+
+/**
+ * Builds the schema of one save format version.
+ *
+ * @param {Object} images - The image fields of the version: `{ cell, freeDraw, customObject, settings }`,
+ * each a `name -> node` object merged into the matching object schema.
+ * @param {Object} [layerProperties={}] - Further layer fields of the version (`name -> node`).
+ * @returns {Object} The schema of the whole file.
+ */
+function createSchema(images, layerProperties = {}) {
+  const cell = {
+    type: "object",
+    required: ["x", "y", "type"],
+    properties: { x: INTEGER, y: INTEGER, type: { type: "string", enum: ["color", "image"] }, fillColor: COLOR, borderColor: COLOR, ...images.cell },
+  };
+  const layer = {
+    type: "object",
+    properties: { name: NAME, visible: BOOLEAN, gridShadowOptions: GRID_SHADOW_OPTIONS, objects: { type: "entries", value: cell }, ...layerProperties },
+  };
+  const freeDrawObject = {
+    type: "object",
+    required: ["x", "y", "size"],
+    properties: { x: NUMBER, y: NUMBER, size: NUMBER, fillColor: COLOR, strokeColor: COLOR, ...images.freeDraw },
+  };
+  const customObject = {
+    type: "object",
+    required: ["x", "y", "width", "height"],
+    properties: { x: NUMBER, y: NUMBER, width: NUMBER, height: NUMBER, rotation: OPTIONAL_NUMBER, locked: BOOLEAN, background: BOOLEAN, ...images.customObject },
+  };
+  const settings = {
+    type: "object",
+    properties: {
+      currentCellSize: OPTIONAL_NUMBER,
+      offsetX: OPTIONAL_NUMBER,
+      offsetY: OPTIONAL_NUMBER,
+      scale: OPTIONAL_NUMBER,
+      activeLayerIndex: { type: "integer", nullable: true },
+      emptyCellSettings: { type: "object", properties: { fillColor: COLOR, borderColor: COLOR, ...images.settings.emptyCellSettings } },
+      gridBorderOptions: { type: "object", properties: { enabled: BOOLEAN, ...images.settings.gridBorderOptions } },
+      gridImageList: { type: "array", items: images.settings.gridImage },
+      gridDrawSettings: { type: "object", properties: { type: { type: "string", enum: ["color", "image"] }, fillColor: COLOR, borderColor: COLOR, ...images.settings.gridDrawSettings } },
+      freeDrawSettings: { type: "object", properties: { size: OPTIONAL_NUMBER, period: OPTIONAL_NUMBER, fillColor: COLOR, strokeColor: COLOR, ...images.settings.freeDrawSettings } },
+      ...images.settings.customObject,
+      ...EXPORT_SETTINGS,
+    },
+  };
+  return {
+    type: "object",
+    required: ["layers", "settings"],
+    properties: {
+      version: STRING,
+      layers: { type: "array", items: layer },
+      freeDrawObjects: { type: "entries", value: freeDrawObject },
+      customObjects: { type: "entries", value: customObject },
+      settings,
+      ...images.root,
+    },
+  };
+}
+
+// The image fields since 2.0.0
+const ASSET_IMAGES = {
+  cell: { imageId: ASSET_ID },
+  freeDraw: { imageId: ASSET_ID },
+  customObject: { imageId: ASSET_ID },
+  settings: {
+    emptyCellSettings: { patternId: ASSET_ID },
+    gridBorderOptions: { imageId: ASSET_ID },
+    gridImage: { type: "string", asset: true },
+    gridDrawSettings: { imageId: ASSET_ID },
+    freeDrawSettings: { imageId: ASSET_ID },
+    customObject: { customObjectImageId: ASSET_ID },
+  },
+  root: { assets: { type: "dictionary", values: STRING } },
+};
+
+/**
+ * The schema of every save format version (`constants.saveFileVersion` is the newest).
+ */
+export const MAP_SCHEMAS = {
+  // Every image inlined as a data URI or URL
+  "1.0.0": createSchema({
+    cell: { image: INLINE_IMAGE, imageSrc: INLINE_IMAGE },
+    freeDraw: { image: INLINE_IMAGE },
+    customObject: { image: INLINE_IMAGE, imageSrc: INLINE_IMAGE },
+    settings: {
+      emptyCellSettings: { pattern: INLINE_IMAGE, patternSrc: INLINE_IMAGE },
+      gridBorderOptions: { image: INLINE_IMAGE, imageSrc: INLINE_IMAGE },
+      gridImage: { type: "string" },
+      gridDrawSettings: { image: INLINE_IMAGE, imageSrc: INLINE_IMAGE },
+      freeDrawSettings: { image: INLINE_IMAGE },
+      customObject: { customObjectImageSrc: INLINE_IMAGE },
+    },
+    root: {},
+  }),
+  // Images stored once in the `assets` table and referenced by id
+  "2.0.0": createSchema(ASSET_IMAGES),
+  // Walls, doors and windows on the edges between cells (`layer.edges`, optional)
+  "2.1.0": createSchema(ASSET_IMAGES, { edges: { type: "entries", value: EDGE } }),
+};
+
+/**
+ * The migration chain: each step converts map data of version `from` to version `to`.
+ * A file is migrated step by step until it reaches `constants.saveFileVersion`.
+ */
+export const MIGRATIONS = [
+  { from: "1.0.0", to: "2.0.0", migrate: migrateInlineImages },
+  { from: "2.0.0", to: "2.1.0", migrate: (data) => data }, // Only adds the optional layer edges
+];
+
+const MAX_ERRORS = 50; // Reported errors per file; the rest are counted
+
+/**
+ * Validates map data against the schema of its save format version and migrates it
+ * to the current version (`constants.saveFileVersion`).
+ *
+ * Files without a `version` are 1.0.0 (or 2.0.0 if they have an `assets` table).
+ * Files from a newer version of the app are rejected rather than half-loaded.
+ *
+ * @param {*} data - The parsed map data. Modified in place by migrations.
+ * @returns {Object} `{ data, version, errors }`: the migrated data, the version the file was saved in,
+ * and the problems found as `"path: message"` strings (empty if the data can be loaded).
+ */
+export function checkMapData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { data, version: null, errors: [`The file does not contain map data (got ${describe(data)}).`] };
+  }
+
+  let version = data.version;
+  if (version === undefined) version = data.assets ? "2.0.0" : "1.0.0";
+  if (typeof version !== "string") {
+    return { data, version: null, errors: [`version: expected a string, got ${describe(version)}`] };
+  }
+  if (!MAP_SCHEMAS[version]) {
+    const error = compareVersions(version, constants.saveFileVersion) > 0
+      ? `The map was saved by a newer version of Open Map Creator (save format ${version}; this version reads up to ${constants.saveFileVersion}). Update the app to open it.`
+      : `Unknown save format version ${version}.`;
+    return { data, version, errors: [error] };
+  }
+
+  let errors = validate(data, MAP_SCHEMAS[version]);
+  if (errors.length > 0) return { data, version, errors };
+
+  let current = version;
+  while (current !== constants.saveFileVersion) {
+    const step = MIGRATIONS.find((migration) => migration.from === current);
+    if (!step) return { data, version, errors: [`No migration from save format ${current} to ${constants.saveFileVersion}.`] };
+    data = step.migrate(data);
+    data.version = step.to;
+    current = step.to;
+  }
+  // Check the result of the migrations as well
+  if (current !== version) {
+    errors = validate(data, MAP_SCHEMAS[current]).map((error) => `After migrating to ${current}: ${error}`);
+  }
+  return { data, version, errors };
+}
+
+/**
+ * Formats validation errors for an alert, listing at most `limit` of them.
+ *
+ * @param {Array<string>} errors - The errors from `checkMapData()`.
+ * @param {number} [limit=10] - The number of errors to list.
+ * @returns {string} One error per line.
+ */
+export function formatMapErrors(errors, limit = 10) {
+  const lines = errors.slice(0, limit).map((error) => `• ${error}`);
+  if (errors.length > limit) lines.push(`…and ${errors.length - limit} more (see console).`);
+  return lines.join("\n");
+}
+
+/**
+ * @param {*} data - The data to check.
+ * @param {Object} schema - The schema of the whole file.
+ * @returns {Array<string>} The errors.
+ */
+function validate(data, schema) {
+  const context = {
+    errors: [],
+    skipped: 0,
+    assets: data.assets && typeof data.assets === "object" ? data.assets : {},
+  };
+  checkNode(data, schema, "", context);
+  if (context.skipped > 0) context.errors.push(`…and ${context.skipped} more errors.`);
+  return context.errors;
+}
+
+/**
+ * Checks one value against a schema node and records the errors in `context`.
+ */
+function checkNode(value, node, path, context) {
+  if (value === null && node.nullable) return;
+  const types = Array.isArray(node.type) ? node.type : [node.type];
+  if (!types.some((type) => matchesType(value, type))) {
+    report(context, path, `expected ${types.map(typeName).join(" or ")}${node.nullable ? " or null" : ""}, got ${describe(value)}`);
+    return;
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    report(context, path, `expected one of ${node.enum.map((option) => JSON.stringify(option)).join(", ")}, got ${JSON.stringify(value)}`);
+  }
+  if (node.asset && typeof value === "string" && !Object.prototype.hasOwnProperty.call(context.assets, value)) {
+    report(context, path, `unknown asset id "${value}"`);
+  }
+
+  if (node.type === "object") {
+    (node.required || []).forEach((name) => {
+      if (value[name] === undefined) report(context, path, `missing required property "${name}"`);
+    });
+    Object.entries(node.properties).forEach(([name, child]) => {
+      if (value[name] !== undefined) checkNode(value[name], child, joinPath(path, name), context);
+    });
+  } else if (node.type === "array") {
+    value.forEach((item, i) => checkNode(item, node.items, `${path}[${i}]`, context));
+  } else if (node.type === "entries") {
+    value.forEach((entry, i) => {
+      if (!Array.isArray(entry) || entry.length !== 2) {
+        report(context, `${path}[${i}]`, `expected a [key, value] pair, got ${describe(entry)}`);
+        return;
+      }
+      checkNode(entry[0], { type: ["string", "number"] }, `${path}[${i}][0]`, context);
+      checkNode(entry[1], node.value, `${path}[${i}][1]`, context);
+    });
+  } else if (node.type === "dictionary") {
+    Object.entries(value).forEach(([key, item]) => checkNode(item, node.values, joinPath(path, key), context));
+  }
+}
+
+/**
+ * Records an error, or only counts it once `MAX_ERRORS` are recorded.
+ */
+function report(context, path, message) {
+  if (context.errors.length < MAX_ERRORS) context.errors.push(`${path || "(file)"}: ${message}`);
+  else context.skipped++;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+    case "dictionary":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array":
+    case "entries":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function typeName(type) {
+  if (type === "entries") return "an array of [key, value] pairs";
+  if (type === "dictionary") return "an object";
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function joinPath(path, name) {
+  const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+  if (!path) return key;
+  return key.startsWith('"') ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * @returns {string} The JSON type of a value, for error messages.
+ */
+function describe(value) {
+  if (value === null) return "null";
+  if (value === undefined) return "nothing";
+  if (Array.isArray(value)) return "an array";
+  return typeName(typeof value);
+}
+
+/**
+ * Compares two "major.minor.patch" version strings.
+ *
+ * @returns {number} A negative number if `a` is older than `b`, 0 if equal, a positive number if newer.
+ */
+function compareVersions(a, b) {
+  const partsA = a.split(".").map((part) => parseInt(part, 10) || 0);
+  const partsB = b.split(".").map((part) => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
@@ -0,0 +1,251 @@
+import { constants } from "./constants.js";
+import { computePdfLayout, drawPageTiles, normalizePdfSettings } from "./pdfLayout.js";
+
+const CM_PER_UNIT = { cm: 1, in: 2.54 }; // Units the cell size and custom page size can be entered in
+
+/**
+ * The PDF export dialog: settings for the export, with a live preview of the map
+ * and the page tiles it will be split into, the page count and the printed size.
+ * The settings used for an export are remembered with the map (`CanvasManager.pdfExportSettings`).
+ */
+export class PdfExportDialog {
+  constructor(canvasManager, storageManager) {
+    this.canvasManager = canvasManager;
+    this.storageManager = storageManager;
+
+    this.overlay = document.getElementById("pdfExportDialog");
+    this.previewCanvas = document.getElementById("pdfPreviewCanvas");
+    this.summary = document.getElementById("pdfSummary");
+    this.inputs = {
+      orientation: document.getElementById("pdfOrientation"),
+      pageSize: document.getElementById("pdfPageSize"),
+      dpi: document.getElementById("pdfDpi"),
+      cellSizeCm: document.getElementById("pdfCellSize"),
+      units: document.getElementById("pdfUnits"),
+      customPageWidthMm: document.getElementById("pdfCustomWidth"),
+      customPageHeightMm: document.getElementById("pdfCustomHeight"),
+      marginMm: document.getElementById("pdfMargin"),
+      overlapMm: document.getElementById("pdfOverlap"),
+      cropMarks: document.getElementById("pdfCropMarks"),
+      indexPage: document.getElementById("pdfIndexPage"),
+      output: document.getElementById("pdfOutput"),
+    };
+    this.exportButton = document.getElementById("pdfExportConfirm");
+    this.customPageSize = document.getElementById("pdfCustomPageSize");
+    this.displayUnits = "cm"; // Units the length inputs currently show
+
+    this.bbox = null; // Map bounds, taken when the dialog opens
+    this.mapPreview = null; // The map rendered once per opening, reused by every preview update
+
+    this.setupControls();
+  }
+
+  /**
+   * Fills the page size list and adds the event listeners of the dialog.
+   */
+  setupControls() {
+    Object.keys(constants.pageSizesMM).forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      this.inputs.pageSize.appendChild(option);
+    });
+    const customOption = document.createElement("option");
+    customOption.value = "Custom";
+    customOption.textContent = "Custom";
+    this.inputs.pageSize.appendChild(customOption);
+
+    // Convert the entered lengths when the units change
+    this.inputs.units.addEventListener("change", () => {
+      const settings = this.readSettings(); // Still read in the previous units
+      settings.units = this.inputs.units.value;
+      this.fillInputs(settings);
+    });
+
+    // Update the preview live while settings are edited
+    Object.values(this.inputs).forEach((input) => {
+      input.addEventListener("input", () => this.updatePreview());
+      input.addEventListener("change", () => this.updatePreview());
+    });
+
+    this.exportButton.addEventListener("click", () => this.export());
+    document.getElementById("pdfExportCancel").addEventListener("click", () => this.close());
+    // Close when clicking next to the dialog
+    this.overlay.addEventListener("click", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isOpen()) this.close();
+    });
+  }
+
+  /**
+   * @returns {boolean} `true` if the dialog is visible.
+   */
+  isOpen() {
+    return this.overlay.style.display !== "none";
+  }
+
+  /**
+   * Opens the dialog with the settings last used for this map.
+   * Alerts instead if the map is empty.
+   */
+  open() {
+    this.bbox = this.canvasManager.getLogicalBoundingBox();
+    if (this.bbox.width <= 0 || this.bbox.height <= 0) {
+      alert("Map is empty. Nothing to export.");
+      return;
+    }
+
+    this.fillInputs(normalizePdfSettings(this.canvasManager.pdfExportSettings));
+
+    this.mapPreview = this.renderMapPreview();
+    this.overlay.style.display = "flex";
+    this.updatePreview();
+  }
+
+  /**
+   * Closes the dialog and releases the cached map preview.
+   */
+  close() {
+    this.overlay.style.display = "none";
+    this.mapPreview = null;
+  }
+
+  /**
+   * Shows settings in the dialog controls. Lengths that can be entered in centimeters or inches
+   * are converted to `settings.units`.
+   *
+   * @param {Object} settings - Normalized export settings.
+   */
+  fillInputs(settings) {
+    const cmPerUnit = CM_PER_UNIT[settings.units];
+    const toUnits = (cm) => Number((cm / cmPerUnit).toFixed(3)); // Avoid long fractions like 1.1811023...
+
+    this.displayUnits = settings.units;
+    this.inputs.orientation.value = settings.orientation;
+    this.inputs.pageSize.value = settings.pageSize;
+    this.inputs.dpi.value = settings.dpi;
+    this.inputs.units.value = settings.units;
+    this.inputs.cellSizeCm.value = toUnits(settings.cellSizeCm);
+    this.inputs.customPageWidthMm.value = toUnits(settings.customPageWidthMm / 10);
+    this.inputs.customPageHeightMm.value = toUnits(settings.customPageHeightMm / 10);
+    this.inputs.marginMm.value = settings.marginMm;
+    this.inputs.overlapMm.value = settings.overlapMm;
+    this.inputs.cropMarks.checked = settings.cropMarks;
+    this.inputs.indexPage.checked = settings.indexPage;
+    this.inputs.output.value = settings.output;
+
+    this.overlay.querySelectorAll(".pdf-unit").forEach((span) => span.textContent = settings.units);
+  }
+
+  /**
+   * Reads the settings from the dialog controls.
+   *
+   * @returns {Object} Normalized export settings (invalid values replaced with defaults).
+   */
+  readSettings() {
+    const cmPerUnit = CM_PER_UNIT[this.displayUnits];
+    return normalizePdfSettings({
+      orientation: this.inputs.orientation.value,
+      pageSize: this.inputs.pageSize.value,
+      dpi: this.inputs.dpi.value,
+      units: this.displayUnits,
+      cellSizeCm: parseFloat(this.inputs.cellSizeCm.value) * cmPerUnit,
+      customPageWidthMm: parseFloat(this.inputs.customPageWidthMm.value) * cmPerUnit * 10,
+      customPageHeightMm: parseFloat(this.inputs.customPageHeightMm.value) * cmPerUnit * 10,
+      marginMm: this.inputs.marginMm.value,
+      overlapMm: this.inputs.overlapMm.value,
+      cropMarks: this.inputs.cropMarks.checked,
+      indexPage: this.inputs.indexPage.checked,
+      output: this.inputs.output.value,
+    });
+  }
+
+  /**
+   * Renders the whole map once into an offscreen canvas, sized for the preview.
+   *
+   * @returns {HTMLCanvasElement|null} The rendered map, or `null` if it could not be rendered.
+   */
+  renderMapPreview() {
+    const bbox = this.bbox;
+    // Twice the preview size keeps the map sharp when the tiles leave little spare room
+    const previewScale = 2 * Math.max(this.previewCanvas.width, this.previewCanvas.height) / Math.max(bbox.width, bbox.height);
+    const mapCanvas = document.createElement("canvas");
+    mapCanvas.width = Math.max(1, Math.ceil(bbox.width * previewScale));
+    mapCanvas.height = Math.max(1, Math.ceil(bbox.height * previewScale));
+    const mapCtx = mapCanvas.getContext("2d");
+    if (!mapCtx) return null;
+
+    try {
+      mapCtx.scale(previewScale, previewScale);
+      mapCtx.translate(-bbox.minX, -bbox.minY);
+      this.canvasManager.drawAll(mapCtx, previewScale);
+    } catch (e) {
+      console.error("PDF Export: Error rendering preview:", e);
+      return null;
+    }
+    return mapCanvas;
+  }
+
+  /**
+   * Redraws the preview (map with the page tiles on top) and the summary
+   * (page count, printed map size) for the current settings.
+   * Export is disabled while the settings cannot be used (e.g. margins larger than the page).
+   */
+  updatePreview() {
+    const settings = this.readSettings();
+    const layout = computePdfLayout(settings, this.bbox);
+    this.customPageSize.style.display = settings.pageSize === "Custom" ? "block" : "none";
+
+    const ctx = this.previewCanvas.getContext("2d");
+    const canvasWidth = this.previewCanvas.width;
+    const canvasHeight = this.previewCanvas.height;
+    ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+
+    this.exportButton.disabled = layout.error !== null;
+    if (layout.error) {
+      this.summary.textContent = layout.error;
+      return;
+    }
+    const { pagesX, pagesY } = layout;
+
+    // Fit all pages (which usually extend past the map) into the preview
+    const tilesWidth = (pagesX - 1) * layout.stepCellsX + layout.tileCellsX;
+    const tilesHeight = (pagesY - 1) * layout.stepCellsY + layout.tileCellsY;
+    const margin = 10; // px
+    const scale = Math.min((canvasWidth - 2 * margin) / tilesWidth, (canvasHeight - 2 * margin) / tilesHeight);
+    const originX = (canvasWidth - tilesWidth * scale) / 2;
+    const originY = (canvasHeight - tilesHeight * scale) / 2;
+
+    // Paper
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(originX, originY, tilesWidth * scale, tilesHeight * scale);
+
+    // Map (tiles start at the top-left corner of the map)
+    if (this.mapPreview) {
+      ctx.drawImage(this.mapPreview, originX, originY, this.bbox.width * scale, this.bbox.height * scale);
+    }
+
+    // Page tiles with their numbers
+    drawPageTiles(ctx, layout, originX, originY, scale);
+
+    const widthIn = layout.mapWidthCm / 2.54;
+    const heightIn = layout.mapHeightCm / 2.54;
+    this.summary.textContent =
+      `Pages: ${pagesX} × ${pagesY} = ${layout.pageCount}` +
+      (settings.indexPage ? " (+1 index page). " : ". ") +
+      `Map size: ${layout.mapWidthCm.toFixed(1)} × ${layout.mapHeightCm.toFixed(1)} cm ` +
+      `(${widthIn.toFixed(1)} × ${heightIn.toFixed(1)} in).`;
+  }
+
+  /**
+   * Remembers the settings with the map, closes the dialog and exports the PDF.
+   */
+  export() {
+    const settings = this.readSettings();
+    this.canvasManager.pdfExportSettings = settings;
+    this.close();
+    this.storageManager.exportPDF(settings);
+  }
+}
@@ -0,0 +1,171 @@
+import { constants } from "./constants.js";
+
+/**
+ * Fills in missing or invalid PDF export settings with the defaults.
+ *
+ * @param {Object} [settings] - Settings as stored with the map or read from the export dialog.
+ * @returns {Object} A complete settings object `{ orientation, pageSize, dpi, cellSizeCm, units,
+ * customPageWidthMm, customPageHeightMm, marginMm, overlapMm, cropMarks, indexPage, output }`.
+ */
+export function normalizePdfSettings(settings = {}) {
+  const defaults = constants.defaultPdfExportSettings;
+  const dpi = parseInt(settings.dpi, 10);
+  const cellSizeCm = parseFloat(settings.cellSizeCm);
+  const customPageWidthMm = parseFloat(settings.customPageWidthMm);
+  const customPageHeightMm = parseFloat(settings.customPageHeightMm);
+  const marginMm = parseFloat(settings.marginMm);
+  const overlapMm = parseFloat(settings.overlapMm);
+  return {
+    orientation: settings.orientation === "portrait" ? "portrait" : "landscape",
+    pageSize: (constants.pageSizesMM[settings.pageSize] || settings.pageSize === "Custom") ? settings.pageSize : defaults.pageSize,
+    dpi: dpi > 0 ? dpi : defaults.dpi,
+    cellSizeCm: cellSizeCm > 0 ? cellSizeCm : defaults.cellSizeCm,
+    units: settings.units === "in" ? "in" : "cm",
+    customPageWidthMm: customPageWidthMm > 0 ? customPageWidthMm : defaults.customPageWidthMm,
+    customPageHeightMm: customPageHeightMm > 0 ? customPageHeightMm : defaults.customPageHeightMm,
+    marginMm: marginMm >= 0 ? marginMm : defaults.marginMm,
+    overlapMm: overlapMm >= 0 ? overlapMm : defaults.overlapMm,
+    cropMarks: typeof settings.cropMarks === "boolean" ? settings.cropMarks : defaults.cropMarks,
+    indexPage: typeof settings.indexPage === "boolean" ? settings.indexPage : defaults.indexPage,
+    output: settings.output === "vector" ? "vector" : "raster",
+  };
+}
+
+/**
+ * Computes how a map is tiled onto PDF pages.
+ * Used both by the export itself and by the live preview in the export dialog,
+ * so the preview always shows exactly the pages that will be printed.
+ *
+ * Each page prints one tile of the map inside its margins. Adjacent tiles share a strip
+ * of `overlapMm`, so the sheets can be glued with some slack.
+ *
+ * @param {Object} settings - Normalized export settings (see `normalizePdfSettings()`).
+ * @param {Object} bbox - The logical bounding box of the map (see `CanvasManager.getLogicalBoundingBox()`).
+ * @returns {Object} The layout:
+ *   - {Object} pageSizeMM - `{ width, height }` of a page in mm, with the orientation applied.
+ *   - {number} pxPerMm - Pixels per mm at the chosen DPI.
+ *   - {number} exportScale - Pixels per logical cell at the chosen DPI.
+ *   - {number} pageWidthPx, pageHeightPx - Page size in pixels.
+ *   - {number} marginPx, overlapPx - Margin and overlap in pixels.
+ *   - {number} tileWidthPx, tileHeightPx - Printable area of a page (one tile) in pixels.
+ *   - {number} stepXPx, stepYPx - Distance between the origins of adjacent tiles in pixels.
+ *   - {number} exportWidthPx, exportHeightPx - Size of the whole rendered map in pixels.
+ *   - {number} tileCellsX, tileCellsY, stepCellsX, stepCellsY - Tile size and tile distance in cells.
+ *   - {number} pagesX, pagesY, pageCount - Number of map pages across, down and in total (without the index page).
+ *   - {number} mapWidthCm, mapHeightCm - Physical size of the printed map.
+ *   - {string|null} error - Why the settings cannot be used (e.g. margins too large), or `null`.
+ */
+export function computePdfLayout(settings, bbox) {
+  const baseSize = settings.pageSize === "Custom"
+    ? { width: settings.customPageWidthMm, height: settings.customPageHeightMm }
+    : constants.pageSizesMM[settings.pageSize];
+  // New object, so the constants are never modified by the orientation
+  const shortSide = Math.min(baseSize.width, baseSize.height);
+  const longSide = Math.max(baseSize.width, baseSize.height);
+  const pageSizeMM = settings.orientation === "landscape"
+    ? { width: longSide, height: shortSide }
+    : { width: shortSide, height: longSide };
+
+  // Export scale: pixels per logical cell unit
+  const exportScale = (settings.cellSizeCm / 2.54) * settings.dpi;
+
+  // Page dimensions in pixels
+  const pxPerMm = settings.dpi / 25.4;
+  const pageWidthPx = Math.floor(pageSizeMM.width * pxPerMm);
+  const pageHeightPx = Math.floor(pageSizeMM.height * pxPerMm);
+
+  // Printable area and tile spacing in pixels
+  const marginPx = Math.round(settings.marginMm * pxPerMm);
+  const overlapPx = Math.round(settings.overlapMm * pxPerMm);
+  const tileWidthPx = pageWidthPx - 2 * marginPx;
+  const tileHeightPx = pageHeightPx - 2 * marginPx;
+  const stepXPx = tileWidthPx - overlapPx;
+  const stepYPx = tileHeightPx - overlapPx;
+
+  // Total export image dimensions in pixels
+  const exportWidthPx = Math.ceil(bbox.width * exportScale);
+  const exportHeightPx = Math.ceil(bbox.height * exportScale);
+
+  let error = null;
+  if (tileWidthPx <= 0 || tileHeightPx <= 0) {
+    error = "The margins leave no printable area on the page.";
+  } else if (stepXPx <= 0 || stepYPx <= 0) {
+    error = "The overlap must be smaller than the printable area of a page.";
+  }
+
+  const pagesX = error ? 0 : countTiles(exportWidthPx, tileWidthPx, stepXPx);
+  const pagesY = error ? 0 : countTiles(exportHeightPx, tileHeightPx, stepYPx);
+
+  return {
+    pageSizeMM,
+    pxPerMm,
+    exportScale,
+    pageWidthPx,
+    pageHeightPx,
+    marginPx,
+    overlapPx,
+    tileWidthPx,
+    tileHeightPx,
+    stepXPx,
+    stepYPx,
+    exportWidthPx,
+    exportHeightPx,
+    tileCellsX: tileWidthPx / exportScale,
+    tileCellsY: tileHeightPx / exportScale,
+    stepCellsX: stepXPx / exportScale,
+    stepCellsY: stepYPx / exportScale,
+    pagesX,
+    pagesY,
+    pageCount: pagesX * pagesY,
+    mapWidthCm: bbox.width * settings.cellSizeCm,
+    mapHeightCm: bbox.height * settings.cellSizeCm,
+    error,
+  };
+}
+
+/**
+ * Draws the page tiles of a layout (outlines, shaded overlaps and page numbers) on a canvas.
+ * Used by the preview in the export dialog and by the assembly index page.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The context to draw on (untransformed, in pixels).
+ * @param {Object} layout - The layout from `computePdfLayout()`.
+ * @param {number} originX - Canvas x of the top-left corner of the map (and of the first tile).
+ * @param {number} originY - Canvas y of the top-left corner of the map (and of the first tile).
+ * @param {number} scale - Canvas pixels per logical cell.
+ */
+export function drawPageTiles(ctx, layout, originX, originY, scale) {
+  const w = layout.tileCellsX * scale;
+  const h = layout.tileCellsY * scale;
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = `bold ${Math.max(8, Math.min(14, Math.floor(Math.min(w, h) / 3)))}px sans-serif`;
+  for (let py = 0; py < layout.pagesY; py++) {
+    for (let px = 0; px < layout.pagesX; px++) {
+      const x = originX + px * layout.stepCellsX * scale;
+      const y = originY + py * layout.stepCellsY * scale;
+      // A light fill per tile makes the overlapping strips show up darker
+      ctx.fillStyle = "rgba(208, 0, 0, 0.08)";
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeStyle = "#d00000";
+      ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+      ctx.fillStyle = "rgba(208, 0, 0, 0.8)";
+      ctx.fillText(String(py * layout.pagesX + px + 1), x + w / 2, y + h / 2);
+    }
+  }
+  ctx.restore();
+}
+
+/**
+ * Counts the tiles needed to cover a length when each tile overlaps the previous one.
+ *
+ * @param {number} total - The length to cover.
+ * @param {number} tile - The tile length.
+ * @param {number} step - The distance between tile origins (tile length minus overlap).
+ * @returns {number} The number of tiles (at least 1).
+ */
+function countTiles(total, tile, step) {
+  if (total <= tile) return 1;
+  return 1 + Math.ceil((total - tile) / step);
+}
@@ -0,0 +1,313 @@
+import { constants } from "./constants.js";
+
+/**
+ * Draws map tiles into a PDF as native vector primitives (rects, lines, circles) instead of
+ * a rasterized image, so color cells and grid lines stay crisp at any zoom level and file size
+ * does not depend on the DPI.
+ *
+ * Images are only embedded where the map uses them (image cells, free-draw/custom object images,
+ * border patterns, the empty cell pattern); each image is embedded once and reused on every page.
+ * Grid shadows are semi-transparent unions of many overlapping fragments, which would darken where
+ * fragments overlap if drawn as separate vector shapes, so they are embedded as a transparent image.
+ */
+export class PdfVectorRenderer {
+  /**
+   * @param {CanvasManager} canvasManager - The map to draw.
+   * @param {jsPDF} pdf - The document (unit "mm").
+   * @param {number} exportScale - Pixels per logical cell, used for the parts embedded as images.
+   */
+  constructor(canvasManager, pdf, exportScale) {
+    this.canvasManager = canvasManager;
+    this.pdf = pdf;
+    this.exportScale = exportScale;
+    this.bbox = canvasManager.getLogicalBoundingBox();
+    this.imageAliases = new Map(); // Image -> { alias, data }, so each image is embedded once
+  }
+
+  /**
+   * Draws one tile of the map on the current PDF page, clipped to the tile.
+   *
+   * @param {Object} region - The tile in logical units `{ minX, minY, width, height }`.
+   * @param {Object} placement - Where the tile goes on the page, in mm `{ x, y, width, height }`.
+   */
+  drawTile(region, placement) {
+    const cm = this.canvasManager;
+    const pdf = this.pdf;
+    this.region = { ...region, maxX: region.minX + region.width, maxY: region.minY + region.height };
+    this.placement = placement;
+    this.mmPerCell = placement.width / region.width;
+    const lineWidth = 0.02 * this.mmPerCell; // Same logical width as the raster export
+
+    pdf.saveGraphicsState();
+    pdf.rect(placement.x, placement.y, placement.width, placement.height, null);
+    pdf.clip();
+    pdf.discardPath();
+
+    // Background (fill, or the pattern as an image) and grid lines
+    if (cm.emptyCellSettings.pattern && this._isDrawable(cm.emptyCellSettings.pattern)) {
+      this._drawRasterLayer((ctx) => cm.drawPdfBackgroundAndGrid(ctx, this.bbox), false);
+    } else {
+      this._fillRect(this.bbox.minX, this.bbox.minY, this.bbox.width, this.bbox.height,
+                     cm.emptyCellSettings.fillColor || constants.defaultEmptyCellFillColor);
+    }
+    this._drawGridLines(cm.emptyCellSettings.borderColor || constants.defaultEmptyCellBorderColor, lineWidth);
+
+    // Background objects (e.g. an imported map image) go below all layers
+    cm.customObjects.forEach((obj) => {
+      if (obj.background) this._drawCustomObject(obj);
+    });
+
+    // Layer content (shadows, borders, cells, edges)
+    cm.layers.forEach((layer) => {
+      if (!layer.visible) return;
+      const layerObjects = layer.objects;
+
+      if (layer.gridShadowOptions && layer.gridShadowOptions.enabled && layerObjects.size > 0) {
+        this._drawRasterLayer((ctx) => cm.drawAllGridShadows(ctx, 1, layerObjects, layer.gridShadowOptions), true);
+      }
+      if (cm.gridBorderOptions.enabled && this._isDrawable(cm.gridBorderOptions.image)) {
+        this._drawGridBorders(layerObjects, cm.gridBorderOptions.image);
+      }
+
+      pdf.setLineWidth(lineWidth);
+      layerObjects.forEach((cell) => {
+        if (!this._intersects(cell.x, cell.y, 1, 1)) return;
+        if (cell.type === "color") {
+          this._fillRect(cell.x, cell.y, 1, 1, cell.fillColor, cell.borderColor);
+          return;
+        }
+        if (cell.type === "image" && this._isDrawable(cell.image)) {
+          this._addImage(cell.image, cell.x, cell.y, 1, 1);
+        }
+        this._strokeRect(cell.x, cell.y, 1, 1, cell.borderColor);
+      });
+
+      // Walls, doors and windows (drawn with the canvas code, as an image)
+      if (layer.edges.size > 0) {
+        this._drawRasterLayer((ctx) => cm.drawLayerEdges(ctx, layer.edges, 1, this.region), true);
+      }
+    });
+
+    // Global objects (free draw, custom)
+    cm.freeDrawObjects.forEach((obj) => {
+      const lx = obj.x / cm.currentCellSize; // Convert to logical
+      const ly = obj.y / cm.currentCellSize;
+      const lsize = obj.size / cm.currentCellSize;
+      if (!this._intersects(lx - lsize / 2, ly - lsize / 2, lsize, lsize)) return;
+      if (this._isDrawable(obj.image)) {
+        this._addImage(obj.image, lx - lsize / 2, ly - lsize / 2, lsize, lsize);
+      } else {
+        pdf.setLineWidth(lineWidth);
+        pdf.setFillColor(obj.fillColor);
+        pdf.setDrawColor(obj.strokeColor);
+        const center = this._toPage(lx, ly);
+        pdf.circle(center.x, center.y, (lsize / 2) * this.mmPerCell, "FD");
+      }
+    });
+    cm.customObjects.forEach((obj) => {
+      if (!obj.background) this._drawCustomObject(obj);
+    });
+
+    pdf.restoreGraphicsState();
+  }
+
+  /**
+   * Draws the grid lines of the map that cross the current tile.
+   *
+   * @param {string} color - The line color.
+   * @param {number} lineWidth - The line width in mm.
+   */
+  _drawGridLines(color, lineWidth) {
+    const { minX, minY, maxX, maxY } = this.bbox;
+    const pdf = this.pdf;
+    pdf.setDrawColor(color);
+    pdf.setLineWidth(lineWidth);
+    const top = Math.max(minY, this.region.minY), bottom = Math.min(maxY, this.region.maxY);
+    const left = Math.max(minX, this.region.minX), right = Math.min(maxX, this.region.maxX);
+    for (let x = Math.ceil(left); x <= Math.floor(right) && x < maxX; x++) {
+      const a = this._toPage(x, top), b = this._toPage(x, bottom);
+      pdf.line(a.x, a.y, b.x, b.y);
+    }
+    for (let y = Math.ceil(top); y <= Math.floor(bottom) && y < maxY; y++) {
+      const a = this._toPage(left, y), b = this._toPage(right, y);
+      pdf.line(a.x, a.y, b.x, b.y);
+    }
+  }
+
+  /**
+   * Draws the border pattern along the edges between filled and empty cells of a layer
+   * (same placement as `CanvasManager.drawAllGridBorders()`).
+   *
+   * @param {Map} layerObjects - The cells of the layer.
+   * @param {HTMLImageElement} borderImage - The border pattern.
+   */
+  _drawGridBorders(layerObjects, borderImage) {
+    const thickness = 0.25; // Logical border thickness
+    layerObjects.forEach((cell) => {
+      [[0, -1, "top"], [1, 0, "right"], [0, 1, "bottom"], [-1, 0, "left"]].forEach(([dx, dy, edge]) => {
+        const nx = cell.x + dx, ny = cell.y + dy;
+        if (layerObjects.has(this.canvasManager._cellId(nx, ny))) return;
+        let x = nx, y = ny, w = 1, h = 1;
+        switch (edge) {
+          case "top":    y = ny + 1 - thickness; h = thickness; break;
+          case "right":  w = thickness; break;
+          case "bottom": h = thickness; break;
+          case "left":   x = nx + 1 - thickness; w = thickness; break;
+        }
+        if (this._intersects(x, y, w, h)) this._addImage(borderImage, x, y, w, h);
+      });
+    });
+  }
+
+  /**
+   * Draws a custom object. Rotated images are pre-rotated into a transparent image
+   * covering the object's bounding box.
+   *
+   * @param {Object} obj - The custom object.
+   */
+  _drawCustomObject(obj) {
+    const cm = this.canvasManager;
+    const lx = obj.x / cm.currentCellSize; // Convert to logical
+    const ly = obj.y / cm.currentCellSize;
+    const lwidth = obj.width / cm.currentCellSize;
+    const lheight = obj.height / cm.currentCellSize;
+    const rotation = obj.rotation || 0;
+
+    // Axis-aligned bounding box of the rotated object
+    const cos = Math.abs(Math.cos(rotation)), sin = Math.abs(Math.sin(rotation));
+    const boxW = lwidth * cos + lheight * sin;
+    const boxH = lwidth * sin + lheight * cos;
+    if (!this._intersects(lx - boxW / 2, ly - boxH / 2, boxW, boxH)) return;
+
+    if (!this._isDrawable(obj.image)) {
+      // Placeholder, as in drawAll()
+      const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+        const px = sx * lwidth / 2, py = sy * lheight / 2;
+        return this._toPage(lx + px * Math.cos(rotation) - py * Math.sin(rotation),
+                            ly + px * Math.sin(rotation) + py * Math.cos(rotation));
+      });
+      this.pdf.setFillColor(constants.attentionColor);
+      const segments = corners.slice(1).map((p, i) => [p.x - corners[i].x, p.y - corners[i].y]);
+      this.pdf.lines(segments, corners[0].x, corners[0].y, [1, 1], "F", true);
+      return;
+    }
+
+    if (Math.abs(rotation) < 1e-6) {
+      this._addImage(obj.image, lx - lwidth / 2, ly - lheight / 2, lwidth, lheight);
+      return;
+    }
+
+    // Pre-rotate at the export resolution (capped, so huge objects don't exhaust memory)
+    const scale = Math.min(this.exportScale, 4096 / Math.max(boxW, boxH));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.ceil(boxW * scale));
+    canvas.height = Math.max(1, Math.ceil(boxH * scale));
+    const ctx = canvas.getContext("2d");
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(rotation);
+    ctx.drawImage(obj.image, -lwidth * scale / 2, -lheight * scale / 2, lwidth * scale, lheight * scale);
+    const topLeft = this._toPage(lx - boxW / 2, ly - boxH / 2);
+    this.pdf.addImage(canvas.toDataURL("image/png"), "PNG", topLeft.x, topLeft.y,
+                      boxW * this.mmPerCell, boxH * this.mmPerCell, undefined, "FAST");
+  }
+
+  /**
+   * Renders something with the canvas drawing code into an image covering the tile
+   * and places it on the page.
+   *
+   * @param {Function} draw - Called with a context transformed to logical units.
+   * @param {boolean} transparent - Keep transparency (PNG with alpha) instead of a white background.
+   */
+  _drawRasterLayer(draw, transparent) {
+    const { minX, minY, width, height } = this.region;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.ceil(width * this.exportScale));
+    canvas.height = Math.max(1, Math.ceil(height * this.exportScale));
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    if (!transparent) {
+      ctx.fillStyle = "#FFFFFF";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.save();
+    ctx.scale(this.exportScale, this.exportScale);
+    ctx.translate(-minX, -minY);
+    draw(ctx);
+    ctx.restore();
+    const { x, y } = this.placement;
+    this.pdf.addImage(canvas.toDataURL("image/png"), "PNG", x, y,
+                      canvas.width / this.exportScale * this.mmPerCell,
+                      canvas.height / this.exportScale * this.mmPerCell, undefined, "FAST");
+  }
+
+  /**
+   * Adds an image at a logical rectangle, embedding the image only the first time it is used.
+   *
+   * @param {HTMLImageElement} image - A loaded image.
+   * @param {number} x - Logical x.
+   * @param {number} y - Logical y.
+   * @param {number} w - Logical width.
+   * @param {number} h - Logical height.
+   */
+  _addImage(image, x, y, w, h) {
+    let entry = this.imageAliases.get(image);
+    if (!entry) {
+      // Convert through a canvas, so any format the browser can show (SVG, WebP, ...) works
+      const canvas = document.createElement("canvas");
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      canvas.getContext("2d").drawImage(image, 0, 0);
+      entry = { alias: `omcImage${this.imageAliases.size}`, data: canvas.toDataURL("image/png") };
+      this.imageAliases.set(image, entry);
+    }
+    const topLeft = this._toPage(x, y);
+    try {
+      this.pdf.addImage(entry.data, "PNG", topLeft.x, topLeft.y, w * this.mmPerCell, h * this.mmPerCell, entry.alias, "FAST");
+    } catch (e) {
+      console.error("PDF Export: Error adding image:", e);
+    }
+  }
+
+  /**
+   * Fills (and optionally outlines) a logical rectangle.
+   */
+  _fillRect(x, y, w, h, fillColor, strokeColor = null) {
+    const topLeft = this._toPage(x, y);
+    this.pdf.setFillColor(fillColor);
+    if (strokeColor) this.pdf.setDrawColor(strokeColor);
+    this.pdf.rect(topLeft.x, topLeft.y, w * this.mmPerCell, h * this.mmPerCell, strokeColor ? "FD" : "F");
+  }
+
+  /**
+   * Outlines a logical rectangle.
+   */
+  _strokeRect(x, y, w, h, strokeColor) {
+    const topLeft = this._toPage(x, y);
+    this.pdf.setDrawColor(strokeColor);
+    this.pdf.rect(topLeft.x, topLeft.y, w * this.mmPerCell, h * this.mmPerCell, "S");
+  }
+
+  /**
+   * Converts logical coordinates to page coordinates (mm) for the current tile.
+   */
+  _toPage(x, y) {
+    return {
+      x: this.placement.x + (x - this.region.minX) * this.mmPerCell,
+      y: this.placement.y + (y - this.region.minY) * this.mmPerCell,
+    };
+  }
+
+  /**
+   * @returns {boolean} `true` if the logical rectangle overlaps the current tile.
+   */
+  _intersects(x, y, w, h) {
+    return x + w > this.region.minX && x < this.region.maxX && y + h > this.region.minY && y < this.region.maxY;
+  }
+
+  /**
+   * @returns {boolean} `true` if the image is loaded and can be drawn.
+   */
+  _isDrawable(image) {
+    return !!(image && image.complete && image.naturalWidth > 0);
+  }
+}
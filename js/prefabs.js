@@ -0,0 +1,254 @@
+import { constants } from "./constants.js";
+import { AssetTable } from "./assets.js";
+import { drawEdge } from "./edges.js";
+
+/**
+ * Creates a prefab (a reusable stamp) from the current selection: the selected cells and edges of the
+ * active layer, free-draw objects and custom objects.
+ *
+ * The prefab covers the cells the selection touches. Cell and edge positions are stored relative to its
+ * top-left cell, object positions in pixels relative to its top-left corner at `cellSize`.
+ * Images are stored once in `assets`, as in save files.
+ *
+ * @param {CanvasManager} canvasManager - The map with the selection.
+ * @param {string} name - The prefab name.
+ * @returns {Object|null} `{ name, created, thumbnail, cellSize, width, height, cells, edges, freeDrawObjects,
+ * customObjects, assets }`, or `null` if nothing is selected.
+ */
+export function createPrefab(canvasManager, name) {
+  const cm = canvasManager;
+  const cellSize = cm.currentCellSize;
+  const layerObjects = cm.layers[cm.activeLayerIndex]?.objects || new Map();
+  const layerEdges = cm.layers[cm.activeLayerIndex]?.edges || new Map();
+  const cells = cm.selectedObjects.grid.map((id) => layerObjects.get(id)).filter(Boolean);
+  const edges = cm.selectedObjects.edges.map((id) => layerEdges.get(id)).filter(Boolean);
+  const freeDrawObjects = cm.selectedObjects.free.map((id) => cm.freeDrawObjects.get(id)).filter(Boolean);
+  const customObjects = cm.selectedObjects.custom.map((id) => cm.customObjects.get(id)).filter(Boolean);
+  if (cells.length + edges.length + freeDrawObjects.length + customObjects.length === 0) return null;
+
+  // Bounds in pixels (object rotation is ignored, as for selection)
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const extend = (minX, minY, maxX, maxY) => {
+    bounds.minX = Math.min(bounds.minX, minX);
+    bounds.minY = Math.min(bounds.minY, minY);
+    bounds.maxX = Math.max(bounds.maxX, maxX);
+    bounds.maxY = Math.max(bounds.maxY, maxY);
+  };
+  cells.forEach((cell) => extend(cell.x * cellSize, cell.y * cellSize, (cell.x + 1) * cellSize, (cell.y + 1) * cellSize));
+  edges.forEach((edge) => extend(edge.x * cellSize, edge.y * cellSize,
+    (edge.x + (edge.side === "h" ? 1 : 0)) * cellSize, (edge.y + (edge.side === "v" ? 1 : 0)) * cellSize));
+  freeDrawObjects.forEach((obj) => extend(obj.x - obj.size / 2, obj.y - obj.size / 2, obj.x + obj.size / 2, obj.y + obj.size / 2));
+  customObjects.forEach((obj) => extend(obj.x - obj.width / 2, obj.y - obj.height / 2, obj.x + obj.width / 2, obj.y + obj.height / 2));
+  const originX = Math.floor(bounds.minX / cellSize);
+  const originY = Math.floor(bounds.minY / cellSize);
+  const shiftX = originX * cellSize;
+  const shiftY = originY * cellSize;
+
+  const assets = new AssetTable();
+  const prefab = {
+    name,
+    created: Date.now(),
+    thumbnail: null,
+    cellSize,
+    width: Math.max(1, Math.ceil(bounds.maxX / cellSize) - originX),
+    height: Math.max(1, Math.ceil(bounds.maxY / cellSize) - originY),
+    cells: cells.map((cell) => {
+      const { image, imageSrc, ...cellCopy } = cell;
+      if (cell.type === "image" && imageSrc) cellCopy.imageId = assets.add(imageSrc);
+      return { ...cellCopy, x: cell.x - originX, y: cell.y - originY };
+    }),
+    edges: edges.map((edge) => ({ ...edge, x: edge.x - originX, y: edge.y - originY })),
+    freeDrawObjects: freeDrawObjects.map((obj) => {
+      const { image, ...objCopy } = obj;
+      if (image?.src) objCopy.imageId = assets.add(image.src);
+      return { ...objCopy, x: obj.x - shiftX, y: obj.y - shiftY };
+    }),
+    customObjects: customObjects.map((obj) => {
+      const { image, imageSrc, locked, ...objCopy } = obj;
+      if (imageSrc) objCopy.imageId = assets.add(imageSrc);
+      return { ...objCopy, x: obj.x - shiftX, y: obj.y - shiftY };
+    }),
+    assets: assets.toJSON(),
+  };
+  prefab.thumbnail = renderPrefabThumbnail(canvasManager, prefab, constants.prefabThumbnailSize);
+  return prefab;
+}
+
+/**
+ * Mirrors and rotates a prefab. Mirroring is horizontal and applied first; rotation is clockwise.
+ * Positions, edge directions and object rotations change; the images themselves are not flipped
+ * (cells have no rotation, so cell images keep their orientation).
+ *
+ * @param {Object} prefab - The prefab.
+ * @param {number} quarterTurns - Clockwise rotation in steps of 90°.
+ * @param {boolean} mirror - Mirror horizontally.
+ * @returns {Object} A transformed copy of the prefab.
+ */
+export function transformPrefab(prefab, quarterTurns, mirror) {
+  let { width, height } = prefab;
+  let cells = prefab.cells.map((cell) => ({ ...cell }));
+  let edges = (prefab.edges || []).map((edge) => ({ ...edge })); // Prefabs made before walls have none
+  let freeDrawObjects = prefab.freeDrawObjects.map((obj) => ({ ...obj }));
+  let customObjects = prefab.customObjects.map((obj) => ({ ...obj, rotation: obj.rotation || 0 }));
+
+  if (mirror) {
+    const pixelWidth = width * prefab.cellSize;
+    cells.forEach((cell) => { cell.x = width - 1 - cell.x; });
+    edges.forEach((edge) => { edge.x = width - edge.x - (edge.side === "h" ? 1 : 0); }); // x is a grid corner
+    freeDrawObjects.forEach((obj) => { obj.x = pixelWidth - obj.x; });
+    customObjects.forEach((obj) => { obj.x = pixelWidth - obj.x; obj.rotation = -obj.rotation; });
+  }
+  for (let turn = 0; turn < ((quarterTurns % 4) + 4) % 4; turn++) {
+    // (x, y) -> (height - y, x), then width and height swap
+    const pixelHeight = height * prefab.cellSize;
+    cells.forEach((cell) => { [cell.x, cell.y] = [height - 1 - cell.y, cell.x]; });
+    // Horizontal edges become vertical ones and the other way round
+    edges.forEach((edge) => {
+      [edge.x, edge.y] = [height - edge.y - (edge.side === "v" ? 1 : 0), edge.x];
+      edge.side = edge.side === "h" ? "v" : "h";
+    });
+    freeDrawObjects.forEach((obj) => { [obj.x, obj.y] = [pixelHeight - obj.y, obj.x]; });
+    customObjects.forEach((obj) => { [obj.x, obj.y] = [pixelHeight - obj.y, obj.x]; obj.rotation += Math.PI / 2; });
+    [width, height] = [height, width];
+  }
+  return { ...prefab, width, height, cells, edges, freeDrawObjects, customObjects };
+}
+
+/**
+ * Turns a prefab into map objects at a position, scaled to the map's current cell size.
+ *
+ * @param {CanvasManager} canvasManager - The map (for the cell size and shared images).
+ * @param {Object} prefab - The (transformed) prefab.
+ * @param {number} cellX - The cell of the prefab's top-left corner.
+ * @param {number} cellY - The cell of the prefab's top-left corner.
+ * @returns {Object} `{ cells, edges, freeDrawObjects, customObjects }`: arrays of objects as stored in `CanvasManager`.
+ */
+export function getPrefabObjects(canvasManager, prefab, cellX, cellY) {
+  const cellSize = canvasManager.currentCellSize;
+  const scale = cellSize / (prefab.cellSize || constants.baseCellSize);
+  const assets = new AssetTable(prefab.assets);
+  return {
+    cells: prefab.cells.map(({ imageId, ...cell }) => {
+      const imageSrc = cell.type === "image" ? assets.get(imageId) : null;
+      return { ...cell, x: cell.x + cellX, y: cell.y + cellY, imageSrc, image: canvasManager._getImage(imageSrc) };
+    }),
+    edges: (prefab.edges || []).map((edge) => ({ ...edge, x: edge.x + cellX, y: edge.y + cellY })),
+    freeDrawObjects: prefab.freeDrawObjects.map(({ imageId, ...obj }) => ({
+      ...obj,
+      x: obj.x * scale + cellX * cellSize,
+      y: obj.y * scale + cellY * cellSize,
+      size: obj.size * scale,
+      image: canvasManager._getImage(assets.get(imageId)),
+    })),
+    customObjects: prefab.customObjects.map(({ imageId, ...obj }) => {
+      const imageSrc = assets.get(imageId);
+      return {
+        ...obj,
+        x: obj.x * scale + cellX * cellSize,
+        y: obj.y * scale + cellY * cellSize,
+        width: obj.width * scale,
+        height: obj.height * scale,
+        imageSrc,
+        image: canvasManager._getImage(imageSrc),
+      };
+    }),
+  };
+}
+
+/**
+ * Renders a small preview of a prefab, with the images the map has already loaded.
+ *
+ * @param {CanvasManager} canvasManager - The map the prefab was made from.
+ * @param {Object} prefab - The prefab.
+ * @param {number} maxSize - The maximum width and height in pixels.
+ * @returns {string|null} A PNG data URL, or `null` if it could not be rendered.
+ */
+export function renderPrefabThumbnail(canvasManager, prefab, maxSize) {
+  const scale = maxSize / Math.max(prefab.width, prefab.height); // px per cell
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(prefab.width * scale));
+  canvas.height = Math.max(1, Math.round(prefab.height * scale));
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  const { cells, edges, freeDrawObjects, customObjects } = getPrefabObjects(canvasManager, prefab, 0, 0);
+  const isLoaded = (image) => image && image.complete && image.naturalWidth > 0;
+  try {
+    ctx.scale(scale / canvasManager.currentCellSize, scale / canvasManager.currentCellSize);
+    const size = canvasManager.currentCellSize;
+    cells.forEach((cell) => {
+      if (cell.type === "image" && isLoaded(cell.image)) {
+        ctx.drawImage(cell.image, cell.x * size, cell.y * size, size, size);
+      } else {
+        ctx.fillStyle = cell.fillColor;
+        ctx.fillRect(cell.x * size, cell.y * size, size, size);
+      }
+    });
+    edges.forEach((edge) => drawEdge(ctx, edge, size));
+    freeDrawObjects.forEach((obj) => {
+      if (isLoaded(obj.image)) {
+        ctx.drawImage(obj.image, obj.x - obj.size / 2, obj.y - obj.size / 2, obj.size, obj.size);
+      } else {
+        ctx.fillStyle = obj.fillColor;
+        ctx.beginPath();
+        ctx.arc(obj.x, obj.y, obj.size / 2, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    });
+    customObjects.forEach((obj) => {
+      ctx.save();
+      ctx.translate(obj.x, obj.y);
+      ctx.rotate(obj.rotation || 0);
+      if (isLoaded(obj.image)) {
+        ctx.drawImage(obj.image, -obj.width / 2, -obj.height / 2, obj.width, obj.height);
+      } else {
+        ctx.fillStyle = constants.attentionColor; // Placeholder
+        ctx.fillRect(-obj.width / 2, -obj.height / 2, obj.width, obj.height);
+      }
+      ctx.restore();
+    });
+    return canvas.toDataURL("image/png");
+  } catch (e) {
+    // e.g. a tainted canvas from a cross-origin image
+    console.error("Error creating prefab thumbnail:", e);
+    return null;
+  }
+}
+
+/**
+ * Builds a prefab pack (a file to share prefabs).
+ *
+ * @param {Array<Object>} prefabs - The prefabs (library ids are left out).
+ * @returns {Object} `{ format, version, prefabs }`.
+ */
+export function createPrefabPack(prefabs) {
+  return {
+    format: constants.prefabPackFormat,
+    version: constants.prefabPackVersion,
+    prefabs: prefabs.map(({ id, ...prefab }) => prefab),
+  };
+}
+
+/**
+ * Reads the prefabs of a pack created by `createPrefabPack()`.
+ *
+ * @param {Object} pack - The parsed pack file.
+ * @returns {Array<Object>} The prefabs (without ids).
+ * @throws {Error} If the file is not a prefab pack or a prefab is malformed.
+ */
+export function readPrefabPack(pack) {
+  if (!pack || pack.format !== constants.prefabPackFormat || !Array.isArray(pack.prefabs)) {
+    throw new Error("The file is not an Open Map Creator prefab pack.");
+  }
+  if (pack.version > constants.prefabPackVersion) {
+    throw new Error(`The prefab pack was made by a newer version of Open Map Creator (pack version ${pack.version}).`);
+  }
+  return pack.prefabs.map((prefab, i) => {
+    const valid = prefab && typeof prefab.name === "string" && prefab.width > 0 && prefab.height > 0 && prefab.cellSize > 0 &&
+      ["cells", "freeDrawObjects", "customObjects"].every((key) => Array.isArray(prefab[key])) &&
+      (prefab.edges === undefined || Array.isArray(prefab.edges));
+    if (!valid) throw new Error(`Prefab ${i + 1} in the pack is invalid.`);
+    const { id, ...rest } = prefab;
+    return { ...rest, assets: prefab.assets || {} };
+  });
+}
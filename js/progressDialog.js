@@ -0,0 +1,65 @@
+/**
+ * A modal progress indicator with a cancel button, for long-running exports.
+ * The markup lives in `index.html` (`#progressDialog`).
+ *
+ * The running task calls `update()` as it goes and checks `cancelled` between steps;
+ * it must yield to the browser (e.g. `await nextFrame()`) for the dialog to repaint.
+ */
+export class ProgressDialog {
+  constructor() {
+    this.overlay = document.getElementById("progressDialog");
+    this.title = document.getElementById("progressTitle");
+    this.bar = document.getElementById("progressBar");
+    this.message = document.getElementById("progressMessage");
+    this.cancelled = false;
+
+    document.getElementById("progressCancel").addEventListener("click", () => {
+      this.cancelled = true;
+      this.message.textContent = "Cancelling...";
+    });
+  }
+
+  /**
+   * Shows the dialog for a new task.
+   *
+   * @param {string} title - The task name (e.g. "Exporting PDF").
+   * @param {number} total - The number of steps.
+   */
+  start(title, total) {
+    this.cancelled = false;
+    this.title.textContent = title;
+    this.bar.max = total;
+    this.bar.value = 0;
+    this.message.textContent = "";
+    this.overlay.style.display = "flex";
+  }
+
+  /**
+   * Reports progress.
+   *
+   * @param {number} done - The number of finished steps.
+   * @param {string} message - What is being done (e.g. "Page 3 of 12").
+   */
+  update(done, message) {
+    if (this.cancelled) return; // Keep showing "Cancelling..."
+    this.bar.value = done;
+    this.message.textContent = message;
+  }
+
+  /**
+   * Hides the dialog.
+   */
+  finish() {
+    this.overlay.style.display = "none";
+  }
+}
+
+/**
+ * Waits until the browser had a chance to repaint, so progress updates become visible
+ * and button clicks are handled during long loops.
+ *
+ * @returns {Promise<void>}
+ */
+export function nextFrame() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
@@ -0,0 +1,124 @@
+import { constants } from "./constants.js";
+
+/**
+ * Fills in missing or invalid sprite sheet settings with the defaults.
+ *
+ * @param {Object} [settings] - Settings as read from the sprite sheet dialog.
+ * @returns {Object} A complete settings object `{ tileWidth, tileHeight, margin, spacing, skipEmpty, target, category }`.
+ */
+export function normalizeSpriteSheetSettings(settings = {}) {
+  const defaults = constants.defaultSpriteSheetSettings;
+  const size = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return n > 0 ? n : fallback;
+  };
+  const gap = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return n >= 0 ? n : fallback;
+  };
+  return {
+    tileWidth: size(settings.tileWidth, defaults.tileWidth),
+    tileHeight: size(settings.tileHeight, defaults.tileHeight),
+    margin: gap(settings.margin, defaults.margin),
+    spacing: gap(settings.spacing, defaults.spacing),
+    skipEmpty: typeof settings.skipEmpty === "boolean" ? settings.skipEmpty : defaults.skipEmpty,
+    target: settings.target === "library" ? "library" : "patterns",
+    category: constants.assetCategories.includes(settings.category) ? settings.category : defaults.category,
+  };
+}
+
+/**
+ * Computes the tiles of a sprite sheet, row by row. Tiles start at `margin` from the top-left
+ * corner and are `spacing` apart; partial tiles at the right and bottom edge are left out
+ * (the same rules as Tiled tilesets).
+ *
+ * @param {number} imageWidth - The width of the sheet in pixels.
+ * @param {number} imageHeight - The height of the sheet in pixels.
+ * @param {Object} settings - Normalized settings.
+ * @returns {Object} `{ columns, rows, tiles, error }`: `tiles` is `[{ column, row, x, y }]` (pixels);
+ * `error` is a message if the settings give no tiles or too many.
+ */
+export function computeSpriteSheetGrid(imageWidth, imageHeight, settings) {
+  const { tileWidth, tileHeight, margin, spacing } = settings;
+  const columns = Math.max(0, Math.floor((imageWidth - 2 * margin + spacing) / (tileWidth + spacing)));
+  const rows = Math.max(0, Math.floor((imageHeight - 2 * margin + spacing) / (tileHeight + spacing)));
+  if (columns === 0 || rows === 0) {
+    return { columns, rows, tiles: [], error: `The tiles do not fit into the image (${imageWidth} × ${imageHeight} px).` };
+  }
+  if (columns * rows > constants.maxSpriteSheetTiles) {
+    return { columns, rows, tiles: [], error: `${columns * rows} tiles are too many (at most ${constants.maxSpriteSheetTiles}). Use larger tiles.` };
+  }
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      tiles.push({ column, row, x: margin + column * (tileWidth + spacing), y: margin + row * (tileHeight + spacing) });
+    }
+  }
+  return { columns, rows, tiles, error: null };
+}
+
+/**
+ * Checks whether a tile is fully transparent.
+ *
+ * @param {ImageData} imageData - The pixels of the whole sheet.
+ * @param {Object} tile - The tile (from `computeSpriteSheetGrid()`).
+ * @param {Object} settings - Normalized settings (for the tile size).
+ * @returns {boolean} `true` if every pixel of the tile has an alpha of 0.
+ */
+export function isTileEmpty(imageData, tile, settings) {
+  const { data, width } = imageData;
+  for (let y = tile.y; y < tile.y + settings.tileHeight; y++) {
+    for (let x = tile.x; x < tile.x + settings.tileWidth; x++) {
+      if (data[(y * width + x) * 4 + 3] !== 0) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Reads the pixels of a sprite sheet, for `isTileEmpty()`.
+ *
+ * @param {HTMLImageElement} image - The loaded sheet.
+ * @returns {ImageData|null} The pixels, or `null` if they cannot be read (e.g. a cross-origin image).
+ */
+export function getSpriteSheetPixels(image) {
+  const canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+  try {
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  } catch (e) {
+    console.error("Error reading sprite sheet pixels:", e);
+    return null;
+  }
+}
+
+/**
+ * Cuts a sprite sheet into one PNG image per tile.
+ *
+ * @param {HTMLImageElement} image - The loaded sheet.
+ * @param {Object} settings - Normalized settings.
+ * @param {ImageData|null} [pixels] - The pixels of the sheet, needed to leave out empty tiles (`settings.skipEmpty`).
+ * @returns {Array<Object>} `[{ column, row, src }]` with PNG data URLs, row by row.
+ * @throws {Error} If the settings give no tiles or too many.
+ */
+export function sliceSpriteSheet(image, settings, pixels = null) {
+  const grid = computeSpriteSheetGrid(image.naturalWidth, image.naturalHeight, settings);
+  if (grid.error) throw new Error(grid.error);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = settings.tileWidth;
+  canvas.height = settings.tileHeight;
+  const ctx = canvas.getContext("2d");
+  return grid.tiles
+    .filter((tile) => !(settings.skipEmpty && pixels && isTileEmpty(pixels, tile, settings)))
+    .map((tile) => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, tile.x, tile.y, settings.tileWidth, settings.tileHeight, 0, 0, settings.tileWidth, settings.tileHeight);
+      return { column: tile.column, row: tile.row, src: canvas.toDataURL("image/png") };
+    });
+}
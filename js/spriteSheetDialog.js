@@ -0,0 +1,236 @@
+import { constants } from "./constants.js";
+import { computeSpriteSheetGrid, getSpriteSheetPixels, isTileEmpty, normalizeSpriteSheetSettings, sliceSpriteSheet } from "./spriteSheet.js";
+
+/**
+ * The sprite sheet dialog: slices one image into tiles (tile size, margin, spacing) with a live preview
+ * of the cuts, and adds the tiles to the Grid Draw patterns of the map or to the asset library.
+ * The last used settings are kept until the page is reloaded.
+ */
+export class SpriteSheetDialog {
+  constructor(canvasManager, storageManager) {
+    this.canvasManager = canvasManager;
+    this.storageManager = storageManager;
+
+    this.overlay = document.getElementById("spriteSheetDialog");
+    this.previewCanvas = document.getElementById("spriteSheetPreview");
+    this.summary = document.getElementById("spriteSheetSummary");
+    this.categoryRow = document.getElementById("spriteSheetCategoryRow");
+    this.inputs = {
+      tileWidth: document.getElementById("spriteSheetTileWidth"),
+      tileHeight: document.getElementById("spriteSheetTileHeight"),
+      margin: document.getElementById("spriteSheetMargin"),
+      spacing: document.getElementById("spriteSheetSpacing"),
+      skipEmpty: document.getElementById("spriteSheetSkipEmpty"),
+      target: document.getElementById("spriteSheetTarget"),
+      category: document.getElementById("spriteSheetCategory"),
+    };
+    this.importButton = document.getElementById("spriteSheetImportConfirm");
+
+    this.settings = normalizeSpriteSheetSettings(constants.defaultSpriteSheetSettings);
+    this.image = null; // The loaded sheet
+    this.pixels = null; // Its pixels, to find empty tiles
+    this.name = ""; // The file name without extension, used to name library images
+
+    this.setupControls();
+  }
+
+  /**
+   * Fills the category list and adds the event listeners of the dialog.
+   */
+  setupControls() {
+    constants.assetCategories.forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category;
+      option.textContent = category;
+      this.inputs.category.appendChild(option);
+    });
+
+    // Update the preview live while settings are edited
+    Object.values(this.inputs).forEach((input) => {
+      input.addEventListener("input", () => this.updatePreview());
+      input.addEventListener("change", () => this.updatePreview());
+    });
+
+    this.importButton.addEventListener("click", () => this.import());
+    document.getElementById("spriteSheetImportCancel").addEventListener("click", () => this.close());
+    // Close when clicking next to the dialog
+    this.overlay.addEventListener("click", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isOpen()) this.close();
+    });
+  }
+
+  /**
+   * @returns {boolean} `true` if the dialog is visible.
+   */
+  isOpen() {
+    return this.overlay.style.display !== "none";
+  }
+
+  /**
+   * Lets the user pick an image file and opens the dialog with it.
+   *
+   * @param {string} [target] - Preselects where the tiles go ("patterns" or "library").
+   */
+  pickFile(target) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "image/*";
+    input.addEventListener("change", (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        const img = new Image();
+        img.onload = () => this.open(img, file.name.replace(/\.[^.]+$/, ""), target);
+        img.onerror = () => alert("The file could not be read as an image.");
+        img.src = reader.result;
+      };
+      reader.onerror = () => alert(`Failed to read the file: ${reader.error?.message}`);
+      reader.readAsDataURL(file);
+    });
+    input.click();
+  }
+
+  /**
+   * Opens the dialog for a loaded sprite sheet, with the settings used last.
+   *
+   * @param {HTMLImageElement} image - The loaded sheet.
+   * @param {string} name - The name of the sheet (library images are named after it).
+   * @param {string} [target] - Preselects where the tiles go ("patterns" or "library").
+   */
+  open(image, name, target) {
+    this.image = image;
+    this.pixels = getSpriteSheetPixels(image);
+    this.name = name || "Tile";
+    this.fillInputs(target ? { ...this.settings, target } : this.settings);
+    this.overlay.style.display = "flex";
+    this.updatePreview();
+  }
+
+  /**
+   * Closes the dialog and releases the sheet.
+   */
+  close() {
+    this.overlay.style.display = "none";
+    this.image = null;
+    this.pixels = null;
+  }
+
+  /**
+   * Shows settings in the dialog controls.
+   *
+   * @param {Object} settings - Normalized settings.
+   */
+  fillInputs(settings) {
+    this.inputs.tileWidth.value = settings.tileWidth;
+    this.inputs.tileHeight.value = settings.tileHeight;
+    this.inputs.margin.value = settings.margin;
+    this.inputs.spacing.value = settings.spacing;
+    this.inputs.skipEmpty.checked = settings.skipEmpty;
+    this.inputs.target.value = settings.target;
+    this.inputs.category.value = settings.category;
+  }
+
+  /**
+   * Reads the settings from the dialog controls.
+   *
+   * @returns {Object} Normalized settings (invalid values replaced with defaults).
+   */
+  readSettings() {
+    return normalizeSpriteSheetSettings({
+      tileWidth: this.inputs.tileWidth.value,
+      tileHeight: this.inputs.tileHeight.value,
+      margin: this.inputs.margin.value,
+      spacing: this.inputs.spacing.value,
+      skipEmpty: this.inputs.skipEmpty.checked,
+      target: this.inputs.target.value,
+      category: this.inputs.category.value,
+    });
+  }
+
+  /**
+   * Draws the sheet with the tile outlines (empty tiles that will be left out are crossed out)
+   * and shows the tile count. Disables "Import" if the settings give no tiles or too many.
+   */
+  updatePreview() {
+    if (!this.image) return;
+    const settings = this.readSettings();
+    const grid = computeSpriteSheetGrid(this.image.naturalWidth, this.image.naturalHeight, settings);
+    this.categoryRow.style.display = settings.target === "library" ? "block" : "none";
+
+    const canvas = this.previewCanvas;
+    const ctx = canvas.getContext("2d");
+    const scale = Math.min(canvas.width / this.image.naturalWidth, canvas.height / this.image.naturalHeight);
+    const offsetX = (canvas.width - this.image.naturalWidth * scale) / 2;
+    const offsetY = (canvas.height - this.image.naturalHeight * scale) / 2;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingEnabled = false; // Keep pixel art tiles crisp
+    ctx.drawImage(this.image, offsetX, offsetY, this.image.naturalWidth * scale, this.image.naturalHeight * scale);
+
+    let skipped = 0;
+    ctx.lineWidth = 1;
+    grid.tiles.forEach((tile) => {
+      const x = offsetX + tile.x * scale;
+      const y = offsetY + tile.y * scale;
+      const w = settings.tileWidth * scale;
+      const h = settings.tileHeight * scale;
+      ctx.strokeStyle = constants.attentionColor;
+      ctx.strokeRect(x + 0.5, y + 0.5, Math.max(1, w - 1), Math.max(1, h - 1));
+      if (settings.skipEmpty && this.pixels && isTileEmpty(this.pixels, tile, settings)) {
+        skipped++;
+        ctx.strokeStyle = "#888888";
+        ctx.beginPath();
+        ctx.moveTo(x, y); ctx.lineTo(x + w, y + h);
+        ctx.moveTo(x + w, y); ctx.lineTo(x, y + h);
+        ctx.stroke();
+      }
+    });
+
+    if (grid.error) {
+      this.summary.textContent = grid.error;
+      this.importButton.disabled = true;
+      return;
+    }
+    const count = grid.tiles.length - skipped;
+    this.summary.textContent = `${grid.columns} × ${grid.rows} tiles of ${settings.tileWidth} × ${settings.tileHeight} px` +
+      (skipped ? `, ${skipped} empty tile(s) left out` : "") + `: ${count} image(s) will be added.`;
+    this.importButton.disabled = count === 0;
+  }
+
+  /**
+   * Slices the sheet and adds the tiles: to the map's Grid Draw patterns (one undo step) or,
+   * named after the sheet, row and column, to the asset library.
+   */
+  import() {
+    const settings = this.readSettings();
+    let tiles;
+    try {
+      tiles = sliceSpriteSheet(this.image, settings, this.pixels);
+    } catch (err) {
+      console.error("Error slicing sprite sheet:", err);
+      alert(`Failed to slice the sprite sheet: ${err.message}`);
+      return;
+    }
+    this.settings = settings;
+    const name = this.name;
+    this.close();
+
+    if (settings.target === "library") {
+      this.storageManager.addLibraryAssets(
+        tiles.map((tile) => ({ name: `${name} ${tile.row + 1}-${tile.column + 1}`, src: tile.src })),
+        settings.category
+      );
+      return;
+    }
+    // Identical tiles (e.g. repeated blank ones) are added once
+    const newSrcs = [...new Set(tiles.map((tile) => tile.src))].filter((src) => !this.canvasManager.gridImageList.includes(src));
+    if (newSrcs.length === 0) return; // All tiles are already patterns
+    this.canvasManager.gridImageList.push(...newSrcs);
+    this.canvasManager.saveHistory("Import sprite sheet");
+    console.log(`${newSrcs.length} pattern(s) added from the sprite sheet.`);
+    if (window.hudInstance) window.hudInstance.loadInstrumentSettings(this.canvasManager.activeInstrument); // Show the new patterns
+  }
+}
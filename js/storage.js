@@ -1,8 +1,27 @@
 import { constants } from "./constants.js";
+import { MapLibrary } from "./mapLibrary.js";
+import { checkMapData, formatMapErrors } from "./mapSchema.js";
+import { computePdfLayout, drawPageTiles, normalizePdfSettings } from "./pdfLayout.js";
+import { ProgressDialog, nextFrame } from "./progressDialog.js";
+import { PdfVectorRenderer } from "./pdfVector.js";
+import { normalizeImageExportSettings, renderMapImage } from "./imageExport.js";
+import { applyUvttToMap, createUvttData, normalizeUvttSettings, validateUvttData } from "./uvtt.js";
+import { createMapSVG } from "./svgExport.js";
+import { createMapBundle, readMapBundle } from "./bundle.js";
+import { embedMapInPDF, embedMapInPNG, extractMapFromPDF, extractMapFromPNG } from "./embeddedMap.js";
+import { createPrefab, createPrefabPack, readPrefabPack } from "./prefabs.js";
+import { applyTiledToMap, createTiledMap, normalizeTiledSettings, readTiledMap, tiledMapToTMX } from "./tiled.js";
 
 export class StorageManager {
   constructor(canvasManager) {
     this.canvasManager = canvasManager;
+    this.library = new MapLibrary();
+    this.libraryAvailable = false;
+    this.currentMapId = null; // Id of the open map in the library
+    this.lastSavedJSON = null; // The open map as last written, to skip saving unchanged maps
+    this.saveErrorShown = false;
+    this.queue = Promise.resolve(); // Serializes library operations (see _enqueue)
+    this.progressDialog = new ProgressDialog();
   }
 
   /**
@@ -13,8 +32,6 @@ export class StorageManager {
   exportMap() {
     try {
         const mapData = this.canvasManager.getMapData();
-        // Add versioning info
-        mapData.version = constants.saveFileVersion;
         mapData.appName = "OpenMapCreator"; // Identify the app
 
         const mapJSON = JSON.stringify(mapData, null, 2); // Pretty print JSON
@@ -37,9 +54,103 @@ export class StorageManager {
   }
 
   /**
-   * Handles the import of a map file in JSON format.
+   * Exports the current map as a project bundle (`.omc`, see `createMapBundle()`): the map data
+   * with the images as separate files, much smaller than the JSON export with its inline images.
+   *
+   * @returns {Promise<void>}
+   */
+  async exportBundle() {
+    try {
+        const mapData = this.canvasManager.getMapData();
+        mapData.appName = "OpenMapCreator"; // Identify the app
+
+        const blob = await createMapBundle(mapData);
+        const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+        this._downloadBlob(blob, `${constants.mapBackupFileName}_${timestamp}.omc`);
+        console.log("Project bundle exported successfully.");
+    } catch (error) {
+        console.error("Error exporting project bundle:", error);
+        alert(`Failed to export the project bundle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exports the whole map as a PNG, JPEG or WebP image at the chosen pixels per cell.
+   * PNG images carry the map data (see `embedMapInPNG()`), so `importMap()` can open them again.
+   *
+   * @param {Object} settings - Image export settings (see `normalizeImageExportSettings()`).
+   * @returns {Promise<void>}
+   */
+  async exportImage(settings) {
+    settings = normalizeImageExportSettings(settings);
+    const mimeType = constants.imageExportFormats[settings.format];
+    try {
+        const canvas = renderMapImage(this.canvasManager, settings);
+        let blob = await new Promise((resolve) => canvas.toBlob(resolve, mimeType, settings.quality));
+        if (!blob) throw new Error("The browser could not encode the image.");
+
+        // Browsers that cannot write a format (e.g. WebP in older Safari) fall back to PNG
+        let extension = settings.format === "jpeg" ? "jpg" : settings.format;
+        if (blob.type !== mimeType) {
+            alert(`This browser cannot write ${settings.format.toUpperCase()} images. The map was saved as PNG instead.`);
+            extension = "png";
+        }
+        if (blob.type === "image/png") {
+            const mapData = this.canvasManager.getMapData();
+            mapData.appName = "OpenMapCreator"; // Identify the app
+            blob = await embedMapInPNG(blob, mapData);
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+        this._downloadBlob(blob, `${constants.mapImageFileName}_${timestamp}.${extension}`);
+        console.log(`Map exported as ${canvas.width} x ${canvas.height} px image.`);
+    } catch (error) {
+        console.error("Error exporting image:", error);
+        alert(`Failed to export the map image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Downloads a file.
+   *
+   * @param {Blob} blob - The file content.
+   * @param {string} fileName - The file name.
+   */
+  _downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a); // Required for Firefox
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Exports the map as a Universal VTT file (`.dd2vtt`): the rendered image with walls,
+   * doors and lights, for VTTs such as Foundry.
+   *
+   * @param {Object} settings - Universal VTT export settings (see `normalizeUvttSettings()`).
+   */
+  exportUVTT(settings) {
+    try {
+        settings = normalizeUvttSettings(settings, this.canvasManager.layers);
+        const uvtt = createUvttData(this.canvasManager, settings);
+        const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+        this._downloadBlob(new Blob([JSON.stringify(uvtt)], { type: "application/json" }), `${constants.mapUVTTFileName}_${timestamp}.dd2vtt`);
+        console.log(`Universal VTT exported: ${uvtt.line_of_sight.length} walls, ${uvtt.portals.length} doors, ${uvtt.lights.length} lights.`);
+    } catch (error) {
+        console.error("Error exporting Universal VTT file:", error);
+        alert(`Failed to export the Universal VTT file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handles the import of a map file: a JSON map, a project bundle (`.omc`), or a PNG image or
+   * PDF exported by this app (which carry the map data, see `embeddedMap.js`).
    * 
-   * This method allows the user to select a JSON file containing map data.
+   * This method allows the user to select a file containing map data.
    * It validates the file's content and, upon confirmation, replaces the current map
    * with the imported data. If the file is invalid or an error occurs during the process,
    * appropriate error messages are displayed.
@@ -47,31 +158,147 @@ export class StorageManager {
    * @throws {Error} If the file content is not a valid JSON or does not match the expected map format.
    */
   importMap() {
+    this._pickMapFile(async (file) => {
+      let checked;
+      try {
+        checked = await this._readMapFile(file);
+      } catch (err) {
+        console.error("Error parsing or loading map data:", err);
+        alert(`Failed to import map: ${err.message}`);
+        return;
+      }
+      if (checked.errors.length > 0) {
+        console.error("The map file is invalid:", checked.errors);
+        alert(`Failed to import map: the file is not a valid map.\n\n${formatMapErrors(checked.errors)}`);
+        return;
+      }
+
+      // Confirm overwrite
+      if (confirm("Importing will replace the current map. Continue?")) {
+        try {
+          this.canvasManager.loadMapData(checked.data);
+          console.log(`Map imported successfully (save format ${checked.version}).`);
+        } catch (err) {
+          console.error("Error loading map data:", err);
+          alert(`Failed to import map: ${err.message}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Imports a map file into the current map instead of replacing it: the file's layers are added
+   * as new layers, and its objects and Grid Draw images are added too (see `CanvasManager.mergeMapData()`).
+   * Accepts the same files as `importMap()`. The user is asked for the offset in cells;
+   * the merge is one undo step.
+   */
+  mergeMap() {
+    this._pickMapFile(async (file) => {
+      let checked;
+      try {
+        checked = await this._readMapFile(file);
+      } catch (err) {
+        console.error("Error reading map file:", err);
+        alert(`Failed to import into the current map: ${err.message}`);
+        return;
+      }
+      if (checked.errors.length > 0) {
+        console.error("The map file is invalid:", checked.errors);
+        alert(`Failed to import into the current map: the file is not a valid map.\n\n${formatMapErrors(checked.errors)}`);
+        return;
+      }
+
+      const answer = prompt("Place the imported map at which cell offset? (x, y)", "0, 0");
+      if (answer === null) return; // Cancelled
+      const match = /^\s*(-?\d+)\s*[,;\s]\s*(-?\d+)\s*$/.exec(answer);
+      if (!match) {
+        alert("Enter the offset as two whole numbers, e.g. \"10, -4\".");
+        return;
+      }
+
+      try {
+        const added = this.canvasManager.mergeMapData(checked.data, parseInt(match[1], 10), parseInt(match[2], 10));
+        console.log(`Map merged: ${added.layers} layer(s), ${added.freeDrawObjects} free-draw and ${added.customObjects} custom object(s).`);
+      } catch (err) {
+        console.error("Error merging map data:", err);
+        alert(`Failed to import into the current map: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Lets the user pick a map file (JSON, project bundle, or PNG/PDF exported by the app).
+   *
+   * @param {Function} onFile - Called with the selected `File`.
+   */
+  _pickMapFile(onFile) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json,.omc,image/png,.png,application/pdf,.pdf";
+    input.addEventListener("change", (event) => {
+      const file = event.target.files[0];
+      if (file) onFile(file);
+    });
+    input.click();
+  }
+
+  /**
+   * Reads map data from a JSON file, a project bundle (`readMapBundle()`), or a PNG/PDF
+   * with embedded map data (`extractMapFromPNG()`/`extractMapFromPDF()`), then validates
+   * and migrates it with `checkMapData()`.
+   *
+   * @param {File} file - The selected file.
+   * @returns {Promise<Object>} The result of `checkMapData()`: `{ data, version, errors }`.
+   * @throws {Error} If the file cannot be read, is not JSON, or contains no map data.
+   */
+  async _readMapFile(file) {
+    const isBundle = /\.omc$/i.test(file.name);
+    const isPNG = file.type === "image/png" || /\.png$/i.test(file.name);
+    const isPDF = file.type === "application/pdf" || /\.pdf$/i.test(file.name);
+
+    let data;
+    if (isBundle) {
+      data = await readMapBundle(await file.arrayBuffer());
+    } else if (isPNG || isPDF) {
+      const buffer = await file.arrayBuffer();
+      data = isPNG ? await extractMapFromPNG(buffer) : await extractMapFromPDF(buffer);
+      if (!data) {
+        throw new Error(`This ${isPNG ? "image" : "PDF"} contains no map data. Only PNG images and PDFs exported by Open Map Creator can be opened.`);
+      }
+    } else {
+      data = JSON.parse(await file.text());
+    }
+    return checkMapData(data);
+  }
+
+  /**
+   * Imports a Universal VTT file (`.dd2vtt`, `.uvtt`, `.df2vtt`) as a new map in the library,
+   * named after the file. Its image becomes a locked background object, its walls and doors
+   * become wall and door edges, and its lights marker cells (see `applyUvttToMap()`).
+   * If the library is not available, the file replaces the current map after confirmation.
+   */
+  importUVTT() {
     const input = document.createElement("input");
     input.type = "file";
-    input.accept = "application/json,.json"; // Accept .json extension
+    input.accept = ".dd2vtt,.uvtt,.df2vtt,application/json";
     input.addEventListener("change", (event) => {
       const file = event.target.files[0];
       if (!file) return;
 
       const reader = new FileReader();
       reader.onload = (e) => {
+        let uvtt;
         try {
-          const data = JSON.parse(e.target.result);
-          // Basic validation (optional but recommended)
-          if (!data || typeof data !== 'object' || !data.settings || !data.layers) {
-              throw new Error("Invalid map file format.");
-          }
-
-          // Confirm overwrite
-          if (confirm("Importing will replace the current map. Continue?")) {
-              this.canvasManager.loadMapData(data);
-              console.log("Map imported successfully.");
-          }
+          uvtt = JSON.parse(e.target.result);
+          validateUvttData(uvtt);
         } catch (err) {
-          console.error("Error parsing or loading map data:", err);
-          alert(`Failed to import map: ${err.message}`);
+          console.error("Error parsing Universal VTT file:", err);
+          alert(`Failed to import the Universal VTT file: ${err.message}`);
+          return;
         }
+
+        const name = file.name.replace(/\.[^.]+$/, "") || constants.defaultMapName;
+        this._importAsNewMap(name, "import the Universal VTT file", () => applyUvttToMap(this.canvasManager, uvtt));
       };
       reader.onerror = (e) => {
           console.error("Error reading file:", e);
@@ -83,119 +310,770 @@ export class StorageManager {
   }
 
   /**
-   * Automatically saves the current map data to the browser's localStorage.
-   * Retrieves the map data from the canvas manager, updates the version, 
-   * and stores it using a predefined localStorage key. Handles potential 
-   * errors during the save process, including quota exceedance.
+   * Exports the whole map as an SVG file (see `createMapSVG()`), e.g. for editing in Inkscape.
    */
-  autoSaveMap() {
+  exportSVG() {
     try {
-        const mapData = this.canvasManager.getMapData();
-        mapData.version = constants.saveFileVersion;
-        localStorage.setItem(constants.localStorageKey, JSON.stringify(mapData));
+        const svg = createMapSVG(this.canvasManager);
+        const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+        this._downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `${constants.mapSVGFileName}_${timestamp}.svg`);
+        console.log("SVG exported successfully.");
     } catch (error) {
-        console.error("Error during auto-save:", error);
-        // Avoid alerting frequently on auto-save errors
-        if (error.name === 'QuotaExceededError') {
-            console.warn("LocalStorage quota exceeded. Auto-save failed.");
-            // Consider notifying user less intrusively once
+        console.error("Error exporting SVG:", error);
+        alert(`Failed to export the SVG file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exports the map as a Tiled map (`.tmj` or `.tmx`, see `createTiledMap()`).
+   * The tileset image is downloaded as a second file next to it; keep both in the same folder.
+   *
+   * @param {Object} settings - Tiled export settings (normalized again here).
+   */
+  async exportTiled(settings) {
+    try {
+        settings = normalizeTiledSettings(settings);
+        const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+        const baseName = `${constants.mapTiledFileName}_${timestamp}`;
+        const { map, tilesetCanvas } = createTiledMap(this.canvasManager, settings, `${baseName}_tileset.png`);
+
+        const text = settings.format === "tmx" ? tiledMapToTMX(map) : JSON.stringify(map, null, 2);
+        const type = settings.format === "tmx" ? "application/xml" : "application/json";
+        this._downloadBlob(new Blob([text], { type }), `${baseName}.${settings.format}`);
+        if (tilesetCanvas) {
+            const blob = await new Promise((resolve) => tilesetCanvas.toBlob(resolve, "image/png"));
+            if (!blob) throw new Error("The browser could not encode the tileset image.");
+            this._downloadBlob(blob, `${baseName}_tileset.png`);
         }
+        console.log(`Tiled map exported: ${map.width} × ${map.height} tiles, ${map.tilesets[0]?.tilecount || 0} tileset tiles.`);
+    } catch (error) {
+        console.error("Error exporting Tiled map:", error);
+        alert(`Failed to export the Tiled map: ${error.message}`);
     }
   }
 
   /**
-   * Automatically loads map data from localStorage if available.
-   * 
-   * This method attempts to retrieve and parse saved map data from localStorage
-   * using a predefined key. If valid data is found, it is loaded into the canvas
-   * manager. If the data is invalid or an error occurs during parsing, the
-   * corrupted data is removed from localStorage.
-   * 
-   * Logs messages to the console to indicate the status of the operation.
-   * 
-   * @throws {Error} If the saved data format is invalid.
+   * Imports an orthogonal Tiled map (`.tmj`, `.json` or `.tmx`) as a new map in the library,
+   * named after the file (see `applyTiledToMap()`). External tilesets and tileset images are
+   * selected together with the map file and matched by file name.
+   * If the library is not available, the file replaces the current map after confirmation.
    */
-  autoLoadMap() {
-    const saved = localStorage.getItem(constants.localStorageKey);
-    if (saved) {
-      console.log("Found saved map data in localStorage.");
+  importTiled() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.multiple = true;
+    input.accept = ".tmj,.tmx,.json,.tsj,.tsx,image/*";
+    input.addEventListener("change", async (event) => {
+      const files = [...event.target.files];
+      const mapFile = files.find((file) => /\.(tmj|tmx)$/i.test(file.name)) ||
+        files.find((file) => /\.json$/i.test(file.name));
+      if (!mapFile) {
+        if (files.length > 0) alert("Select a Tiled map file (.tmj or .tmx), together with its tileset files and images.");
+        return;
+      }
+      const otherFiles = files.filter((file) => file !== mapFile);
+
+      let map;
       try {
-        const data = JSON.parse(saved);
-        // Basic validation
-        if (!data || typeof data !== 'object' || !data.settings || !data.layers) {
-            throw new Error("Invalid saved data format.");
+        map = await readTiledMap(mapFile, otherFiles);
+      } catch (err) {
+        console.error("Error reading Tiled map:", err);
+        alert(`Failed to import the Tiled map: ${err.message}`);
+        return;
+      }
+
+      const name = mapFile.name.replace(/\.[^.]+$/, "") || constants.defaultMapName;
+      this._importAsNewMap(name, "import the Tiled map", async () => {
+        const { skippedTiles, skippedObjects } = await applyTiledToMap(this.canvasManager, map, otherFiles);
+        if (skippedTiles > 0 || skippedObjects > 0) {
+          alert(`Some parts of the Tiled map were skipped: ${skippedTiles} tile(s) whose tileset image was not selected, ` +
+            `${skippedObjects} object(s) without an image.`);
+        }
+      });
+    });
+    input.click();
+  }
+
+  /**
+   * Replaces the canvas with an imported map and adds it to the library as a new map
+   * (after saving the current one). If the library is not available, the current map is
+   * replaced after confirmation instead.
+   *
+   * @param {string} name - Name of the new map.
+   * @param {string} description - What is being done, for error messages (e.g. "import the Tiled map").
+   * @param {Function} fill - Fills the emptied map (`CanvasManager.resetMap()`); may be async.
+   */
+  _importAsNewMap(name, description, fill) {
+    const loadIntoCanvas = async () => {
+      this.canvasManager.resetMap();
+      await fill();
+      this.canvasManager.resetHistory(); // The imported map is the starting point
+      if (window.hudInstance) window.hudInstance.updateLayerList();
+      this.canvasManager.render();
+    };
+
+    if (!this.libraryAvailable) {
+      if (confirm("Importing will replace the current map. Continue?")) {
+        loadIntoCanvas().catch((err) => {
+          console.error(`Failed to ${description}:`, err);
+          alert(`Failed to ${description}: ${err.message}`);
+        });
+      }
+      return;
+    }
+    this._runLibraryAction(description, async () => {
+      await this._saveCurrentMap();
+      await this._startNewMap(name, loadIntoCanvas);
+    });
+  }
+
+  /**
+   * Opens the map library and loads the map that was open last time.
+   *
+   * On first start after the switch to IndexedDB, the map auto-saved in localStorage
+   * (`constants.localStorageKey`) is moved into the library once. If the library is empty,
+   * a new map is created from the current (default) canvas state.
+   *
+   * If IndexedDB is not available, the user is told once that auto-save is disabled.
+   */
+  async autoLoadMap() {
+    try {
+      await this.library.open();
+      this.libraryAvailable = true;
+    } catch (err) {
+      console.error("Failed to open the map library:", err);
+      alert("The map library could not be opened (IndexedDB is unavailable or blocked). Auto-save is disabled; use Export Map to keep your work.");
+      return;
+    }
+
+    await this._enqueue(async () => {
+      const migratedId = await this._migrateLegacyAutoSave();
+      const maps = await this.library.listMaps();
+      const lastId = localStorage.getItem(constants.currentMapKey);
+      const mapToOpen = maps.find((info) => info.id === (migratedId || lastId)) || maps[0];
+
+      if (mapToOpen && await this._loadMap(mapToOpen.id)) {
+        if (mapToOpen.id === migratedId) this.lastSavedJSON = null; // Save once more to create a thumbnail
+        console.log(`Map "${mapToOpen.name}" loaded from the map library.`);
+      } else {
+        if (mapToOpen) {
+          alert(`The map "${mapToOpen.name}" could not be loaded. It was moved to "Unreadable saves" below the map list, where you can download it; a new map was started instead.`);
         }
-        // Load the data into the canvas manager
-        if (window.hudInstance) {
-          this.canvasManager.loadMapData(data);
+        const id = await this.library.createMap(constants.defaultMapName, this.canvasManager.getMapData());
+        this._setCurrentMap(id);
+        console.log("No saved map found. Started a new map.");
+      }
+    }).catch((err) => {
+      console.error("Failed to load the map library:", err);
+    });
+    this._refreshMapList();
+  }
+
+  /**
+   * Automatically saves the current map to the map library (IndexedDB), together with a thumbnail.
+   * Nothing is written if the map did not change since the last save.
+   *
+   * If saving fails (e.g. `QuotaExceededError` when the browser's storage is full), the user is
+   * alerted once, so work is not lost silently. The alert is shown again only after a successful save.
+   *
+   * @returns {Promise<void>} Resolves when the save has finished (or failed).
+   */
+  autoSaveMap() {
+    return this._enqueue(() => this._saveCurrentMap()).catch((error) => {
+      console.error("Error during auto-save:", error);
+      if (!this.saveErrorShown) {
+        this.saveErrorShown = true;
+        if (error.name === 'QuotaExceededError') {
+          alert("Auto-save failed: the browser's storage is full. Export your map (JSON) to keep your work, or delete maps you no longer need.");
+        } else {
+          alert("Auto-save failed. Export your map (JSON) to keep your work. See console for details.");
         }
-        console.log("Map loaded from auto-save.");
-      } catch (err) {
-        console.error("Failed to load saved map data:", err);
-        // Don't alert on auto-load failure, just clear bad data
-        localStorage.removeItem(constants.localStorageKey);
       }
-    } else {
-        console.log("No saved map data found in localStorage.");
+    });
+  }
+
+  /**
+   * Returns the maps in the library for display, most recently modified first.
+   *
+   * @returns {Promise<Array<Object>>} The map entries `{ id, name, thumbnail, lastModified }`,
+   * or an empty array if the library is not available.
+   */
+  async listMaps() {
+    if (!this.libraryAvailable) return [];
+    try {
+      return await this.library.listMaps();
+    } catch (err) {
+      console.error("Failed to list maps:", err);
+      return [];
     }
   }
 
   /**
-   * Exports the current map as a multi-page PDF document.
-   * 
-   * This function generates a PDF by rendering the map content onto an offscreen canvas,
-   * tiling the rendered content into pages, and saving the result as a PDF file. The user
-   * is prompted to configure export settings such as page orientation, page size, DPI, and
-   * cell size.
-   * 
-   * The export process involves:
-   * - Calculating the export scale and page dimensions based on user input.
-   * - Rendering the map content to an offscreen canvas at the specified scale.
-   * - Splitting the rendered content into tiles that fit within the page dimensions.
-   * - Adding each tile as a page in the PDF.
+   * Saves the current map and starts a new, empty one in the library.
+   * The user is asked for a name.
    */
-  exportPDF() {
-    const { jsPDF } = window.jspdf;
-    if (!jsPDF) {
-        alert("Error: jsPDF library not loaded.");
+  createMap() {
+    if (!this._checkLibrary()) return;
+    const name = prompt("Name of the new map:", constants.defaultMapName);
+    if (name === null) return; // Cancelled
+
+    this._runLibraryAction("create the map", async () => {
+      await this._saveCurrentMap();
+      await this._startNewMap(name.trim() || constants.defaultMapName, () => this.canvasManager.resetMap());
+    });
+  }
+
+  /**
+   * Saves the current map and opens another map from the library.
+   *
+   * @param {string} id - The id of the map to open.
+   */
+  switchMap(id) {
+    if (!this._checkLibrary() || id === this.currentMapId) return;
+    this._runLibraryAction("open the map", async () => {
+      await this._saveCurrentMap();
+      const previousId = this.currentMapId;
+      if (!await this._loadMap(id)) {
+        if (previousId) await this._loadMap(previousId); // Back to the map that was open
+        throw new Error("The map data is missing or invalid. It was moved to \"Unreadable saves\", where you can download it.");
+      }
+    });
+  }
+
+  /**
+   * Renames a map in the library. The user is asked for the new name.
+   *
+   * @param {string} id - The id of the map to rename.
+   */
+  renameMap(id) {
+    if (!this._checkLibrary()) return;
+    this._runLibraryAction("rename the map", async () => {
+      const info = await this.library.getMapInfo(id);
+      if (!info) return;
+      const name = prompt("New map name:", info.name);
+      if (name === null || !name.trim()) return; // Cancelled or empty
+      await this.library.renameMap(id, name.trim());
+    });
+  }
+
+  /**
+   * Copies a map in the library. The copy is named after the original and is not opened.
+   *
+   * @param {string} id - The id of the map to duplicate.
+   */
+  duplicateMap(id) {
+    if (!this._checkLibrary()) return;
+    this._runLibraryAction("duplicate the map", async () => {
+      if (id === this.currentMapId) await this._saveCurrentMap(); // Copy the latest state
+      const info = await this.library.getMapInfo(id);
+      if (!info) return;
+      await this.library.duplicateMap(id, `${info.name} (copy)`);
+    });
+  }
+
+  /**
+   * Deletes a map from the library after confirmation.
+   * If the open map is deleted, the most recently modified remaining map is opened
+   * (or a new map is started if none is left).
+   *
+   * @param {string} id - The id of the map to delete.
+   */
+  deleteMap(id) {
+    if (!this._checkLibrary()) return;
+    this._runLibraryAction("delete the map", async () => {
+      const info = await this.library.getMapInfo(id);
+      if (!info) return;
+      if (!confirm(`Are you sure you want to delete the map "${info.name}"? This cannot be undone.`)) return;
+
+      await this.library.deleteMap(id);
+      if (id !== this.currentMapId) return;
+
+      this.currentMapId = null; // Don't save the deleted map again
+      const maps = await this.library.listMaps();
+      for (const other of maps) {
+        if (await this._loadMap(other.id)) return;
+      }
+      this.canvasManager.resetMap();
+      const newId = await this.library.createMap(constants.defaultMapName, this.canvasManager.getMapData());
+      this._setCurrentMap(newId);
+    });
+  }
+
+  /**
+   * Returns the quarantined saves (saves that could not be loaded) for display, most recent first.
+   *
+   * @returns {Promise<Array<Object>>} The entries `{ id, name, quarantinedAt, errors, data }`,
+   * or an empty array if the library is not available.
+   */
+  async listQuarantine() {
+    if (!this.libraryAvailable) return [];
+    try {
+      return await this.library.listQuarantine();
+    } catch (err) {
+      console.error("Failed to list unreadable saves:", err);
+      return [];
+    }
+  }
+
+  /**
+   * Downloads a quarantined save as it was stored, so it can be repaired or opened in another version.
+   * Map data is written as JSON; unreadable auto-save text is written unchanged.
+   *
+   * @param {string} id - The id of the quarantined save.
+   */
+  downloadQuarantined(id) {
+    if (!this._checkLibrary()) return;
+    this._runLibraryAction("download the save", async () => {
+      const entry = await this.library.getQuarantined(id);
+      if (!entry) return;
+      const content = typeof entry.data === "string" ? entry.data : JSON.stringify(entry.data, null, 2);
+      const fileName = `${entry.name.replace(/[\\/:*?"<>|]+/g, "_")}_unreadable.json`;
+      this._downloadBlob(new Blob([content], { type: "application/json" }), fileName);
+    });
+  }
+
+  /**
+   * Deletes a quarantined save after confirmation.
+   *
+   * @param {string} id - The id of the quarantined save.
+   */
+  deleteQuarantined(id) {
+    if (!this._checkLibrary()) return;
+    this._runLibraryAction("delete the save", async () => {
+      const entry = await this.library.getQuarantined(id);
+      if (!entry) return;
+      if (!confirm(`Are you sure you want to delete the unreadable save "${entry.name}"? This cannot be undone.`)) return;
+      await this.library.deleteQuarantined(id);
+    });
+  }
+
+  /**
+   * Returns the prefabs of the library for display, sorted by name.
+   *
+   * @returns {Promise<Array<Object>>} The prefabs, or an empty array if the library is not available.
+   */
+  async listPrefabs() {
+    if (!this.libraryAvailable) return [];
+    try {
+      return await this.library.listPrefabs();
+    } catch (err) {
+      console.error("Failed to list prefabs:", err);
+      return [];
+    }
+  }
+
+  /**
+   * Saves the current selection as a new prefab (see `createPrefab()`). The user is asked for a name.
+   */
+  saveSelectionAsPrefab() {
+    if (!this._checkLibrary()) return;
+    const prefab = createPrefab(this.canvasManager, "");
+    if (!prefab) {
+      alert("Select the cells, walls and objects to save as a prefab first.");
+      return;
+    }
+    const name = prompt("Name of the prefab:", "Prefab");
+    if (name === null) return; // Cancelled
+    prefab.name = name.trim() || "Prefab";
+    this._runPrefabAction("save the prefab", () => this.library.addPrefab(prefab));
+  }
+
+  /**
+   * Renames a prefab. The user is asked for the new name.
+   *
+   * @param {Object} prefab - The prefab (from `listPrefabs()`).
+   */
+  renamePrefab(prefab) {
+    if (!this._checkLibrary()) return;
+    const name = prompt("New prefab name:", prefab.name);
+    if (name === null || !name.trim()) return; // Cancelled or empty
+    this._runPrefabAction("rename the prefab", async () => {
+      await this.library.renamePrefab(prefab.id, name.trim());
+      const placement = this.canvasManager.prefabPlacement;
+      if (placement.prefab?.id === prefab.id) placement.prefab = { ...placement.prefab, name: name.trim() };
+    });
+  }
+
+  /**
+   * Deletes a prefab after confirmation.
+   *
+   * @param {Object} prefab - The prefab (from `listPrefabs()`).
+   */
+  deletePrefab(prefab) {
+    if (!this._checkLibrary()) return;
+    if (!confirm(`Are you sure you want to delete the prefab "${prefab.name}"?`)) return;
+    this._runPrefabAction("delete the prefab", async () => {
+      await this.library.deletePrefab(prefab.id);
+      if (this.canvasManager.prefabPlacement.prefab?.id === prefab.id) {
+        this.canvasManager.setPrefabPlacement({ prefab: null });
+      }
+    });
+  }
+
+  /**
+   * Exports all prefabs of the library as a prefab pack (JSON, see `createPrefabPack()`).
+   */
+  exportPrefabPack() {
+    if (!this._checkLibrary()) return;
+    this._runPrefabAction("export the prefabs", async () => {
+      const prefabs = await this.library.listPrefabs();
+      if (prefabs.length === 0) {
+        alert("There are no prefabs to export.");
         return;
+      }
+      const blob = new Blob([JSON.stringify(createPrefabPack(prefabs))], { type: "application/json" });
+      const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+      this._downloadBlob(blob, `${constants.prefabPackFileName}_${timestamp}.json`);
+      console.log(`${prefabs.length} prefab(s) exported.`);
+    });
+  }
+
+  /**
+   * Imports the prefabs of a prefab pack into the library (in addition to the existing ones).
+   */
+  importPrefabPack() {
+    if (!this._checkLibrary()) return;
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.addEventListener("change", async (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      let prefabs;
+      try {
+        prefabs = readPrefabPack(JSON.parse(await file.text()));
+      } catch (err) {
+        console.error("Error reading prefab pack:", err);
+        alert(`Failed to import the prefab pack: ${err.message}`);
+        return;
+      }
+      this._runPrefabAction("import the prefabs", async () => {
+        for (const prefab of prefabs) await this.library.addPrefab(prefab);
+        console.log(`${prefabs.length} prefab(s) imported.`);
+      });
+    });
+    input.click();
+  }
+
+  /**
+   * Returns the images of the asset library, sorted by category and name.
+   *
+   * @returns {Promise<Array<Object>>} The entries `{ id, name, category, src, added }`, or an empty
+   * array if the library is not available.
+   */
+  async listLibraryAssets() {
+    if (!this.libraryAvailable) return [];
+    try {
+      return await this.library.listAssets();
+    } catch (err) {
+      console.error("Failed to list library assets:", err);
+      return [];
     }
+  }
 
-    // Configuration Prompts
-    // TODO: Use a modal dialog instead of prompts for better UX
-    let pageOrientation = prompt("Page orientation (portrait or landscape):", "landscape")?.toLowerCase();
-    pageOrientation = (pageOrientation === "portrait") ? "portrait" : "landscape";
+  /**
+   * Lets the user pick image files and adds them to the asset library, named after the files.
+   *
+   * @param {string} category - The category of the new images (see `constants.assetCategories`).
+   */
+  pickLibraryAssets(category) {
+    if (!this._checkLibrary()) return;
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "image/*";
+    input.multiple = true;
+    input.addEventListener("change", async (event) => {
+      const files = Array.from(event.target.files);
+      if (files.length === 0) return;
+      try {
+        const images = await Promise.all(files.map((file) => new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve({ name: file.name.replace(/\.[^.]+$/, ""), src: reader.result });
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(file);
+        })));
+        this.addLibraryAssets(images, category);
+      } catch (err) {
+        console.error("Error reading images:", err);
+        alert(`Failed to read the images: ${err.message}`);
+      }
+    });
+    input.click();
+  }
 
-    let pageSizeInput = prompt("Page size (A4 or A3):", "A4")?.toUpperCase();
-    pageSizeInput = (pageSizeInput === "A3") ? "A3" : "A4";
+  /**
+   * Adds images to the asset library. Images already in the library get the new name and category.
+   *
+   * @param {Array<Object>} images - `[{ name, src }]`.
+   * @param {string} category - The category (see `constants.assetCategories`).
+   */
+  addLibraryAssets(images, category) {
+    if (!this._checkLibrary()) return;
+    this._runAssetAction("add the images to the asset library", async () => {
+      for (const image of images) await this.library.addAsset(image.src, image.name, category);
+      console.log(`${images.length} image(s) added to the asset library.`);
+    });
+  }
+
+  /**
+   * Renames an asset library image. The user is asked for the new name.
+   *
+   * @param {Object} asset - The entry (from `listLibraryAssets()`).
+   */
+  renameLibraryAsset(asset) {
+    if (!this._checkLibrary()) return;
+    const name = prompt("New image name:", asset.name);
+    if (name === null || !name.trim()) return; // Cancelled or empty
+    this._runAssetAction("rename the image", () => this.library.updateAsset(asset.id, { name: name.trim() }));
+  }
+
+  /**
+   * Moves an asset library image to another category.
+   *
+   * @param {Object} asset - The entry (from `listLibraryAssets()`).
+   * @param {string} category - The new category.
+   */
+  setLibraryAssetCategory(asset, category) {
+    if (!this._checkLibrary()) return;
+    this._runAssetAction("change the category", () => this.library.updateAsset(asset.id, { category }));
+  }
 
-    let dpiInput = prompt("Printer DPI (e.g., 150, 300):", "300");
-    let dpi = parseInt(dpiInput, 10);
-    if (isNaN(dpi) || dpi <= 0) dpi = 300; // Default DPI
+  /**
+   * Deletes an image from the asset library after confirmation. Maps using it are not affected.
+   *
+   * @param {Object} asset - The entry (from `listLibraryAssets()`).
+   */
+  deleteLibraryAsset(asset) {
+    if (!this._checkLibrary()) return;
+    if (!confirm(`Are you sure you want to remove "${asset.name}" from the asset library?`)) return;
+    this._runAssetAction("delete the image", () => this.library.deleteAsset(asset.id));
+  }
 
-    let cellSizeCmInput = prompt("Desired cell size on paper (cm):", "3");
-    let cellSizeCm = parseFloat(cellSizeCmInput);
-    if (isNaN(cellSizeCm) || cellSizeCm <= 0) cellSizeCm = 3; // Default size (approx 1 inch)
+  /**
+   * Runs a prefab action like `_runLibraryAction()` and refreshes the prefab list in the HUD afterwards.
+   *
+   * @param {string} description - What the action does (used in the error message).
+   * @param {Function} action - An async function performing the action.
+   */
+  _runPrefabAction(description, action) {
+    this._enqueue(action)
+      .catch((err) => {
+        console.error(`Failed to ${description}:`, err);
+        alert(`Failed to ${description}: ${err.message}`);
+      })
+      .then(() => {
+        if (window.hudInstance) window.hudInstance.updatePrefabList();
+      });
+  }
 
-    // Export scale: pixels per logical cell unit
-    const exportScale = (cellSizeCm / 2.54) * dpi; // px per logical cell
+  /**
+   * Runs an asset library action like `_runLibraryAction()` and refreshes the asset library in the HUD afterwards.
+   *
+   * @param {string} description - What the action does (used in the error message).
+   * @param {Function} action - An async function performing the action.
+   */
+  _runAssetAction(description, action) {
+    this._enqueue(action)
+      .catch((err) => {
+        console.error(`Failed to ${description}:`, err);
+        alert(`Failed to ${description}: ${err.message}`);
+      })
+      .then(() => {
+        if (window.hudInstance) window.hudInstance.updateAssetLibrary();
+      });
+  }
 
-    // Page dimensions in mm
-    const pageSizesMM = constants.pageSizesMM;
-    let pageSizeMM = pageSizesMM[pageSizeInput];
-    if (pageOrientation === "landscape") {
-      [pageSizeMM.width, pageSizeMM.height] = [pageSizeMM.height, pageSizeMM.width]; // Swap width/height
+  /**
+   * Alerts the user if the map library is not available.
+   *
+   * @returns {boolean} `true` if the library can be used.
+   */
+  _checkLibrary() {
+    if (!this.libraryAvailable) {
+      alert("The map library is not available in this browser.");
+      return false;
     }
+    return true;
+  }
 
-    // Page dimensions in pixels
-    const pxPerMm = dpi / 25.4;
-    const pageWidthPx = Math.floor(pageSizeMM.width * pxPerMm);
-    const pageHeightPx = Math.floor(pageSizeMM.height * pxPerMm);
-    if (pageWidthPx <= 0 || pageHeightPx <= 0) {
-        alert("Error: Calculated page dimensions are invalid. Check DPI and page size.");
+  /**
+   * Runs a library action after any pending library operations, reports errors to the user
+   * and refreshes the map list in the HUD afterwards.
+   *
+   * @param {string} description - What the action does (used in the error message, e.g. "rename the map").
+   * @param {Function} action - An async function performing the action.
+   */
+  _runLibraryAction(description, action) {
+    this._enqueue(action)
+      .catch((err) => {
+        console.error(`Failed to ${description}:`, err);
+        alert(`Failed to ${description}: ${err.message}`);
+      })
+      .then(() => this._refreshMapList());
+  }
+
+  /**
+   * Queues a library operation so that saves, loads and map switches never overlap
+   * (otherwise an auto-save could write one map's data under another map's id).
+   *
+   * @param {Function} task - An async function.
+   * @returns {Promise<*>} The result of the task.
+   */
+  _enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {}); // Keep the queue going after a failure
+    return run;
+  }
+
+  /**
+   * Writes the current map to the library if it changed since the last save.
+   */
+  async _saveCurrentMap() {
+    if (!this.libraryAvailable || !this.currentMapId) return;
+    const mapData = this.canvasManager.getMapData();
+    const mapJSON = JSON.stringify(mapData);
+    if (mapJSON === this.lastSavedJSON) return; // Nothing changed
+
+    const thumbnail = this.canvasManager.createThumbnail(constants.thumbnailSize);
+    await this.library.saveMap(this.currentMapId, mapData, thumbnail);
+    this.lastSavedJSON = mapJSON;
+    this.saveErrorShown = false;
+    this._refreshMapList();
+  }
+
+  /**
+   * Loads a map from the library into the canvas and makes it the current map.
+   * Data that does not match its save format schema (see `checkMapData()`) or fails to load
+   * is moved to quarantine, so it is neither half-loaded nor lost.
+   *
+   * @param {string} id - The map id.
+   * @returns {Promise<boolean>} `true` if the map was loaded, `false` if its data is missing or invalid.
+   */
+  async _loadMap(id) {
+    const checked = checkMapData(await this.library.getMapData(id));
+    let errors = checked.errors;
+    if (errors.length === 0) {
+      try {
+        this.canvasManager.loadMapData(checked.data);
+      } catch (err) {
+        errors = [`Loading failed: ${err.message}`];
+        this.canvasManager.resetMap(); // Don't keep a half-loaded map
+      }
+    }
+    if (errors.length > 0) {
+      console.error(`Map ${id} cannot be loaded and is moved to quarantine:`, errors);
+      await this.library.quarantineMap(id, errors);
+      return false;
+    }
+    this._setCurrentMap(id);
+    return true;
+  }
+
+  /**
+   * Remembers which map is open (also across page reloads).
+   * The current canvas state counts as saved.
+   *
+   * @param {string} id - The map id.
+   */
+  _setCurrentMap(id) {
+    this.currentMapId = id;
+    localStorage.setItem(constants.currentMapKey, id);
+    this.lastSavedJSON = JSON.stringify(this.canvasManager.getMapData());
+  }
+
+  /**
+   * Replaces the canvas with a new map, adds it to the library and makes it the current map.
+   * If anything fails, the previous map is loaded back, so the current map id never points at
+   * content that is not its own (the next auto-save would write it over the previous map).
+   *
+   * @param {string} name - Name of the new map.
+   * @param {Function} replace - Replaces the canvas content; may be async.
+   */
+  async _startNewMap(name, replace) {
+    const previousData = this.canvasManager.getMapData();
+    try {
+      await replace();
+      const id = await this.library.createMap(name, this.canvasManager.getMapData());
+      this._setCurrentMap(id);
+    } catch (err) {
+      this.canvasManager.loadMapData(previousData);
+      throw err;
+    }
+  }
+
+  /**
+   * Moves the map auto-saved by older versions in localStorage into the map library.
+   * The localStorage entry is removed only after it was written to the library,
+   * so this happens exactly once. Unreadable data is moved to quarantine as it was found.
+   *
+   * @returns {Promise<string|null>} The id of the migrated map, or `null` if there was nothing to migrate.
+   */
+  async _migrateLegacyAutoSave() {
+    const saved = localStorage.getItem(constants.localStorageKey);
+    if (!saved) return null;
+    console.log("Found saved map data in localStorage. Moving it to the map library.");
+
+    let checked;
+    try {
+      checked = checkMapData(JSON.parse(saved));
+    } catch (err) {
+      checked = { errors: [`The saved data is not valid JSON: ${err.message}`] };
+    }
+    if (checked.errors.length > 0) {
+      console.error("The saved map data cannot be loaded and is moved to quarantine:", checked.errors);
+      await this.library.addToQuarantine(`${constants.defaultMapName} (auto-save)`, saved, checked.errors);
+      localStorage.removeItem(constants.localStorageKey);
+      alert("The auto-saved map could not be read. It was moved to \"Unreadable saves\" below the map list, where you can download it.");
+      return null;
+    }
+
+    const id = await this.library.createMap(constants.defaultMapName, checked.data);
+    localStorage.removeItem(constants.localStorageKey);
+    console.log("Saved map moved to the map library.");
+    return id;
+  }
+
+  /**
+   * Updates the map list in the HUD, if there is one.
+   */
+  _refreshMapList() {
+    if (window.hudInstance) {
+      window.hudInstance.updateMapList();
+    }
+  }
+
+  /**
+   * Exports the current map as a multi-page PDF document.
+   * 
+   * This function generates a PDF by rendering each page's region of the map separately
+   * (so memory use does not grow with the map size) and saving the result as a PDF file. The settings
+   * (page orientation, page size, DPI, cell size, margins, overlap, marks, index page) come from
+   * the PDF export dialog.
+   * 
+   * The export process involves:
+   * - Calculating the export scale, page dimensions and tiles (see `computePdfLayout()`).
+   * - Optionally adding an assembly index page with a miniature of the map and the page grid.
+   * - Rendering each tile (the page area inside the printer margins; adjacent tiles overlap)
+   *   by translating `drawAll()` to the tile's region, on a single reused canvas.
+   * - Adding each tile as a page in the PDF (at its physical size), with crop/alignment marks.
+   *
+   * A progress dialog is shown while pages are rendered; cancelling it stops the export
+   * without saving a file.
+   *
+   * @param {Object} settings - The export settings (see `normalizePdfSettings()`).
+   * @returns {Promise<void>} Resolves when the PDF was saved, the export failed or was cancelled.
+   */
+  async exportPDF(settings) {
+    const { jsPDF } = window.jspdf;
+    if (!jsPDF) {
+        alert("Error: jsPDF library not loaded.");
         return;
     }
 
+    settings = normalizePdfSettings(settings);
+    const pageOrientation = settings.orientation;
+    const pageSizeInput = settings.pageSize;
+
     // Get map content bounds in logical units
     const bbox = this.canvasManager.getLogicalBoundingBox();
     if (bbox.width <= 0 || bbox.height <= 0) {
@@ -205,9 +1083,16 @@ export class StorageManager {
     const logicalWidth = bbox.width;
     const logicalHeight = bbox.height;
 
-    // Total export image dimensions in pixels
-    const exportWidthPx = Math.ceil(logicalWidth * exportScale);
-    const exportHeightPx = Math.ceil(logicalHeight * exportScale);
+    const layout = computePdfLayout(settings, bbox);
+    const { exportScale, pageWidthPx, pageHeightPx, exportWidthPx, exportHeightPx } = layout;
+    if (layout.error) {
+        alert(`Error: ${layout.error}`);
+        return;
+    }
+    if (pageWidthPx <= 0 || pageHeightPx <= 0) {
+        alert("Error: Calculated page dimensions are invalid. Check DPI and page size.");
+        return;
+    }
     if (exportWidthPx <= 0 || exportHeightPx <= 0) {
         alert("Error: Calculated export dimensions are invalid. Check map content and export settings.");
         return;
@@ -218,99 +1103,244 @@ export class StorageManager {
     console.log(`Total export size: ${exportWidthPx} x ${exportHeightPx} px`);
     console.log(`Page size: ${pageWidthPx} x ${pageHeightPx} px (${pageSizeInput} ${pageOrientation})`);
 
-    // Offscreen Rendering
-    const offCanvas = document.createElement("canvas");
-    offCanvas.width = exportWidthPx;
-    offCanvas.height = exportHeightPx;
-    const offCtx = offCanvas.getContext("2d");
-    if (!offCtx) {
-        alert("Error: Could not create offscreen canvas context.");
-        return;
-    }
+    // PDF Generation & Tiling
+    const { pageSizeMM, pxPerMm, marginPx, tileWidthPx, tileHeightPx, stepXPx, stepYPx } = layout;
+    const marginMm = marginPx / pxPerMm;
+    const pdf = new jsPDF({
+      orientation: pageOrientation,
+      unit: "mm", // Real page size, so the map prints at the chosen cell size
+      format: [pageSizeMM.width, pageSizeMM.height],
+    });
 
-    // Set background for the entire offscreen canvas (optional, helps with transparency)
-    offCtx.fillStyle = '#FFFFFF'; // White background
-    offCtx.fillRect(0, 0, offCanvas.width, offCanvas.height);
+    const { pagesX, pagesY, pageCount: totalPages } = layout;
+    let pagesAdded = 0; // jsPDF starts with one empty page
+    const nextPage = () => {
+      if (pagesAdded > 0) pdf.addPage([pageSizeMM.width, pageSizeMM.height], pageOrientation);
+      pagesAdded++;
+    };
 
-    // Prepare transformation for drawing using logical coordinates
-    offCtx.save();
-    offCtx.scale(exportScale, exportScale); // Scale up logical units to pixels
-    offCtx.translate(-bbox.minX, -bbox.minY); // Translate origin to top-left of bbox
+    const progress = this.progressDialog;
+    try {
+      progress.start("Exporting PDF", totalPages + (settings.indexPage ? 1 : 0));
 
-    // Draw the entire scene using logical coordinates onto the offscreen canvas
-    this.canvasManager.drawAll(offCtx, exportScale); // Pass scale if needed by drawAll
+      // Assembly index page
+      if (settings.indexPage) {
+        progress.update(0, "Index page");
+        await nextFrame();
+        nextPage();
+        try {
+          this._addPdfIndexPage(pdf, layout, bbox);
+        } catch (indexError) {
+          console.error("Error creating the PDF index page:", indexError);
+          pdf.setTextColor(255, 0, 0);
+          pdf.text("Error rendering the index page", 20, 20);
+        }
+      }
 
-    offCtx.restore(); // Restore context state
+      console.log(`Tiling into ${pagesX} x ${pagesY} = ${totalPages} pages.`);
 
-    // PDF Generation & Tiling
-    console.log("Rendering complete. Generating PDF...");
-    const pdf = new jsPDF({
-      orientation: pageOrientation,
-      unit: "px", // Use pixels for page dimensions and image placement
-      format: [pageWidthPx, pageHeightPx],
-      // hotfixes: ['px_scaling'], // May be needed for some jsPDF versions/browsers
-    });
+      // Raster: one canvas, reused for every tile, so memory use depends on the page size, not the map size.
+      // Vector: shapes are written directly, images are embedded once and shared by all pages.
+      const tileCanvas = document.createElement('canvas');
+      const vectorRenderer = settings.output === "vector" ? new PdfVectorRenderer(this.canvasManager, pdf, exportScale) : null;
+
+      // Add map pages
+      for (let py = 0; py < pagesY; py++) {
+        for (let px = 0; px < pagesX; px++) {
+          const pageNum = py * pagesX + px + 1;
+          progress.update(pagesAdded, `Page ${pageNum} of ${totalPages}`);
+          await nextFrame(); // Let the progress bar repaint and the cancel button respond
+          if (progress.cancelled) {
+            console.log("PDF export cancelled.");
+            return;
+          }
+          console.log(`Adding page ${pageNum}/${totalPages}...`);
 
-    const pagesX = Math.ceil(exportWidthPx / pageWidthPx);
-    const pagesY = Math.ceil(exportHeightPx / pageHeightPx);
-    const totalPages = pagesX * pagesY;
+          // Calculate the region of the map in pixels (tiles overlap by `overlapPx`)
+          const sx = px * stepXPx;
+          const sy = py * stepYPx;
+          const sWidth = Math.min(tileWidthPx, exportWidthPx - sx);
+          const sHeight = Math.min(tileHeightPx, exportHeightPx - sy);
 
-    console.log(`Tiling into ${pagesX} x ${pagesY} = ${totalPages} pages.`);
+          if (sWidth <= 0 || sHeight <= 0) continue; // Skip if tile has no dimensions
 
-    // Add map pages
-    for (let py = 0; py < pagesY; py++) {
-      for (let px = 0; px < pagesX; px++) {
-        const pageNum = py * pagesX + px + 1;
-        console.log(`Adding page ${pageNum}/${totalPages}...`);
+          nextPage();
+          try {
+              // The tile inside the printer margins, at its physical size
+              const tile = { x: marginMm, y: marginMm, width: sWidth / pxPerMm, height: sHeight / pxPerMm };
 
-        // Calculate source region on the offscreen canvas
-        const sx = px * pageWidthPx;
-        const sy = py * pageHeightPx;
-        const sWidth = Math.min(pageWidthPx, exportWidthPx - sx);
-        const sHeight = Math.min(pageHeightPx, exportHeightPx - sy);
+              if (vectorRenderer) {
+                const region = {
+                  minX: bbox.minX + sx / exportScale,
+                  minY: bbox.minY + sy / exportScale,
+                  width: sWidth / exportScale,
+                  height: sHeight / exportScale,
+                };
+                vectorRenderer.drawTile(region, tile);
+              } else {
+                // Render only this tile's region of the map
+                tileCanvas.width = sWidth; // Also clears the canvas
+                tileCanvas.height = sHeight;
+                const tileCtx = tileCanvas.getContext('2d');
+                if (!tileCtx) throw new Error("Could not create the tile canvas context.");
 
-        if (sWidth <= 0 || sHeight <= 0) continue; // Skip if tile has no dimensions
+                tileCtx.fillStyle = '#FFFFFF'; // White background
+                tileCtx.fillRect(0, 0, sWidth, sHeight);
+                tileCtx.save();
+                tileCtx.scale(exportScale, exportScale); // Scale up logical units to pixels
+                // Translate origin so that the tile's top-left corner is at (0,0)
+                tileCtx.translate(-(bbox.minX + sx / exportScale), -(bbox.minY + sy / exportScale));
+                this.canvasManager.drawAll(tileCtx, exportScale);
+                tileCtx.restore();
 
-        try {
-            // Create a temporary canvas for the tile to get Data URL
-            // This avoids potential issues with drawImage directly from large offscreen canvas in jsPDF
-            const tileCanvas = document.createElement('canvas');
-            tileCanvas.width = sWidth;
-            tileCanvas.height = sHeight;
-            const tileCtx = tileCanvas.getContext('2d');
-            tileCtx.drawImage(offCanvas, sx, sy, sWidth, sHeight, 0, 0, sWidth, sHeight);
-            const tileImgData = tileCanvas.toDataURL("image/png"); // Use PNG for lossless
-
-            if (px > 0 || py > 0) {
-              pdf.addPage([pageWidthPx, pageHeightPx], pageOrientation);
-            }
-            // Add image to PDF page at top-left (0,0) with its actual dimensions
-            pdf.addImage(tileImgData, "PNG", 0, 0, sWidth, sHeight, undefined, 'FAST'); // Use 'FAST' compression
-
-            // Add page number/coordinates (optional)
-            pdf.setFontSize(8);
-            pdf.setTextColor(150);
-            pdf.text(`Page ${pageNum} (${px + 1},${py + 1})`, 5, pageHeightPx - 5);
-
-        } catch (tileError) {
-            console.error(`Error processing tile for page ${pageNum}:`, tileError);
-            alert(`Error creating PDF page ${pageNum}. The export might be incomplete.`);
-            // Optionally add a blank page or error message in the PDF
-            if (px > 0 || py > 0) pdf.addPage();
-            pdf.setTextColor(255, 0, 0);
-            pdf.text(`Error rendering page ${pageNum}`, 20, 20);
+                const tileImgData = tileCanvas.toDataURL("image/png"); // Use PNG for lossless
+                pdf.addImage(tileImgData, "PNG", tile.x, tile.y, tile.width, tile.height, undefined, 'FAST'); // Use 'FAST' compression
+              }
+
+              if (settings.cropMarks) {
+                this._addPdfMarks(pdf, layout, tile, px, py);
+              }
+
+              // Add page number/coordinates in the bottom margin
+              pdf.setFontSize(8);
+              pdf.setTextColor(150);
+              const labelY = marginMm >= 4 ? pageSizeMM.height - marginMm / 2 + 1 : pageSizeMM.height - 2;
+              pdf.text(`Page ${pageNum} of ${totalPages} (column ${px + 1}, row ${py + 1})`, pageSizeMM.width / 2, labelY, { align: "center" });
+
+          } catch (tileError) {
+              console.error(`Error processing tile for page ${pageNum}:`, tileError);
+              alert(`Error creating PDF page ${pageNum}. The export might be incomplete.`);
+              // Add an error message on the page instead of the tile
+              pdf.setTextColor(255, 0, 0);
+              pdf.text(`Error rendering page ${pageNum}`, 20, 20);
+          }
         }
       }
+      progress.update(pagesAdded, "Saving...");
+      await nextFrame();
+
+      // Attach the map data, so importMap() can open the PDF again
+      try {
+          const mapData = this.canvasManager.getMapData();
+          mapData.appName = "OpenMapCreator"; // Identify the app
+          embedMapInPDF(pdf, mapData);
+      } catch (embedError) {
+          console.error("Error attaching the map data to the PDF:", embedError);
+      }
+
+      // Save PDF
+      try {
+          const timestamp = new Date().toISOString().slice(0, 10);
+          pdf.save(`${constants.mapPDFFileName}_${timestamp}.pdf`);
+          console.log("PDF saved successfully.");
+      } catch (saveError) {
+          console.error("Error saving PDF:", saveError);
+          alert("Failed to save the PDF file. See console for details.");
+      }
+    } finally {
+      progress.finish(); // Also on cancel and on errors, so the dialog never stays open
     }
+  }
 
-    // Save PDF
-    try {
-        const timestamp = new Date().toISOString().slice(0, 10);
-        pdf.save(`${constants.mapPDFFileName}_${timestamp}.pdf`);
-        console.log("PDF saved successfully.");
-    } catch (saveError) {
-        console.error("Error saving PDF:", saveError);
-        alert("Failed to save the PDF file. See console for details.");
+  /**
+   * Draws crop marks at the corners of a printed tile and alignment marks where it overlaps
+   * its neighbours. Marks are drawn in the page margin, so they need a margin of at least 2 mm.
+   *
+   * The alignment marks of two adjacent pages point at the same spot of the map, so lining them up
+   * aligns the sheets.
+   *
+   * @param {jsPDF} pdf - The document (unit "mm"), with the tile page being the current page.
+   * @param {Object} layout - The layout from `computePdfLayout()`.
+   * @param {Object} tile - The printed tile area in mm `{ x, y, width, height }`.
+   * @param {number} px - The tile column (0-based).
+   * @param {number} py - The tile row (0-based).
+   */
+  _addPdfMarks(pdf, layout, tile, px, py) {
+    const marginMm = layout.marginPx / layout.pxPerMm;
+    const gap = 1; // mm between the image and a mark
+    const length = Math.min(5, marginMm - gap);
+    if (length < 1) return; // No room in the margin
+
+    const left = tile.x, top = tile.y;
+    const right = tile.x + tile.width, bottom = tile.y + tile.height;
+
+    pdf.setLineWidth(0.1);
+    pdf.setDrawColor(0);
+    // Crop marks: two short lines outside each corner
+    [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+      pdf.line(x + dx * gap, y, x + dx * (gap + length), y);
+      pdf.line(x, y + dy * gap, x, y + dy * (gap + length));
+    });
+
+    if (layout.overlapPx <= 0) return;
+
+    // Alignment marks: where this tile's overlap strips begin/end
+    const overlapMm = layout.overlapPx / layout.pxPerMm;
+    const stepXMm = layout.stepXPx / layout.pxPerMm;
+    const stepYMm = layout.stepYPx / layout.pxPerMm;
+    const markXs = [];
+    const markYs = [];
+    if (px > 0) markXs.push(left + overlapMm); // End of the strip shared with the left page
+    if (px < layout.pagesX - 1) markXs.push(left + stepXMm); // Start of the strip shared with the right page
+    if (py > 0) markYs.push(top + overlapMm);
+    if (py < layout.pagesY - 1) markYs.push(top + stepYMm);
+
+    pdf.setDrawColor(208, 0, 0);
+    markXs.forEach((x) => {
+      pdf.line(x, top - gap, x, top - gap - length);
+      pdf.line(x, bottom + gap, x, bottom + gap + length);
+    });
+    markYs.forEach((y) => {
+      pdf.line(left - gap, y, left - gap - length, y);
+      pdf.line(right + gap, y, right + gap + length, y);
+    });
+    pdf.setDrawColor(0);
+  }
+
+  /**
+   * Fills the current PDF page with an assembly index: a miniature of the whole map
+   * with the page tiles and their numbers on top.
+   *
+   * @param {jsPDF} pdf - The document (unit "mm"), with the index page being the current page.
+   * @param {Object} layout - The layout from `computePdfLayout()`.
+   * @param {Object} bbox - The logical bounding box of the map.
+   */
+  _addPdfIndexPage(pdf, layout, bbox) {
+    const { pageSizeMM } = layout;
+    const marginMm = Math.max(layout.marginPx / layout.pxPerMm, 5);
+    const titleHeight = 12; // mm
+
+    pdf.setFontSize(14);
+    pdf.setTextColor(0);
+    pdf.text(`Assembly index: ${layout.pageCount} pages (${layout.pagesX} across, ${layout.pagesY} down)`, marginMm, marginMm + 5);
+    if (layout.overlapPx > 0) {
+      pdf.setFontSize(9);
+      pdf.text(`Adjacent pages overlap by ${(layout.overlapPx / layout.pxPerMm).toFixed(1)} mm. Line up the red marks in the margins.`, marginMm, marginMm + 10);
     }
+
+    // Render the miniature at a moderate resolution
+    const indexPxPerMm = Math.min(layout.pxPerMm, 150 / 25.4);
+    const areaWidth = (pageSizeMM.width - 2 * marginMm) * indexPxPerMm;
+    const areaHeight = (pageSizeMM.height - 2 * marginMm - titleHeight) * indexPxPerMm;
+    const tilesWidth = (layout.pagesX - 1) * layout.stepCellsX + layout.tileCellsX;
+    const tilesHeight = (layout.pagesY - 1) * layout.stepCellsY + layout.tileCellsY;
+    const scale = Math.min(areaWidth / tilesWidth, areaHeight / tilesHeight); // px per cell
+
+    const indexCanvas = document.createElement("canvas");
+    indexCanvas.width = Math.max(1, Math.ceil(tilesWidth * scale));
+    indexCanvas.height = Math.max(1, Math.ceil(tilesHeight * scale));
+    const indexCtx = indexCanvas.getContext("2d");
+    indexCtx.fillStyle = "#FFFFFF";
+    indexCtx.fillRect(0, 0, indexCanvas.width, indexCanvas.height);
+
+    indexCtx.save();
+    indexCtx.scale(scale, scale);
+    indexCtx.translate(-bbox.minX, -bbox.minY);
+    this.canvasManager.drawAll(indexCtx, scale);
+    indexCtx.restore();
+    drawPageTiles(indexCtx, layout, 0, 0, scale);
+
+    pdf.addImage(indexCanvas.toDataURL("image/png"), "PNG", marginMm, marginMm + titleHeight,
+                 indexCanvas.width / indexPxPerMm, indexCanvas.height / indexPxPerMm, undefined, 'FAST');
   }
 }
@@ -0,0 +1,323 @@
+import { constants } from "./constants.js";
+
+/**
+ * Builds an SVG document of the whole map, walking the same data as `CanvasManager.drawAll()`.
+ *
+ * Coordinates are editor pixels (one cell is `currentCellSize` units), so the file opens at the
+ * size the map has in the editor at 100% zoom. The document is structured for editing in Inkscape:
+ *
+ * - "Background": the empty cell fill and pattern, the grid lines and background custom objects.
+ * - One group per layer, named after it (an Inkscape layer), holding its shadows, borders, cells and
+ *   (in a "Walls" group) its edges.
+ *   Hidden layers are included but not displayed.
+ * - "Free Draw" and "Objects": free-draw stamps and the other custom objects.
+ *
+ * Every image is stored once in `<defs>` as a 1×1 `<image>` and placed with `<use>`, scaled and
+ * rotated by its transform. Shadows are approximated by one path per layer: each cell swept along
+ * the shadow offset, in a group with the shadow opacity so overlaps do not darken.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @returns {string} The SVG document.
+ */
+export function createMapSVG(canvasManager) {
+  const cm = canvasManager;
+  const cs = cm.currentCellSize;
+  const bbox = cm.getLogicalBoundingBox();
+  const minX = bbox.minX * cs, minY = bbox.minY * cs;
+  const width = bbox.width * cs, height = bbox.height * cs;
+  const lineWidth = num(0.02 * cs); // Same logical line width as drawAll()
+
+  const images = new SvgImages();
+  const content = [];
+
+  // Background
+  const background = [];
+  const emptyFill = cm.emptyCellSettings.fillColor || constants.defaultEmptyCellFillColor;
+  const emptyBorder = cm.emptyCellSettings.borderColor || constants.defaultEmptyCellBorderColor;
+  background.push(`<rect x="${num(minX)}" y="${num(minY)}" width="${num(width)}" height="${num(height)}" ${paint("fill", emptyFill)}/>`);
+  if (cm.emptyCellSettings.patternSrc) {
+    // The editor draws the pattern once per cell
+    const href = escapeXML(cm.emptyCellSettings.patternSrc);
+    images.defs.push(`<pattern id="emptyCellPattern" patternUnits="userSpaceOnUse" width="${cs}" height="${cs}">` +
+      `<image width="${cs}" height="${cs}" preserveAspectRatio="none" xlink:href="${href}"/></pattern>`);
+    background.push(`<rect x="${num(minX)}" y="${num(minY)}" width="${num(width)}" height="${num(height)}" fill="url(#emptyCellPattern)"/>`);
+  }
+  const gridPath = [];
+  for (let x = Math.ceil(bbox.minX); x < bbox.maxX; x++) gridPath.push(`M${num(x * cs)} ${num(minY)}V${num(minY + height)}`);
+  for (let y = Math.ceil(bbox.minY); y < bbox.maxY; y++) gridPath.push(`M${num(minX)} ${num(y * cs)}H${num(minX + width)}`);
+  if (gridPath.length > 0) {
+    background.push(`<path d="${gridPath.join("")}" fill="none" ${paint("stroke", emptyBorder)} stroke-width="${lineWidth}"/>`);
+  }
+  cm.customObjects.forEach((obj) => {
+    if (obj.background) background.push(customObjectSVG(obj, images));
+  });
+  content.push(group("Background", background));
+
+  // Layers
+  cm.layers.forEach((layer, index) => {
+    const elements = [];
+    const shadow = shadowSVG(cm, layer, `shadowMask${index}`, images.defs);
+    if (shadow) elements.push(shadow);
+    if (cm.gridBorderOptions.enabled && cm.gridBorderOptions.imageSrc) {
+      elements.push(...bordersSVG(cm, layer, images));
+    }
+    layer.objects.forEach((cell) => {
+      const x = num(cell.x * cs), y = num(cell.y * cs);
+      if (cell.type === "image" && cell.imageSrc) {
+        elements.push(images.use(cell.imageSrc, `translate(${x} ${y}) scale(${cs})`));
+        elements.push(`<rect x="${x}" y="${y}" width="${cs}" height="${cs}" fill="none" ${paint("stroke", cell.borderColor)} stroke-width="${lineWidth}"/>`);
+      } else {
+        elements.push(`<rect x="${x}" y="${y}" width="${cs}" height="${cs}" ${paint("fill", cell.fillColor)} ${paint("stroke", cell.borderColor)} stroke-width="${lineWidth}"/>`);
+      }
+    });
+    if (layer.edges.size > 0) {
+      const walls = [];
+      layer.edges.forEach((edge) => walls.push(edgeSVG(edge, cs)));
+      elements.push(`<g inkscape:label="Walls">\n${walls.join("\n")}\n</g>`);
+    }
+    content.push(group(layer.name, elements, layer.visible === false));
+  });
+
+  // Free-draw stamps
+  const freeDraw = [];
+  cm.freeDrawObjects.forEach((obj) => {
+    const src = obj.image?.src;
+    if (src) {
+      freeDraw.push(images.use(src, `translate(${num(obj.x - obj.size / 2)} ${num(obj.y - obj.size / 2)}) scale(${num(obj.size)})`));
+    } else {
+      freeDraw.push(`<circle cx="${num(obj.x)}" cy="${num(obj.y)}" r="${num(obj.size / 2)}" ${paint("fill", obj.fillColor)} ${paint("stroke", obj.strokeColor)} stroke-width="${lineWidth}"/>`);
+    }
+  });
+  content.push(group("Free Draw", freeDraw));
+
+  // Custom objects
+  const objects = [];
+  cm.customObjects.forEach((obj) => {
+    if (!obj.background) objects.push(customObjectSVG(obj, images));
+  });
+  content.push(group("Objects", objects));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${num(width)}" height="${num(height)}" viewBox="${num(minX)} ${num(minY)} ${num(width)} ${num(height)}">
+<defs>
+${images.defs.join("\n")}
+</defs>
+${content.join("\n")}
+</svg>
+`;
+}
+
+/**
+ * Collects the images of the document in `<defs>`, one `<image>` per source.
+ */
+class SvgImages {
+  constructor() {
+    this.defs = [];
+    this.ids = new Map(); // src -> id
+  }
+
+  /**
+   * @param {string} src - The image source (data URL or URL).
+   * @param {string} transform - Places the 1×1 image (translate, rotate, scale).
+   * @returns {string} A `<use>` element showing the image.
+   */
+  use(src, transform) {
+    if (!this.ids.has(src)) {
+      const id = `image${this.ids.size}`;
+      this.ids.set(src, id);
+      this.defs.push(`<image id="${id}" width="1" height="1" preserveAspectRatio="none" xlink:href="${escapeXML(src)}"/>`);
+    }
+    return `<use xlink:href="#${this.ids.get(src)}" transform="${transform}"/>`;
+  }
+}
+
+/**
+ * @returns {string} A custom object: its image, or a placeholder rectangle if it has none.
+ */
+function customObjectSVG(obj, images) {
+  const transform = `translate(${num(obj.x)} ${num(obj.y)}) rotate(${num((obj.rotation || 0) * 180 / Math.PI)})`;
+  const src = obj.imageSrc || obj.image?.src;
+  if (src) {
+    return images.use(src, `${transform} translate(${num(-obj.width / 2)} ${num(-obj.height / 2)}) scale(${num(obj.width)} ${num(obj.height)})`);
+  }
+  return `<rect x="${num(-obj.width / 2)}" y="${num(-obj.height / 2)}" width="${num(obj.width)}" height="${num(obj.height)}" ` +
+    `transform="${transform}" ${paint("fill", constants.attentionColor)}/>`;
+}
+
+/**
+ * An edge (wall, door, ...) in its style, with the same shapes as `drawEdge()` (see `edges.js`):
+ * drawn along +x from its first corner and turned for vertical edges.
+ *
+ * @param {Object} edge - The edge.
+ * @param {number} cs - The cell size.
+ * @returns {string} A group with the edge's shapes.
+ */
+function edgeSVG(edge, cs) {
+  const length = cs;
+  const t = cs * constants.edgeThickness;
+  const color = edge.color || constants.defaultEdgeColor;
+  const opening = constants.edgeOpeningFillColor;
+  const rect = (x, y, w, h, attributes) => `<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" ${attributes}/>`;
+  // Walls reach half their thickness past the corners, so walls meeting at a corner close it
+  const wall = (from, to) => rect(from - t / 2, -t / 2, to - from + t, t, paint("fill", color));
+  const wallEnds = () => [wall(0, length * 0.2), wall(length * 0.8, length)];
+  const stroke = `${paint("stroke", color)} stroke-width="${num(t / 4)}"`;
+  const centerLine = `<path d="M${num(length * 0.2)} 0H${num(length * 0.8)}" fill="none" ${stroke}/>`;
+
+  let shapes;
+  switch (edge.style) {
+    case "door":
+      shapes = [...wallEnds(), rect(length * 0.2, -t, length * 0.6, t * 2, `${paint("fill", opening)} ${stroke}`)];
+      break;
+    case "secretDoor":
+      shapes = [wall(0, length),
+        `<text x="${num(length / 2)}" y="0" font-family="sans-serif" font-weight="bold" font-size="${num(length * 0.5)}" ` +
+        `text-anchor="middle" dominant-baseline="central" paint-order="stroke" ${paint("fill", color)} ` +
+        `${paint("stroke", opening)} stroke-width="${num(t / 2)}">S</text>`];
+      break;
+    case "window":
+      shapes = [...wallEnds(), rect(length * 0.2, -t / 2, length * 0.6, t, `${paint("fill", opening)} ${stroke}`), centerLine];
+      break;
+    case "portcullis":
+      shapes = [...wallEnds(), centerLine];
+      for (let i = 0; i < 5; i++) {
+        shapes.push(`<circle cx="${num(length * (0.3 + i * 0.1))}" cy="0" r="${num(t / 2)}" ${paint("fill", color)}/>`);
+      }
+      break;
+    default: // "wall"
+      shapes = [wall(0, length)];
+  }
+  const transform = `translate(${num(edge.x * cs)} ${num(edge.y * cs)})${edge.side === "v" ? " rotate(90)" : ""}`;
+  return `<g transform="${transform}">${shapes.join("")}</g>`;
+}
+
+/**
+ * Approximates the grid shadows of a layer (see `CanvasManager.drawAllGridShadows()`): every cell
+ * with an empty neighbor is swept along the shadow offset, and all sweeps form one path.
+ * Like on the canvas, the layer's own cells are masked out.
+ *
+ * @param {CanvasManager} cm - The map.
+ * @param {Object} layer - The layer.
+ * @param {string} maskId - Id for the mask of the layer's cells.
+ * @param {Array<string>} defs - The document's `<defs>`; the mask is added here.
+ * @returns {string|null} A group with the shadow path, or `null` if the layer casts no shadow.
+ */
+function shadowSVG(cm, layer, maskId, defs) {
+  const options = layer.gridShadowOptions;
+  if (!options || !options.enabled || layer.objects.size === 0) return null;
+  const cs = cm.currentCellSize;
+  const angle = (options.angle * Math.PI) / 180;
+  const ox = Math.cos(angle) * options.offset * cs;
+  const oy = Math.sin(angle) * options.offset * cs;
+  if (Math.abs(ox) < 1e-6 && Math.abs(oy) < 1e-6) return null;
+
+  const parts = [];
+  const cells = [];
+  layer.objects.forEach((cell) => {
+    cells.push(`M${num(cell.x * cs)} ${num(cell.y * cs)}h${cs}v${cs}h${-cs}Z`);
+    let hasEmptyNeighbor = false;
+    for (let dy = -1; dy <= 1 && !hasEmptyNeighbor; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if ((dx || dy) && !layer.objects.has(cm._cellId(cell.x + dx, cell.y + dy))) {
+          hasEmptyNeighbor = true;
+          break;
+        }
+      }
+    }
+    if (!hasEmptyNeighbor) return;
+
+    const x1 = cell.x * cs, y1 = cell.y * cs, x2 = x1 + cs, y2 = y1 + cs;
+    const hull = convexHull([
+      [x1, y1], [x2, y1], [x2, y2], [x1, y2],
+      [x1 + ox, y1 + oy], [x2 + ox, y1 + oy], [x2 + ox, y2 + oy], [x1 + ox, y2 + oy],
+    ]);
+    parts.push("M" + hull.map(([x, y]) => `${num(x)} ${num(y)}`).join("L") + "Z");
+  });
+  if (parts.length === 0) return null;
+
+  const color = options.color || constants.defaultGridShadowOptions.color;
+  const alpha = parseInt(color.substring(7, 9) || "80", 16) / 255;
+  defs.push(`<mask id="${maskId}" maskUnits="userSpaceOnUse" x="-1e9" y="-1e9" width="2e9" height="2e9">` +
+    `<rect x="-1e9" y="-1e9" width="2e9" height="2e9" fill="#ffffff"/><path d="${cells.join("")}" fill="#000000"/></mask>`);
+  return `<g inkscape:label="Shadows" opacity="${num(alpha)}" mask="url(#${maskId})"><path d="${parts.join("")}" fill="${color.substring(0, 7)}"/></g>`;
+}
+
+/**
+ * The grid border strips of a layer (see `CanvasManager.drawAllGridBorders()`): the border image
+ * stretched along every edge of a filled cell next to an empty one, inside the empty cell.
+ *
+ * @returns {Array<string>} The `<use>` elements.
+ */
+function bordersSVG(cm, layer, images) {
+  const cs = cm.currentCellSize;
+  const thickness = cs * 0.25;
+  const elements = [];
+  layer.objects.forEach((cell) => {
+    [[0, -1], [1, 0], [0, 1], [-1, 0]].forEach(([dx, dy]) => {
+      const nx = cell.x + dx, ny = cell.y + dy;
+      if (layer.objects.has(cm._cellId(nx, ny))) return;
+      let x = nx * cs, y = ny * cs, w = cs, h = cs;
+      if (dy === -1) { y += cs - thickness; h = thickness; }
+      else if (dy === 1) { h = thickness; }
+      else if (dx === 1) { w = thickness; }
+      else { x += cs - thickness; w = thickness; }
+      elements.push(images.use(cm.gridBorderOptions.imageSrc, `translate(${num(x)} ${num(y)}) scale(${num(w)} ${num(h)})`));
+    });
+  });
+  return elements;
+}
+
+/**
+ * Andrew's monotone chain.
+ *
+ * @param {Array<Array<number>>} points - `[x, y]` points.
+ * @returns {Array<Array<number>>} The convex hull, counter-clockwise.
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => {
+    const hull = [];
+    list.forEach((p) => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+      hull.push(p);
+    });
+    hull.pop();
+    return hull;
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+}
+
+/**
+ * @returns {string} A group (an Inkscape layer) with a label.
+ */
+function group(label, elements, hidden = false) {
+  return `<g inkscape:groupmode="layer" inkscape:label="${escapeXML(label)}"${hidden ? ' style="display:none"' : ""}>\n` +
+    elements.join("\n") + (elements.length > 0 ? "\n" : "") + `</g>`;
+}
+
+/**
+ * Writes a color as a fill or stroke attribute. `#RRGGBBAA` colors are split into the color and an
+ * opacity attribute, which more SVG editors understand than 8-digit colors.
+ *
+ * @param {string} attribute - "fill" or "stroke".
+ * @param {string} color - A CSS color.
+ * @returns {string} The attribute(s).
+ */
+function paint(attribute, color) {
+  if (!color) return `${attribute}="none"`;
+  const match = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(color);
+  if (!match) return `${attribute}="${escapeXML(color)}"`;
+  return `${attribute}="#${match[1]}" ${attribute}-opacity="${num(parseInt(match[2], 16) / 255)}"`;
+}
+
+/**
+ * @returns {string} A number with at most three decimals.
+ */
+function num(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+function escapeXML(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
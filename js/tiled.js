@@ -0,0 +1,798 @@
+import { constants } from "./constants.js";
+import { edgeId, getEdgesAlong } from "./edges.js";
+
+// Tiled stores tile flips in the top bits of a global tile id (gid)
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY = 0x40000000;
+const FLIPPED_DIAGONALLY = 0x20000000;
+const ROTATED_HEXAGONAL_120 = 0x10000000;
+const GID_MASK = ~(FLIPPED_HORIZONTALLY | FLIPPED_VERTICALLY | FLIPPED_DIAGONALLY | ROTATED_HEXAGONAL_120) >>> 0;
+
+/**
+ * Fills in missing or invalid Tiled export settings with the defaults.
+ *
+ * @param {Object} [settings] - Settings as stored with the map or read from the export dialog.
+ * @returns {Object} A complete settings object `{ format, tileSize }`.
+ */
+export function normalizeTiledSettings(settings = {}) {
+  const defaults = constants.defaultTiledExportSettings;
+  const tileSize = parseInt(settings.tileSize, 10);
+  return {
+    format: settings.format === "tmx" ? "tmx" : "tmj",
+    tileSize: tileSize > 0 ? tileSize : defaults.tileSize,
+  };
+}
+
+/**
+ * Computes the map area of a Tiled export: whole cells from the top-left to the bottom-right filled cell.
+ * Used both by the export and by the summary in the export dialog.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @returns {Object} `{ minX, minY, width, height }` in cells.
+ */
+export function getTiledBounds(canvasManager) {
+  const bbox = canvasManager.getLogicalBoundingBox(0);
+  const minX = Math.floor(bbox.minX), minY = Math.floor(bbox.minY);
+  return {
+    minX,
+    minY,
+    width: Math.max(1, Math.ceil(bbox.maxX) - minX),
+    height: Math.max(1, Math.ceil(bbox.maxY) - minY),
+  };
+}
+
+/**
+ * Builds a Tiled map of the map.
+ *
+ * - Every layer becomes a tile layer. The map covers all cells, starting at the top-left filled cell.
+ * - The tileset has one tile per distinct cell appearance (fill and border color, or image and border color)
+ *   and one per image in `gridImageList`. Its tiles are drawn into one tileset image; each tile also
+ *   carries its appearance as custom properties (`omcType`, `omcFillColor`, `omcBorderColor`, `omcImage`),
+ *   so maps exported here are imported back without loss.
+ * - Custom objects become rectangle objects in an object layer, with their image in the `omcImage` property.
+ * - The walls, doors and windows of a layer become line (polyline) objects in an object layer right after
+ *   its tile layer, with their style and color in the `omcEdgeStyle` and `omcEdgeColor` properties.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @param {Object} settings - Normalized export settings.
+ * @param {string} tilesetFileName - File name the tileset image is saved under (referenced by the map).
+ * @returns {Object} `{ map, tilesetCanvas }`: the map in Tiled's JSON format and the tileset image
+ * (`null` if the map has no cells).
+ */
+export function createTiledMap(canvasManager, settings, tilesetFileName) {
+  const tileSize = settings.tileSize;
+  const scale = tileSize / canvasManager.currentCellSize; // Editor pixels -> Tiled pixels
+
+  const { minX, minY, width, height } = getTiledBounds(canvasManager);
+
+  // Tileset: one tile per distinct appearance
+  const tiles = new Map(); // appearance key -> { id, properties, draw(ctx, x, y) }
+  const addTile = (key, properties, image, fillColor, borderColor) => {
+    if (!tiles.has(key)) tiles.set(key, { id: tiles.size, properties, image, fillColor, borderColor });
+    return tiles.get(key).id;
+  };
+  const cellTileId = (cell) => {
+    if (cell.type === "image" && cell.imageSrc) {
+      return addTile(`image|${cell.imageSrc}|${cell.borderColor}`,
+        [tiledProperty("omcType", "image"), tiledProperty("omcImage", cell.imageSrc), tiledProperty("omcBorderColor", cell.borderColor)],
+        cell.image, null, cell.borderColor);
+    }
+    return addTile(`color|${cell.fillColor}|${cell.borderColor}`,
+      [tiledProperty("omcType", "color"), tiledProperty("omcFillColor", cell.fillColor), tiledProperty("omcBorderColor", cell.borderColor)],
+      null, cell.fillColor, cell.borderColor);
+  };
+
+  let nextLayerId = 1;
+  let nextObjectId = 1;
+  const layers = [];
+  canvasManager.layers.forEach((layer) => {
+    const data = new Array(width * height).fill(0);
+    layer.objects.forEach((cell) => {
+      data[(cell.y - minY) * width + (cell.x - minX)] = cellTileId(cell) + 1; // firstgid is 1
+    });
+    layers.push({
+      id: nextLayerId++,
+      name: layer.name,
+      type: "tilelayer",
+      x: 0,
+      y: 0,
+      width,
+      height,
+      opacity: 1,
+      visible: layer.visible !== false,
+      data,
+    });
+
+    if (layer.edges.size > 0) {
+      const objects = [];
+      layer.edges.forEach((edge) => {
+        objects.push({
+          id: nextObjectId++,
+          name: "",
+          type: "",
+          x: (edge.x - minX) * tileSize,
+          y: (edge.y - minY) * tileSize,
+          width: 0,
+          height: 0,
+          rotation: 0,
+          visible: true,
+          polyline: [{ x: 0, y: 0 }, edge.side === "h" ? { x: tileSize, y: 0 } : { x: 0, y: tileSize }],
+          properties: [
+            tiledProperty("omcEdgeStyle", edge.style),
+            tiledProperty("omcEdgeColor", edge.color || constants.defaultEdgeColor, "color"),
+          ],
+        });
+      });
+      layers.push({
+        id: nextLayerId++,
+        name: `${layer.name} Walls`,
+        type: "objectgroup",
+        draworder: "topdown",
+        x: 0,
+        y: 0,
+        opacity: 1,
+        visible: layer.visible !== false,
+        objects,
+      });
+    }
+  });
+
+  // Uploaded grid images, even where no cell uses them yet
+  canvasManager.gridImageList.forEach((src) => {
+    cellTileId({ type: "image", imageSrc: src, image: canvasManager._getImage(src), borderColor: constants.defaultGridDrawBorderColor });
+  });
+
+  if (canvasManager.customObjects.size > 0) {
+    const objects = [];
+    canvasManager.customObjects.forEach((obj) => {
+      // Tiled rotates rectangles around their top-left corner, the editor around the center
+      const w = obj.width * scale, h = obj.height * scale;
+      const rotation = obj.rotation || 0;
+      const cx = (obj.x / canvasManager.currentCellSize - minX) * tileSize;
+      const cy = (obj.y / canvasManager.currentCellSize - minY) * tileSize;
+      const properties = [];
+      if (obj.imageSrc) properties.push(tiledProperty("omcImage", obj.imageSrc));
+      if (obj.locked) properties.push(tiledProperty("omcLocked", true, "bool"));
+      if (obj.background) properties.push(tiledProperty("omcBackground", true, "bool"));
+      objects.push({
+        id: nextObjectId++,
+        name: "",
+        type: "",
+        x: cx - (w / 2) * Math.cos(rotation) + (h / 2) * Math.sin(rotation),
+        y: cy - (w / 2) * Math.sin(rotation) - (h / 2) * Math.cos(rotation),
+        width: w,
+        height: h,
+        rotation: rotation * 180 / Math.PI,
+        visible: true,
+        properties,
+      });
+    });
+    layers.push({
+      id: nextLayerId++,
+      name: "Objects",
+      type: "objectgroup",
+      draworder: "topdown",
+      x: 0,
+      y: 0,
+      opacity: 1,
+      visible: true,
+      objects,
+    });
+  }
+
+  // Tileset image
+  let tilesetCanvas = null;
+  const tilesets = [];
+  if (tiles.size > 0) {
+    const columns = Math.ceil(Math.sqrt(tiles.size));
+    const rows = Math.ceil(tiles.size / columns);
+    tilesetCanvas = document.createElement("canvas");
+    tilesetCanvas.width = columns * tileSize;
+    tilesetCanvas.height = rows * tileSize;
+    const ctx = tilesetCanvas.getContext("2d");
+    const lineWidth = Math.max(1, tileSize * 0.02);
+    tiles.forEach((tile) => {
+      const x = (tile.id % columns) * tileSize;
+      const y = Math.floor(tile.id / columns) * tileSize;
+      if (tile.image && tile.image.complete && tile.image.naturalWidth > 0) {
+        ctx.drawImage(tile.image, x, y, tileSize, tileSize);
+      } else if (tile.fillColor) {
+        ctx.fillStyle = tile.fillColor;
+        ctx.fillRect(x, y, tileSize, tileSize);
+      }
+      ctx.strokeStyle = tile.borderColor;
+      ctx.lineWidth = lineWidth;
+      ctx.strokeRect(x + lineWidth / 2, y + lineWidth / 2, tileSize - lineWidth, tileSize - lineWidth);
+    });
+
+    tilesets.push({
+      firstgid: 1,
+      name: "cells",
+      tilewidth: tileSize,
+      tileheight: tileSize,
+      tilecount: tiles.size,
+      columns,
+      margin: 0,
+      spacing: 0,
+      image: tilesetFileName,
+      imagewidth: tilesetCanvas.width,
+      imageheight: tilesetCanvas.height,
+      tiles: [...tiles.values()].map((tile) => ({ id: tile.id, properties: tile.properties })),
+    });
+  }
+
+  const map = {
+    type: "map",
+    version: "1.10",
+    tiledversion: "1.10.2",
+    orientation: "orthogonal",
+    renderorder: "right-down",
+    infinite: false,
+    compressionlevel: -1,
+    width,
+    height,
+    tilewidth: tileSize,
+    tileheight: tileSize,
+    backgroundcolor: canvasManager.emptyCellSettings.fillColor,
+    nextlayerid: nextLayerId,
+    nextobjectid: nextObjectId,
+    layers,
+    tilesets,
+  };
+  return { map, tilesetCanvas };
+}
+
+/**
+ * Writes a Tiled map (as built by `createTiledMap()`) in the XML format (`.tmx`), with CSV tile data.
+ *
+ * @param {Object} map - The map in Tiled's JSON format.
+ * @returns {string} The TMX document.
+ */
+export function tiledMapToTMX(map) {
+  const attrs = (values) => Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXML(String(value))}"`).join("");
+  const propertiesXML = (properties, indent) => {
+    if (!properties || properties.length === 0) return "";
+    const items = properties.map((p) => `${indent} <property${attrs({ name: p.name, type: p.type === "string" ? undefined : p.type, value: p.value })}/>`);
+    return `${indent}<properties>\n${items.join("\n")}\n${indent}</properties>\n`;
+  };
+
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  xml += `<map${attrs({
+    version: map.version, tiledversion: map.tiledversion, orientation: map.orientation, renderorder: map.renderorder,
+    width: map.width, height: map.height, tilewidth: map.tilewidth, tileheight: map.tileheight,
+    infinite: map.infinite ? 1 : 0, backgroundcolor: map.backgroundcolor,
+    nextlayerid: map.nextlayerid, nextobjectid: map.nextobjectid,
+  })}>\n`;
+
+  map.tilesets.forEach((tileset) => {
+    xml += ` <tileset${attrs({
+      firstgid: tileset.firstgid, name: tileset.name, tilewidth: tileset.tilewidth, tileheight: tileset.tileheight,
+      tilecount: tileset.tilecount, columns: tileset.columns,
+    })}>\n`;
+    xml += `  <image${attrs({ source: tileset.image, width: tileset.imagewidth, height: tileset.imageheight })}/>\n`;
+    tileset.tiles.forEach((tile) => {
+      xml += `  <tile id="${tile.id}">\n${propertiesXML(tile.properties, "   ")}  </tile>\n`;
+    });
+    xml += ` </tileset>\n`;
+  });
+
+  map.layers.forEach((layer) => {
+    if (layer.type === "tilelayer") {
+      xml += ` <layer${attrs({ id: layer.id, name: layer.name, width: layer.width, height: layer.height, visible: layer.visible ? undefined : 0 })}>\n`;
+      const rows = [];
+      for (let y = 0; y < layer.height; y++) {
+        rows.push(layer.data.slice(y * layer.width, (y + 1) * layer.width).join(","));
+      }
+      xml += `  <data encoding="csv">\n${rows.join(",\n")}\n</data>\n`;
+      xml += ` </layer>\n`;
+    } else if (layer.type === "objectgroup") {
+      xml += ` <objectgroup${attrs({ id: layer.id, name: layer.name, visible: layer.visible ? undefined : 0 })}>\n`;
+      layer.objects.forEach((obj) => {
+        const size = obj.polyline ? {} : { width: obj.width, height: obj.height };
+        xml += `  <object${attrs({ id: obj.id, x: obj.x, y: obj.y, ...size, rotation: obj.rotation || undefined })}>\n`;
+        xml += propertiesXML(obj.properties, "   ");
+        if (obj.polyline) xml += `   <polyline points="${obj.polyline.map((p) => `${p.x},${p.y}`).join(" ")}"/>\n`;
+        xml += `  </object>\n`;
+      });
+      xml += ` </objectgroup>\n`;
+    }
+  });
+
+  xml += `</map>\n`;
+  return xml;
+}
+
+/**
+ * Reads a Tiled map file (`.tmx` or `.tmj`/`.json`) into Tiled's JSON structure.
+ * External tilesets (`.tsx`/`.tsj`) are read from the other selected files and embedded.
+ *
+ * @param {File} mapFile - The map file.
+ * @param {Array<File>} otherFiles - Other selected files (external tilesets, tileset images).
+ * @returns {Promise<Object>} The map, with tilesets embedded and group layers flattened.
+ * @throws {Error} If the map cannot be read, is not orthogonal, or an external tileset is missing.
+ */
+export async function readTiledMap(mapFile, otherFiles) {
+  const text = await mapFile.text();
+  const map = isXMLFile(mapFile.name) ? parseTMX(text) : JSON.parse(text);
+  if (!map || typeof map !== "object" || !Array.isArray(map.layers)) {
+    throw new Error("The file is not a Tiled map.");
+  }
+  if (map.orientation !== "orthogonal") {
+    throw new Error(`Only orthogonal maps can be imported (this map is ${map.orientation}).`);
+  }
+
+  map.tilesets = await Promise.all((map.tilesets || []).map(async (tileset) => {
+    if (!tileset.source) return tileset;
+    const file = findFile(otherFiles, tileset.source);
+    if (!file) throw new Error(`Select the tileset file "${baseName(tileset.source)}" together with the map.`);
+    const tilesetText = await file.text();
+    const external = isXMLFile(file.name) ? parseTSX(new DOMParser().parseFromString(tilesetText, "application/xml").documentElement) : JSON.parse(tilesetText);
+    return { ...external, firstgid: tileset.firstgid };
+  }));
+
+  map.layers = flattenLayers(map.layers);
+  return map;
+}
+
+/**
+ * Fills an empty map (see `CanvasManager.resetMap()`) from a Tiled map.
+ *
+ * - Tile layers become layers; one tile becomes one cell. Tiles exported by this editor keep their
+ *   appearance (from the `omc*` properties); other tiles become image cells cut from their tileset
+ *   image (with flips applied). All tile images are added to `gridImageList`.
+ * - Objects with an image (tile objects, or `omcImage` rectangles) become custom objects.
+ *   Object positions are scaled so one tile is one cell at `currentCellSize`.
+ * - Polylines with an `omcEdgeStyle` property become walls, doors or windows of the layer made from
+ *   the last tile layer before their object layer; each straight run is snapped to the grid lines.
+ *
+ * @param {CanvasManager} canvasManager - The (empty) map to fill.
+ * @param {Object} map - The map from `readTiledMap()`.
+ * @param {Array<File>} otherFiles - Other selected files, searched for tileset images by name.
+ * @returns {Promise<Object>} `{ skippedTiles, skippedObjects }`: what could not be imported
+ * (tiles whose tileset image was not selected, objects without an image).
+ */
+export async function applyTiledToMap(canvasManager, map, otherFiles) {
+  const cellSize = canvasManager.currentCellSize;
+  const scale = cellSize / map.tilewidth; // Tiled pixels -> editor pixels
+  const images = new TileImages(map.tilesets, otherFiles);
+  let skippedTiles = 0;
+  let skippedObjects = 0;
+
+  const layers = [];
+  for (const layer of map.layers) {
+    if (layer.type !== "tilelayer") continue;
+    const objects = new Map();
+    const chunks = layer.chunks || [{ x: 0, y: 0, width: layer.width, height: layer.height, data: layer.data }];
+    for (const chunk of chunks) {
+      const gids = await decodeTileData(chunk.data, layer.encoding, layer.compression);
+      for (let i = 0; i < gids.length; i++) {
+        if (gids[i] === 0) continue;
+        const x = chunk.x + (i % chunk.width);
+        const y = chunk.y + Math.floor(i / chunk.width);
+        const cell = await images.getCell(gids[i], x, y);
+        if (!cell) {
+          skippedTiles++;
+          continue;
+        }
+        if (cell.imageSrc) cell.image = canvasManager._getImage(cell.imageSrc);
+        objects.set(canvasManager._cellId(x, y), cell);
+      }
+    }
+    layers.push({
+      name: layer.name || `Layer ${layers.length + 1}`,
+      objects,
+      edges: new Map(),
+      visible: layer.visible !== false,
+      gridShadowOptions: { ...constants.defaultGridShadowOptions },
+    });
+  }
+  if (layers.length > 0) {
+    canvasManager.layers = layers;
+    canvasManager.activeLayerIndex = 0;
+  }
+
+  let tileLayerIndex = -1;
+  for (const layer of map.layers) {
+    if (layer.type === "tilelayer") tileLayerIndex++;
+    if (layer.type !== "objectgroup") continue;
+    const edgeLayer = canvasManager.layers[Math.min(Math.max(tileLayerIndex, 0), canvasManager.layers.length - 1)];
+    for (const obj of layer.objects || []) {
+      const properties = propertyMap(obj.properties);
+      if (properties.omcEdgeStyle) {
+        const style = properties.omcEdgeStyle;
+        const points = obj.polyline || (obj.polygon ? [...obj.polygon, obj.polygon[0]] : []); // Polygons are closed
+        if (!constants.edgeStyles[style] || points.length < 2) {
+          skippedObjects++;
+          continue;
+        }
+        // Tiled writes colors as #AARRGGBB
+        const color = /^#[0-9a-f]{8}$/i.test(properties.omcEdgeColor || "") ? `#${properties.omcEdgeColor.slice(3)}`
+          : properties.omcEdgeColor || constants.defaultEdgeColor;
+        const corners = points.map((p) => ({
+          x: Math.round((obj.x + p.x) / map.tilewidth),
+          y: Math.round((obj.y + p.y) / map.tileheight),
+        }));
+        for (let i = 1; i < corners.length; i++) {
+          getEdgesAlong(corners[i - 1], corners[i]).forEach(({ side, x, y }) => {
+            edgeLayer.edges.set(edgeId(side, x, y), { x, y, side, style, color });
+          });
+        }
+        continue;
+      }
+      let imageSrc = properties.omcImage || null;
+      let anchorY = 0.5; // Rectangles are positioned by their top-left corner
+      if (!imageSrc && obj.gid) {
+        imageSrc = await images.getImage(obj.gid);
+        anchorY = -0.5; // Tile objects are positioned by their bottom-left corner
+      }
+      if (!imageSrc || !(obj.width > 0) || !(obj.height > 0)) {
+        skippedObjects++;
+        continue;
+      }
+      const rotation = (obj.rotation || 0) * Math.PI / 180;
+      const w = obj.width, h = obj.height;
+      // Center of the rotated object
+      const cx = obj.x + (w / 2) * Math.cos(rotation) - anchorY * h * Math.sin(rotation);
+      const cy = obj.y + (w / 2) * Math.sin(rotation) + anchorY * h * Math.cos(rotation);
+      const id = Date.now().toString() + Math.random().toString(36).substring(2);
+      canvasManager.customObjects.set(id, {
+        x: cx * scale,
+        y: cy * scale,
+        width: w * scale,
+        height: h * scale,
+        rotation,
+        image: canvasManager._getImage(imageSrc),
+        imageSrc,
+        ...(properties.omcLocked ? { locked: true } : {}),
+        ...(properties.omcBackground ? { background: true } : {}),
+      });
+    }
+  }
+
+  // Grid images: images of tiles exported by this editor, and tiles cut from tileset images
+  const exportedImages = map.tilesets.flatMap((tileset) => (tileset.tiles || [])
+    .map((tile) => propertyMap(tile.properties))
+    .filter((properties) => properties.omcType === "image" && properties.omcImage)
+    .map((properties) => properties.omcImage));
+  canvasManager.gridImageList = [...new Set([...canvasManager.gridImageList, ...exportedImages, ...images.cutImages])];
+  if (/^#[0-9a-f]{6}$/i.test(map.backgroundcolor || "")) {
+    canvasManager.emptyCellSettings.fillColor = map.backgroundcolor;
+  }
+  return { skippedTiles, skippedObjects };
+}
+
+/**
+ * Resolves global tile ids to cells and images, cutting tiles out of tileset images
+ * (each tile image is cut once).
+ */
+class TileImages {
+  /**
+   * @param {Array<Object>} tilesets - The embedded tilesets of the map.
+   * @param {Array<File>} files - Selected files, searched for tileset images by name.
+   */
+  constructor(tilesets, files) {
+    this.tilesets = [...tilesets].sort((a, b) => b.firstgid - a.firstgid); // Highest firstgid first
+    this.files = files;
+    this.loadedImages = new Map(); // file name -> Promise<HTMLImageElement|null>
+    this.tileImages = new Map(); // gid with flip flags -> data URL or null
+    this.cutImages = []; // Data URLs of tiles cut from tileset images (for gridImageList)
+  }
+
+  /**
+   * @param {number} gid - A global tile id, with flip flags.
+   * @param {number} x - Cell x.
+   * @param {number} y - Cell y.
+   * @returns {Promise<Object|null>} The cell, or `null` if the tile image is missing.
+   */
+  async getCell(gid, x, y) {
+    const { tileset, tile } = this._findTile(gid);
+    if (!tileset) return null;
+    const properties = propertyMap(tile?.properties);
+    const borderColor = properties.omcBorderColor || "#00000000";
+    if (properties.omcType === "color") {
+      return { x, y, type: "color", fillColor: properties.omcFillColor, borderColor, image: null, imageSrc: null };
+    }
+    const imageSrc = properties.omcType === "image" ? properties.omcImage : await this.getImage(gid);
+    if (!imageSrc) return null;
+    return { x, y, type: "image", fillColor: constants.defaultGridDrawFillColor, borderColor, image: null, imageSrc };
+  }
+
+  /**
+   * @param {number} gid - A global tile id, with flip flags.
+   * @returns {Promise<string|null>} The tile image as a data URL, or `null` if its tileset image was not selected.
+   */
+  async getImage(gid) {
+    if (this.tileImages.has(gid)) return this.tileImages.get(gid);
+    const { tileset, tile, localId } = this._findTile(gid);
+    let src = null;
+    if (tileset) {
+      const properties = propertyMap(tile?.properties);
+      if (properties.omcImage) {
+        src = properties.omcImage;
+      } else if (tile?.image) { // Image collection tileset
+        const image = await this._loadImage(tile.image);
+        if (image) src = cutTile(image, 0, 0, image.naturalWidth, image.naturalHeight, gid);
+      } else if (tileset.image) {
+        const image = await this._loadImage(tileset.image);
+        if (image) {
+          const margin = tileset.margin || 0, spacing = tileset.spacing || 0;
+          const columns = tileset.columns || Math.floor((image.naturalWidth - 2 * margin + spacing) / (tileset.tilewidth + spacing));
+          const sx = margin + (localId % columns) * (tileset.tilewidth + spacing);
+          const sy = margin + Math.floor(localId / columns) * (tileset.tileheight + spacing);
+          src = cutTile(image, sx, sy, tileset.tilewidth, tileset.tileheight, gid);
+        }
+      }
+      if (src && !properties.omcImage) this.cutImages.push(src);
+    }
+    this.tileImages.set(gid, src);
+    return src;
+  }
+
+  _findTile(gid) {
+    const id = (gid & GID_MASK) >>> 0;
+    const tileset = this.tilesets.find((t) => t.firstgid <= id);
+    if (!tileset) return {};
+    const localId = id - tileset.firstgid;
+    const tile = (tileset.tiles || []).find((t) => t.id === localId);
+    return { tileset, tile, localId };
+  }
+
+  _loadImage(path) {
+    const name = baseName(path);
+    if (!this.loadedImages.has(name)) {
+      const file = findFile(this.files, path);
+      this.loadedImages.set(name, file ? loadImageFile(file) : Promise.resolve(null));
+    }
+    return this.loadedImages.get(name);
+  }
+}
+
+/**
+ * Cuts a tile out of an image, applying the flip flags of its gid.
+ *
+ * @returns {string} The tile as a PNG data URL.
+ */
+function cutTile(image, sx, sy, width, height, gid) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.translate(width / 2, height / 2);
+  if (gid & FLIPPED_HORIZONTALLY) ctx.scale(-1, 1);
+  if (gid & FLIPPED_VERTICALLY) ctx.scale(1, -1);
+  if (gid & FLIPPED_DIAGONALLY) ctx.transform(0, 1, 1, 0, 0, 0); // Applied first: swaps x and y
+  ctx.drawImage(image, sx, sy, width, height, -width / 2, -height / 2, width, height);
+  return canvas.toDataURL("image/png");
+}
+
+/**
+ * Decodes the tile data of a layer or chunk into global tile ids.
+ *
+ * @param {Array<number>|string} data - A gid array, CSV text or base64 text.
+ * @param {string} [encoding] - "csv", "base64" or none (array).
+ * @param {string} [compression] - "", "zlib" or "gzip" (base64 only).
+ * @returns {Promise<Array<number>>} The gids (unsigned, with flip flags).
+ * @throws {Error} For compressions the browser cannot decompress (e.g. zstd).
+ */
+async function decodeTileData(data, encoding, compression) {
+  if (Array.isArray(data)) return data.map((gid) => gid >>> 0);
+  if (encoding !== "base64") {
+    return String(data).split(",").map((value) => value.trim()).filter((value) => value !== "").map((value) => Number(value) >>> 0);
+  }
+
+  let bytes = Uint8Array.from(atob(String(data).trim()), (c) => c.charCodeAt(0));
+  if (compression === "zlib" || compression === "gzip") {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("This browser cannot decompress the tile data. Save the map with CSV layer format in Tiled.");
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(compression === "zlib" ? "deflate" : "gzip"));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else if (compression) {
+    throw new Error(`Tile data compressed with ${compression} is not supported. Save the map with CSV layer format in Tiled.`);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const gids = [];
+  for (let i = 0; i + 4 <= bytes.byteLength; i += 4) gids.push(view.getUint32(i, true));
+  return gids;
+}
+
+/**
+ * Parses a TMX document into Tiled's JSON structure (the parts the import uses).
+ *
+ * @param {string} text - The XML.
+ * @returns {Object} The map.
+ */
+function parseTMX(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const root = doc.documentElement;
+  if (!root || root.nodeName !== "map") throw new Error("The file is not a Tiled map.");
+  const num = (el, name, fallback = 0) => el.hasAttribute(name) ? Number(el.getAttribute(name)) : fallback;
+
+  const parseLayers = (parent) => children(parent).map((el) => {
+    if (el.nodeName === "layer") {
+      const dataEl = children(el, "data")[0];
+      const layer = {
+        type: "tilelayer",
+        name: el.getAttribute("name"),
+        visible: el.getAttribute("visible") !== "0",
+        width: num(el, "width"),
+        height: num(el, "height"),
+        encoding: dataEl?.getAttribute("encoding") || undefined,
+        compression: dataEl?.getAttribute("compression") || undefined,
+      };
+      const chunkEls = dataEl ? children(dataEl, "chunk") : [];
+      const readData = (container) => layer.encoding ? container.textContent
+        : children(container, "tile").map((tile) => num(tile, "gid")); // XML tile elements
+      if (chunkEls.length > 0) {
+        layer.chunks = chunkEls.map((chunk) => ({
+          x: num(chunk, "x"), y: num(chunk, "y"), width: num(chunk, "width"), height: num(chunk, "height"), data: readData(chunk),
+        }));
+      } else {
+        layer.data = dataEl ? readData(dataEl) : [];
+      }
+      return layer;
+    }
+    if (el.nodeName === "objectgroup") {
+      return {
+        type: "objectgroup",
+        name: el.getAttribute("name"),
+        visible: el.getAttribute("visible") !== "0",
+        objects: children(el, "object").map((obj) => ({
+          gid: obj.hasAttribute("gid") ? num(obj, "gid") >>> 0 : undefined,
+          x: num(obj, "x"),
+          y: num(obj, "y"),
+          width: num(obj, "width"),
+          height: num(obj, "height"),
+          rotation: num(obj, "rotation"),
+          polyline: parsePoints(children(obj, "polyline")[0]),
+          polygon: parsePoints(children(obj, "polygon")[0]),
+          properties: parseProperties(obj),
+        })),
+      };
+    }
+    if (el.nodeName === "group") {
+      return { type: "group", name: el.getAttribute("name"), visible: el.getAttribute("visible") !== "0", layers: parseLayers(el) };
+    }
+    return null;
+  }).filter(Boolean);
+
+  return {
+    orientation: root.getAttribute("orientation"),
+    infinite: root.getAttribute("infinite") === "1",
+    width: num(root, "width"),
+    height: num(root, "height"),
+    tilewidth: num(root, "tilewidth"),
+    tileheight: num(root, "tileheight"),
+    backgroundcolor: root.getAttribute("backgroundcolor") || undefined,
+    tilesets: children(root, "tileset").map((el) => el.hasAttribute("source")
+      ? { firstgid: num(el, "firstgid"), source: el.getAttribute("source") }
+      : { ...parseTSX(el), firstgid: num(el, "firstgid") }),
+    layers: parseLayers(root),
+  };
+}
+
+/**
+ * Parses a `<tileset>` element (embedded in a TMX map or the root of a `.tsx` file).
+ *
+ * @param {Element} el - The element.
+ * @returns {Object} The tileset in Tiled's JSON structure.
+ */
+function parseTSX(el) {
+  const num = (name, fallback = 0) => el.hasAttribute(name) ? Number(el.getAttribute(name)) : fallback;
+  const imageEl = children(el, "image")[0];
+  return {
+    name: el.getAttribute("name"),
+    tilewidth: num("tilewidth"),
+    tileheight: num("tileheight"),
+    tilecount: num("tilecount"),
+    columns: num("columns"),
+    margin: num("margin"),
+    spacing: num("spacing"),
+    image: imageEl?.getAttribute("source") || undefined,
+    tiles: children(el, "tile").map((tile) => ({
+      id: Number(tile.getAttribute("id")),
+      image: children(tile, "image")[0]?.getAttribute("source") || undefined,
+      properties: parseProperties(tile),
+    })),
+  };
+}
+
+/**
+ * Reads the `<properties>` of an element.
+ *
+ * @returns {Array<Object>} `[{ name, type, value }]`.
+ */
+function parseProperties(el) {
+  const propertiesEl = children(el, "properties")[0];
+  if (!propertiesEl) return [];
+  return children(propertiesEl, "property").map((p) => {
+    const type = p.getAttribute("type") || "string";
+    const raw = p.hasAttribute("value") ? p.getAttribute("value") : p.textContent; // Multi-line values are stored as text
+    const value = type === "bool" ? raw === "true" : (type === "int" || type === "float") ? Number(raw) : raw;
+    return { name: p.getAttribute("name"), type, value };
+  });
+}
+
+/**
+ * @returns {Array<Object>|undefined} The points `{ x, y }` of a TMX `<polyline>` or `<polygon>` element, if any.
+ */
+function parsePoints(el) {
+  if (!el) return undefined;
+  return (el.getAttribute("points") || "").trim().split(/\s+/).filter(Boolean).map((point) => {
+    const [x, y] = point.split(",").map(Number);
+    return { x, y };
+  });
+}
+
+/**
+ * @returns {Array<Element>} The child elements of `el` (with the given name, if any).
+ */
+function children(el, name = null) {
+  return Array.from(el.children).filter((child) => !name || child.nodeName === name);
+}
+
+/**
+ * Flattens group layers into a plain list (a layer inside a hidden group is hidden).
+ */
+function flattenLayers(layers, visible = true) {
+  return layers.flatMap((layer) => layer.type === "group"
+    ? flattenLayers(layer.layers || [], visible && layer.visible !== false)
+    : [{ ...layer, visible: visible && layer.visible !== false }]);
+}
+
+/**
+ * @returns {Object} Tiled custom properties as a `name -> value` object.
+ */
+function propertyMap(properties) {
+  const map = {};
+  (properties || []).forEach((p) => map[p.name] = p.value);
+  return map;
+}
+
+/**
+ * @returns {Object} A Tiled custom property.
+ */
+function tiledProperty(name, value, type = "string") {
+  return { name, type, value };
+}
+
+function isXMLFile(name) {
+  return /\.(tmx|tsx|xml)$/i.test(name);
+}
+
+function baseName(path) {
+  return String(path).split(/[\\/]/).pop();
+}
+
+/**
+ * Finds a selected file by the file name of a (relative) path.
+ */
+function findFile(files, path) {
+  const name = baseName(path).toLowerCase();
+  return files.find((file) => file.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Loads an image file.
+ *
+ * @returns {Promise<HTMLImageElement|null>} The image, or `null` if it cannot be decoded.
+ */
+function loadImageFile(file) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => resolve(null);
+      image.src = reader.result;
+    };
+    reader.onerror = () => resolve(null);
+    reader.readAsDataURL(file);
+  });
+}
+
+function escapeXML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
@@ -0,0 +1,107 @@
+import { getTiledBounds, normalizeTiledSettings } from "./tiled.js";
+
+/**
+ * The Tiled export dialog: file format (`.tmj` or `.tmx`) and tile size, with the resulting map size.
+ * The settings used for an export are remembered with the map (`CanvasManager.tiledExportSettings`).
+ */
+export class TiledExportDialog {
+  constructor(canvasManager, storageManager) {
+    this.canvasManager = canvasManager;
+    this.storageManager = storageManager;
+
+    this.overlay = document.getElementById("tiledExportDialog");
+    this.summary = document.getElementById("tiledSummary");
+    this.inputs = {
+      format: document.getElementById("tiledFormat"),
+      tileSize: document.getElementById("tiledTileSize"),
+    };
+    this.exportButton = document.getElementById("tiledExportConfirm");
+
+    this.setupControls();
+  }
+
+  /**
+   * Adds the event listeners of the dialog.
+   */
+  setupControls() {
+    Object.values(this.inputs).forEach((input) => {
+      input.addEventListener("input", () => this.updateSummary());
+      input.addEventListener("change", () => this.updateSummary());
+    });
+
+    this.exportButton.addEventListener("click", () => this.export());
+    document.getElementById("tiledExportCancel").addEventListener("click", () => this.close());
+    // Close when clicking next to the dialog
+    this.overlay.addEventListener("click", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isOpen()) this.close();
+    });
+  }
+
+  /**
+   * @returns {boolean} `true` if the dialog is visible.
+   */
+  isOpen() {
+    return this.overlay.style.display !== "none";
+  }
+
+  /**
+   * Opens the dialog with the settings last used for this map.
+   */
+  open() {
+    this.fillInputs(normalizeTiledSettings(this.canvasManager.tiledExportSettings));
+    this.overlay.style.display = "flex";
+    this.updateSummary();
+  }
+
+  /**
+   * Closes the dialog.
+   */
+  close() {
+    this.overlay.style.display = "none";
+  }
+
+  /**
+   * Shows settings in the dialog controls.
+   *
+   * @param {Object} settings - Normalized export settings.
+   */
+  fillInputs(settings) {
+    this.inputs.format.value = settings.format;
+    this.inputs.tileSize.value = settings.tileSize;
+  }
+
+  /**
+   * Reads the settings from the dialog controls.
+   *
+   * @returns {Object} Normalized export settings (invalid values replaced with defaults).
+   */
+  readSettings() {
+    return normalizeTiledSettings({
+      format: this.inputs.format.value,
+      tileSize: this.inputs.tileSize.value,
+    });
+  }
+
+  /**
+   * Shows the map size for the current settings.
+   */
+  updateSummary() {
+    const settings = this.readSettings();
+    const bounds = getTiledBounds(this.canvasManager);
+    this.summary.textContent = `Map size: ${bounds.width} × ${bounds.height} tiles of ${settings.tileSize} px, ` +
+      `${this.canvasManager.layers.length} tile layer(s). The tileset image is saved as a separate PNG file.`;
+  }
+
+  /**
+   * Remembers the settings with the map, closes the dialog and exports the files.
+   */
+  export() {
+    const settings = this.readSettings();
+    this.canvasManager.tiledExportSettings = settings;
+    this.close();
+    this.storageManager.exportTiled(settings);
+  }
+}
@@ -0,0 +1,397 @@
+import { constants } from "./constants.js";
+import { edgeId, getEdgeCenter, getEdgesAlong } from "./edges.js";
+import { imageSizeError, renderMapArea } from "./imageExport.js";
+
+/**
+ * Fills in missing or invalid Universal VTT export settings with the defaults.
+ * Layers are referenced by name; names that no longer exist are dropped.
+ *
+ * @param {Object} [settings] - Settings as stored with the map or read from the export dialog.
+ * @param {Array<Object>} layers - The layers of the map.
+ * @returns {Object} A complete settings object `{ pixelsPerGrid, wallLayers, doorLayer, lightLayer, lightRange, lightIntensity, drawLightLayer }`.
+ * `wallLayers` is a list of layer names (all layers by default); `doorLayer` and `lightLayer` are a name or `null`.
+ */
+export function normalizeUvttSettings(settings = {}, layers) {
+  const defaults = constants.defaultUvttExportSettings;
+  const layerNames = layers.map((layer) => layer.name);
+  const pixelsPerGrid = parseInt(settings.pixelsPerGrid, 10);
+  const lightRange = parseFloat(settings.lightRange);
+  const lightIntensity = parseFloat(settings.lightIntensity);
+  return {
+    pixelsPerGrid: pixelsPerGrid > 0 ? pixelsPerGrid : defaults.pixelsPerGrid,
+    wallLayers: Array.isArray(settings.wallLayers)
+      ? settings.wallLayers.filter((name) => layerNames.includes(name))
+      : layerNames,
+    doorLayer: layerNames.includes(settings.doorLayer) ? settings.doorLayer : null,
+    lightLayer: layerNames.includes(settings.lightLayer) ? settings.lightLayer : null,
+    lightRange: lightRange > 0 ? lightRange : defaults.lightRange,
+    lightIntensity: lightIntensity > 0 ? lightIntensity : defaults.lightIntensity,
+    drawLightLayer: typeof settings.drawLightLayer === "boolean" ? settings.drawLightLayer : defaults.drawLightLayer,
+  };
+}
+
+/**
+ * Computes the exported area: the map content plus the usual one cell padding,
+ * widened to whole cells so the grid of the image lines up with the VTT grid.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @returns {Object} The logical area `{ minX, minY, maxX, maxY, width, height }`.
+ */
+export function getUvttBounds(canvasManager) {
+  const bbox = canvasManager.getLogicalBoundingBox();
+  const minX = Math.floor(bbox.minX), minY = Math.floor(bbox.minY);
+  const maxX = Math.ceil(bbox.maxX), maxY = Math.ceil(bbox.maxY);
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Builds a Universal VTT (`.dd2vtt`) document of the map.
+ *
+ * - The image is the map rendered with `drawAll()` at `pixelsPerGrid`.
+ * - Walls (`line_of_sight`) run along every edge between a filled and an empty cell,
+ *   counting the cells of all wall layers together. Door cells are left out, so doors cut through walls.
+ * - Wall and window edges (Wall tool) of the wall layers are walls too; the format has no walls that
+ *   let sight through, so windows block sight like walls.
+ * - Every cell on the door layer becomes a closed portal across the middle of the cell,
+ *   oriented along the walls next to it.
+ * - Door, secret door and portcullis edges of the wall layers become closed portals along the edge,
+ *   cutting through the walls there.
+ * - Every cell on the light layer becomes a light at the cell center, in the cell's fill color.
+ *
+ * The light layer only marks where lights are, so it is left out of the image unless `drawLightLayer` is set.
+ * Coordinates are in grid units from the top-left corner of the image.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @param {Object} settings - Normalized export settings (see `normalizeUvttSettings()`).
+ * @returns {Object} The Universal VTT document.
+ * @throws {Error} If the image is too large or cannot be rendered.
+ */
+export function createUvttData(canvasManager, settings) {
+  const bounds = getUvttBounds(canvasManager);
+  const layerCells = (name) => canvasManager.layers.find((layer) => layer.name === name)?.objects || new Map();
+
+  const doorCells = layerCells(settings.doorLayer);
+  const wallCells = new Set();
+  settings.wallLayers.forEach((name) => {
+    layerCells(name).forEach((cell, cellId) => {
+      if (!doorCells.has(cellId)) wallCells.add(cellId);
+    });
+  });
+
+  // Edges of the wall layers: openings (doors, ...) and blocking edges (walls, windows)
+  const wallEdges = [];
+  const doorEdges = [];
+  canvasManager.layers.forEach((layer) => {
+    if (!settings.wallLayers.includes(layer.name)) return;
+    layer.edges.forEach((edge) => {
+      (constants.uvttPortalEdgeStyles.includes(edge.style) ? doorEdges : wallEdges).push(edge);
+    });
+  });
+
+  const toGrid = (x, y) => ({ x: x - bounds.minX, y: y - bounds.minY });
+
+  const portals = [];
+  doorCells.forEach((cell) => {
+    const isWall = (dx, dy) => wallCells.has(canvasManager._cellId(cell.x + dx, cell.y + dy));
+    // Walls above/below (and none left/right) mean a door in a vertical wall
+    const vertical = !isWall(-1, 0) && !isWall(1, 0) && (isWall(0, -1) || isWall(0, 1));
+    const portalBounds = vertical
+      ? [toGrid(cell.x + 0.5, cell.y), toGrid(cell.x + 0.5, cell.y + 1)]
+      : [toGrid(cell.x, cell.y + 0.5), toGrid(cell.x + 1, cell.y + 0.5)];
+    portals.push({
+      position: toGrid(cell.x + 0.5, cell.y + 0.5),
+      bounds: portalBounds,
+      rotation: vertical ? Math.PI / 2 : 0,
+      closed: true,
+      freestanding: false,
+    });
+  });
+  doorEdges.forEach((edge) => {
+    const center = getEdgeCenter(edge);
+    portals.push({
+      position: toGrid(center.x, center.y),
+      bounds: edge.side === "h"
+        ? [toGrid(edge.x, edge.y), toGrid(edge.x + 1, edge.y)]
+        : [toGrid(edge.x, edge.y), toGrid(edge.x, edge.y + 1)],
+      rotation: edge.side === "v" ? Math.PI / 2 : 0,
+      closed: true,
+      freestanding: false,
+    });
+  });
+
+  const lights = [];
+  layerCells(settings.lightLayer).forEach((cell) => {
+    lights.push({
+      position: toGrid(cell.x + 0.5, cell.y + 0.5),
+      range: settings.lightRange,
+      intensity: settings.lightIntensity,
+      color: toUvttColor(cell.type === "color" ? cell.fillColor : null),
+      shadows: true,
+    });
+  });
+
+  const lightLayer = canvasManager.layers.find((layer) => layer.name === settings.lightLayer);
+  const excludeLayers = lightLayer && !settings.drawLightLayer ? [lightLayer] : [];
+  const canvas = renderMapArea(canvasManager, bounds, settings.pixelsPerGrid, { excludeLayers });
+  return {
+    format: constants.uvttFormatVersion,
+    resolution: {
+      map_origin: { x: 0, y: 0 },
+      map_size: { x: bounds.width, y: bounds.height },
+      pixels_per_grid: settings.pixelsPerGrid,
+    },
+    line_of_sight: getWallSegments(wallCells, canvasManager, wallEdges, doorEdges).map(([a, b]) => [toGrid(a.x, a.y), toGrid(b.x, b.y)]),
+    objects_line_of_sight: [],
+    portals,
+    environment: {
+      baked_lighting: false,
+      ambient_light: "ffffffff",
+    },
+    lights,
+    image: canvas.toDataURL("image/png").split(",")[1], // Base64 without the data URL prefix
+  };
+}
+
+/**
+ * Checks whether the image of a Universal VTT export can be created.
+ *
+ * @param {CanvasManager} canvasManager - The map.
+ * @param {Object} settings - Normalized export settings.
+ * @returns {Object} `{ bounds, width, height, error }` (see `imageSizeError()`).
+ */
+export function computeUvttSize(canvasManager, settings) {
+  const bounds = getUvttBounds(canvasManager);
+  const width = bounds.width * settings.pixelsPerGrid;
+  const height = bounds.height * settings.pixelsPerGrid;
+  return { bounds, width, height, error: imageSizeError(width, height) };
+}
+
+/**
+ * Checks that parsed JSON is a Universal VTT document this editor can import.
+ *
+ * @param {Object} uvtt - The parsed file.
+ * @throws {Error} With a message for the user if a required field is missing.
+ */
+export function validateUvttData(uvtt) {
+  if (!uvtt || typeof uvtt !== "object") throw new Error("The file is not a Universal VTT file.");
+  const resolution = uvtt.resolution;
+  if (!resolution || !(resolution.pixels_per_grid > 0)) {
+    throw new Error("The file has no valid resolution.pixels_per_grid.");
+  }
+  if (!resolution.map_size || !(resolution.map_size.x > 0) || !(resolution.map_size.y > 0)) {
+    throw new Error("The file has no valid resolution.map_size.");
+  }
+  if (typeof uvtt.image !== "string" || uvtt.image.length === 0) {
+    throw new Error("The file contains no map image.");
+  }
+}
+
+/**
+ * Fills an empty map (see `CanvasManager.resetMap()`) from a Universal VTT document.
+ *
+ * - The image becomes a locked background custom object covering the map from cell (0, 0),
+ *   scaled so one grid square of the image is one cell at `currentCellSize`.
+ * - Walls and doors become wall and door edges on a "Walls" layer, snapped to the grid lines
+ *   (see `addEdgesAlongLine()`); doors replace the walls they lie on.
+ * - The editor has no separate light objects; each light becomes a marker cell on a "Lights" layer,
+ *   in the cell it is in.
+ * - The map's Universal VTT export settings are set to use these layers.
+ *
+ * @param {CanvasManager} canvasManager - The (empty) map to fill.
+ * @param {Object} uvtt - A validated Universal VTT document (see `validateUvttData()`).
+ */
+export function applyUvttToMap(canvasManager, uvtt) {
+  const { pixels_per_grid: pixelsPerGrid, map_size: mapSize } = uvtt.resolution;
+  const origin = uvtt.resolution.map_origin || { x: 0, y: 0 };
+  const cellSize = canvasManager.currentCellSize;
+
+  // Map image
+  const imageSrc = `data:${getImageMimeType(uvtt.image)};base64,${uvtt.image}`;
+  const objectId = Date.now().toString() + Math.random().toString(36).substring(2);
+  canvasManager.customObjects.set(objectId, {
+    x: mapSize.x * cellSize / 2, // Custom objects are positioned by their center
+    y: mapSize.y * cellSize / 2,
+    width: mapSize.x * cellSize,
+    height: mapSize.y * cellSize,
+    rotation: 0,
+    image: canvasManager._getImage(imageSrc),
+    imageSrc,
+    locked: true,
+    background: true,
+  });
+
+  // Walls and doors: edges along their lines (doors are added last, so they cut through walls)
+  const toCell = (point) => ({ x: point.x - origin.x, y: point.y - origin.y });
+  const edges = new Map();
+  [...(uvtt.line_of_sight || []), ...(uvtt.objects_line_of_sight || [])].forEach((polyline) => {
+    if (!Array.isArray(polyline)) return;
+    for (let i = 1; i < polyline.length; i++) {
+      addEdgesAlongLine(edges, toCell(polyline[i - 1]), toCell(polyline[i]), "wall");
+    }
+  });
+  (uvtt.portals || []).forEach((portal) => {
+    if (Array.isArray(portal.bounds) && portal.bounds.length >= 2) {
+      addEdgesAlongLine(edges, toCell(portal.bounds[0]), toCell(portal.bounds[1]), "door");
+    } else if (portal.position) {
+      // One cell wide, across the rotation (0: horizontal)
+      const { x, y } = toCell(portal.position);
+      const rotation = portal.rotation || 0;
+      const dx = Math.cos(rotation) / 2, dy = Math.sin(rotation) / 2;
+      addEdgesAlongLine(edges, { x: x - dx, y: y - dy }, { x: x + dx, y: y + dy }, "door");
+    }
+  });
+
+  // Lights: the cell each light is in, in the light's color
+  const lightCells = new Map();
+  const lights = (uvtt.lights || []).filter((light) => light.position);
+  lights.forEach((light) => {
+    const { x, y } = toCell(light.position);
+    const cellX = Math.floor(x), cellY = Math.floor(y);
+    lightCells.set(canvasManager._cellId(cellX, cellY), { x: cellX, y: cellY, color: fromUvttColor(light.color) });
+  });
+
+  const addLayer = (name, cells, layerEdges) => {
+    if (cells.size === 0 && layerEdges.size === 0) return null;
+    const objects = new Map();
+    cells.forEach((cell, cellId) => {
+      objects.set(cellId, {
+        x: cell.x,
+        y: cell.y,
+        type: "color",
+        fillColor: cell.color + constants.uvttImportLightAlpha,
+        borderColor: "#00000000",
+        image: null,
+        imageSrc: null,
+      });
+    });
+    canvasManager.layers.push({ name, objects, edges: layerEdges, visible: true, gridShadowOptions: { ...constants.defaultGridShadowOptions } });
+    return name;
+  };
+  const wallLayer = addLayer("Walls", new Map(), edges);
+  const lightLayer = addLayer("Lights", lightCells, new Map());
+
+  canvasManager.uvttExportSettings = {
+    ...constants.defaultUvttExportSettings,
+    pixelsPerGrid,
+    wallLayers: wallLayer ? [wallLayer] : [],
+    doorLayer: null, // Doors are door edges on the wall layer
+    lightLayer,
+    lightRange: lights.length > 0 && lights[0].range > 0 ? lights[0].range : constants.defaultUvttExportSettings.lightRange,
+  };
+}
+
+/**
+ * Adds the edges along a line, snapped to the grid: the line is sampled four times per cell and
+ * each sample is rounded to the nearest grid corner, so a slanted line becomes a staircase of edges.
+ *
+ * @param {Map} edges - Edge id -> edge, extended in place.
+ * @param {Object} a - Start `{ x, y }` in cells.
+ * @param {Object} b - End `{ x, y }` in cells.
+ * @param {string} style - The edge style (a key of `constants.edgeStyles`).
+ */
+function addEdgesAlongLine(edges, a, b, style) {
+  const samples = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) * 4));
+  let corner = { x: Math.round(a.x), y: Math.round(a.y) };
+  for (let i = 1; i <= samples; i++) {
+    const t = i / samples;
+    const next = { x: Math.round(a.x + (b.x - a.x) * t), y: Math.round(a.y + (b.y - a.y) * t) };
+    // A diagonal step goes along x first, then along y
+    [{ x: next.x, y: corner.y }, next].forEach((to) => {
+      getEdgesAlong(corner, to).forEach(({ side, x, y }) => {
+        edges.set(edgeId(side, x, y), { x, y, side, style, color: constants.defaultEdgeColor });
+      });
+      corner = to;
+    });
+  }
+}
+
+/**
+ * Detects the format of a base64 image from its first bytes (Universal VTT files contain PNG or WebP).
+ *
+ * @param {string} base64 - The image data.
+ * @returns {string} The MIME type.
+ */
+function getImageMimeType(base64) {
+  if (base64.startsWith("/9j/")) return "image/jpeg";
+  if (base64.startsWith("UklGR")) return "image/webp";
+  return "image/png";
+}
+
+/**
+ * Converts a Universal VTT `AARRGGBB` color to `#RRGGBB` (the alpha is dropped).
+ *
+ * @param {string} color - The color.
+ * @returns {string} The CSS color, or white if it cannot be read.
+ */
+function fromUvttColor(color) {
+  if (typeof color === "string" && /^[0-9a-f]{8}$/i.test(color)) return "#" + color.slice(2).toLowerCase();
+  if (typeof color === "string" && /^[0-9a-f]{6}$/i.test(color)) return "#" + color.toLowerCase();
+  return "#ffffff";
+}
+
+/**
+ * Finds the edges between filled and empty cells, adds the wall edges and leaves out the door edges,
+ * then merges edges on the same line into one segment, so walls come out as long straight lines
+ * instead of one per cell.
+ *
+ * @param {Set<string>} cellIds - The filled cells ("x_y").
+ * @param {CanvasManager} canvasManager - Used for the cell id format.
+ * @param {Array<Object>} [wallEdges=[]] - Edges (see `edges.js`) that are walls.
+ * @param {Array<Object>} [doorEdges=[]] - Edges that are doors: no wall is made there.
+ * @returns {Array<Array<Object>>} Segments `[{ x, y }, { x, y }]` in logical units.
+ */
+function getWallSegments(cellIds, canvasManager, wallEdges = [], doorEdges = []) {
+  const horizontal = new Map(); // y of the line -> x of the edge starts
+  const vertical = new Map(); // x of the line -> y of the edge starts
+  const doors = new Set(doorEdges.map((edge) => edgeId(edge.side, edge.x, edge.y)));
+  const addEdge = (lines, line, start) => {
+    const isDoor = lines === horizontal ? doors.has(edgeId("h", start, line)) : doors.has(edgeId("v", line, start));
+    if (isDoor) return;
+    if (!lines.has(line)) lines.set(line, new Set()); // A wall edge can lie on a cell edge
+    lines.get(line).add(start);
+  };
+
+  cellIds.forEach((cellId) => {
+    const [x, y] = cellId.split("_").map(Number);
+    const isEmpty = (dx, dy) => !cellIds.has(canvasManager._cellId(x + dx, y + dy));
+    if (isEmpty(0, -1)) addEdge(horizontal, y, x);
+    if (isEmpty(0, 1)) addEdge(horizontal, y + 1, x);
+    if (isEmpty(-1, 0)) addEdge(vertical, x, y);
+    if (isEmpty(1, 0)) addEdge(vertical, x + 1, y);
+  });
+  wallEdges.forEach((edge) => {
+    if (edge.side === "h") addEdge(horizontal, edge.y, edge.x);
+    else addEdge(vertical, edge.x, edge.y);
+  });
+
+  const segments = [];
+  const mergeRuns = (lines, toPoint) => {
+    lines.forEach((startSet, line) => {
+      const starts = [...startSet].sort((a, b) => a - b);
+      let runStart = starts[0];
+      for (let i = 1; i <= starts.length; i++) {
+        if (i < starts.length && starts[i] === starts[i - 1] + 1) continue; // Run continues
+        segments.push([toPoint(line, runStart), toPoint(line, starts[i - 1] + 1)]);
+        runStart = starts[i];
+      }
+    });
+  };
+  mergeRuns(horizontal, (line, pos) => ({ x: pos, y: line }));
+  mergeRuns(vertical, (line, pos) => ({ x: line, y: pos }));
+  return segments;
+}
+
+/**
+ * Converts a CSS hex color to the opaque `AARRGGBB` form used by Universal VTT lights.
+ * The alpha of `#RRGGBBAA` colors is dropped: it only makes the marker cell translucent.
+ *
+ * @param {string|null} color - `#RGB`, `#RRGGBB` or `#RRGGBBAA`.
+ * @returns {string} The color, or opaque white if it cannot be read.
+ */
+function toUvttColor(color) {
+  const hex = typeof color === "string" ? color.replace("#", "") : "";
+  if (/^[0-9a-f]{3}$/i.test(hex)) return "ff" + hex.split("").map((c) => c + c).join("").toLowerCase();
+  if (/^[0-9a-f]{6}$/i.test(hex)) return "ff" + hex.toLowerCase();
+  if (/^[0-9a-f]{8}$/i.test(hex)) return "ff" + hex.slice(0, 6).toLowerCase();
+  return "ffffffff";
+}
@@ -0,0 +1,151 @@
+import { computeUvttSize, normalizeUvttSettings } from "./uvtt.js";
+
+/**
+ * The Universal VTT export dialog: resolution, the layers walls are taken from,
+ * the door and light layers and the light options, with the resulting image size.
+ * The settings used for an export are remembered with the map (`CanvasManager.uvttExportSettings`).
+ */
+export class UvttExportDialog {
+  constructor(canvasManager, storageManager) {
+    this.canvasManager = canvasManager;
+    this.storageManager = storageManager;
+
+    this.overlay = document.getElementById("uvttExportDialog");
+    this.summary = document.getElementById("uvttSummary");
+    this.wallLayerList = document.getElementById("uvttWallLayers");
+    this.inputs = {
+      pixelsPerGrid: document.getElementById("uvttPixelsPerGrid"),
+      doorLayer: document.getElementById("uvttDoorLayer"),
+      lightLayer: document.getElementById("uvttLightLayer"),
+      lightRange: document.getElementById("uvttLightRange"),
+      lightIntensity: document.getElementById("uvttLightIntensity"),
+      drawLightLayer: document.getElementById("uvttDrawLightLayer"),
+    };
+    this.exportButton = document.getElementById("uvttExportConfirm");
+
+    this.setupControls();
+  }
+
+  /**
+   * Adds the event listeners of the dialog.
+   */
+  setupControls() {
+    Object.values(this.inputs).forEach((input) => {
+      input.addEventListener("input", () => this.updateSummary());
+      input.addEventListener("change", () => this.updateSummary());
+    });
+
+    this.exportButton.addEventListener("click", () => this.export());
+    document.getElementById("uvttExportCancel").addEventListener("click", () => this.close());
+    // Close when clicking next to the dialog
+    this.overlay.addEventListener("click", (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.isOpen()) this.close();
+    });
+  }
+
+  /**
+   * @returns {boolean} `true` if the dialog is visible.
+   */
+  isOpen() {
+    return this.overlay.style.display !== "none";
+  }
+
+  /**
+   * Opens the dialog with the settings last used for this map.
+   */
+  open() {
+    this.fillInputs(normalizeUvttSettings(this.canvasManager.uvttExportSettings, this.canvasManager.layers));
+    this.overlay.style.display = "flex";
+    this.updateSummary();
+  }
+
+  /**
+   * Closes the dialog.
+   */
+  close() {
+    this.overlay.style.display = "none";
+  }
+
+  /**
+   * Shows settings in the dialog controls. The layer lists are rebuilt from the current layers.
+   *
+   * @param {Object} settings - Normalized export settings.
+   */
+  fillInputs(settings) {
+    const layerNames = this.canvasManager.layers.map((layer) => layer.name);
+
+    this.wallLayerList.innerHTML = "";
+    layerNames.forEach((name) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = name;
+      checkbox.checked = settings.wallLayers.includes(name);
+      checkbox.addEventListener("change", () => this.updateSummary());
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${name}`));
+      this.wallLayerList.appendChild(label);
+      this.wallLayerList.appendChild(document.createElement("br"));
+    });
+
+    [this.inputs.doorLayer, this.inputs.lightLayer].forEach((select) => {
+      select.innerHTML = "";
+      ["", ...layerNames].forEach((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name || "None";
+        select.appendChild(option);
+      });
+    });
+
+    this.inputs.pixelsPerGrid.value = settings.pixelsPerGrid;
+    this.inputs.doorLayer.value = settings.doorLayer || "";
+    this.inputs.lightLayer.value = settings.lightLayer || "";
+    this.inputs.lightRange.value = settings.lightRange;
+    this.inputs.lightIntensity.value = settings.lightIntensity;
+    this.inputs.drawLightLayer.checked = settings.drawLightLayer;
+  }
+
+  /**
+   * Reads the settings from the dialog controls.
+   *
+   * @returns {Object} Normalized export settings (invalid values replaced with defaults).
+   */
+  readSettings() {
+    const wallLayers = [...this.wallLayerList.querySelectorAll("input:checked")].map((checkbox) => checkbox.value);
+    return normalizeUvttSettings({
+      pixelsPerGrid: this.inputs.pixelsPerGrid.value,
+      wallLayers,
+      doorLayer: this.inputs.doorLayer.value || null,
+      lightLayer: this.inputs.lightLayer.value || null,
+      lightRange: this.inputs.lightRange.value,
+      lightIntensity: this.inputs.lightIntensity.value,
+      drawLightLayer: this.inputs.drawLightLayer.checked,
+    }, this.canvasManager.layers);
+  }
+
+  /**
+   * Shows the image size for the current settings.
+   * Export is disabled while the image would be too large for the browser.
+   */
+  updateSummary() {
+    const settings = this.readSettings();
+    const { bounds, width, height, error } = computeUvttSize(this.canvasManager, settings);
+    this.exportButton.disabled = error !== null;
+    this.summary.textContent = error ||
+      `Image size: ${width} × ${height} px (${bounds.width} × ${bounds.height} cells).`;
+  }
+
+  /**
+   * Remembers the settings with the map, closes the dialog and exports the file.
+   */
+  export() {
+    const settings = this.readSettings();
+    this.canvasManager.uvttExportSettings = settings;
+    this.close();
+    this.storageManager.exportUVTT(settings);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * A minimal ZIP writer and reader for the project bundle (`.omc`).
+ *
+ * Entries are deflated with the browser's `CompressionStream("deflate-raw")` when available and
+ * smaller than the original (already compressed images are usually stored as they are);
+ * otherwise they are stored uncompressed. The reader handles stored and deflated entries.
+ * No ZIP64, encryption or multi-disk archives.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800; // General purpose flag: file names are UTF-8
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Creates a ZIP archive.
+ *
+ * @param {Array<Object>} files - `[{ name, data }]`, with `data` as `Uint8Array` or string (written as UTF-8).
+ * @returns {Promise<Blob>} The archive.
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+    let method = STORED;
+    let stored = data;
+    const deflated = await deflateRaw(data);
+    if (deflated && deflated.length < data.length) {
+      method = DEFLATED;
+      stored = deflated;
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_HEADER, true);
+    header.setUint16(4, 20, true); // Version needed: 2.0
+    header.setUint16(6, UTF8_NAMES, true);
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, stored.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true); // Extra field length
+    parts.push(new Uint8Array(header.buffer), name, stored);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_HEADER, true);
+    entry.setUint16(4, 20, true); // Version made by
+    entry.setUint16(6, 20, true); // Version needed
+    entry.setUint16(8, UTF8_NAMES, true);
+    entry.setUint16(10, method, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, stored.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    // Extra and comment length, disk number and attributes stay 0
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + stored.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+}
+
+/**
+ * Reads the files of a ZIP archive.
+ *
+ * @param {ArrayBuffer} buffer - The archive.
+ * @returns {Promise<Map<string, Uint8Array>>} File name -> content (directories are left out).
+ * @throws {Error} If the archive is damaged or uses an unsupported compression.
+ */
+export async function readZip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  // The end of central directory record is at the end, before an optional comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("The file is not a ZIP archive.");
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (pos + 46 > bytes.length || view.getUint32(pos, true) !== CENTRAL_HEADER) {
+      throw new Error("The ZIP archive is damaged.");
+    }
+    const method = view.getUint16(pos + 10, true);
+    const crc = view.getUint32(pos + 16, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue; // Directory
+
+    if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new Error("The ZIP archive is damaged.");
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    let data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === DEFLATED) {
+      data = await inflateRaw(data);
+    } else if (method !== STORED) {
+      throw new Error(`"${name}" uses an unsupported ZIP compression method (${method}).`);
+    }
+    if (crc32(data) !== crc) throw new Error(`"${name}" in the ZIP archive is damaged.`);
+    files.set(name, data);
+  }
+  return files;
+}
+
+let crcTable = null;
+
+/**
+ * The CRC-32 checksum used by ZIP and PNG.
+ *
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The checksum (unsigned).
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @returns {Object} `{ time, date }` in MS-DOS format (local time, two-second resolution).
+ */
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * @returns {Promise<Uint8Array|null>} The raw deflate data, or `null` if the browser cannot compress.
+ */
+async function deflateRaw(data) {
+  let stream;
+  try {
+    stream = new CompressionStream("deflate-raw");
+  } catch (e) {
+    return null; // No CompressionStream, or no "deflate-raw" support
+  }
+  const result = new Blob([data]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(result).arrayBuffer());
+}
+
+/**
+ * @returns {Promise<Uint8Array>} The inflated data.
+ * @throws {Error} If the browser cannot decompress.
+ */
+async function inflateRaw(data) {
+  let stream;
+  try {
+    stream = new DecompressionStream("deflate-raw");
+  } catch (e) {
+    throw new Error("This browser cannot decompress ZIP archives.");
+  }
+  const result = new Blob([data]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(result).arrayBuffer());
+}
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getBrushCells } from "../js/gridShapes.js";
+
+const cellIds = (cells) => cells.map((cell) => `${cell.x},${cell.y}`).sort();
+
+test("brushes cover size × size cells around the center", () => {
+  assert.deepEqual(cellIds(getBrushCells({ x: 5, y: 5 }, 1, "square")), ["5,5"]);
+  assert.equal(getBrushCells({ x: 5, y: 5 }, 3, "square").length, 9);
+  assert.deepEqual(cellIds(getBrushCells({ x: 0, y: 0 }, 2, "square")), ["-1,-1", "-1,0", "0,-1", "0,0"]);
+});
+
+test("circle and diamond brushes differ", () => {
+  assert.notDeepEqual(cellIds(getBrushCells({ x: 0, y: 0 }, 3, "circle")), cellIds(getBrushCells({ x: 0, y: 0 }, 3, "diamond")));
+  assert.notDeepEqual(cellIds(getBrushCells({ x: 0, y: 0 }, 5, "circle")), cellIds(getBrushCells({ x: 0, y: 0 }, 5, "diamond")));
+  assert.notDeepEqual(cellIds(getBrushCells({ x: 0, y: 0 }, 5, "circle")), cellIds(getBrushCells({ x: 0, y: 0 }, 5, "square")));
+});